@@ -1,34 +1,315 @@
 import Database from 'better-sqlite3'
 import { paths } from './paths'
-import { migrate } from './migrations'
+import { FTS_INDEXES, migrate } from './migrations'
+import { hasFilters, resolveSearchRequest, SearchMode, SearchRequest, toFtsQuery } from './searchQuery'
 
 let db: Database.Database
 
 export function initDb() {
   db = new Database(paths().dbPath)
   db.pragma('foreign_keys = ON')
+  // WAL lets search keep reading while the import worker writes
+  db.pragma('journal_mode = WAL')
   migrate(db)
   return db
 }
 
-export function searchMessages(query: string) {
-  const db = getDb()
-  // Search normalized content using FTS5 and join with threads for context
-  return db.prepare(`
-    SELECT 
+export interface SearchOptions {
+  /** Include model thinking sub-records (stored, but hidden from search by default) */
+  includeThinking?: boolean
+  /** Only conversations that a newer provider export no longer contains */
+  missingFromExport?: boolean
+  /** Which full-text index the words are matched against; exact words by default */
+  mode?: SearchMode
+}
+
+/** Page size for search results sent to the renderer */
+export const SEARCH_PAGE_SIZE = 50
+const MAX_SEARCH_PAGE_SIZE = 200
+/** Characters shown for a message listed by filters alone (no words to excerpt around) */
+const EXCERPT_CHARS = 200
+/** Tokens of context snippet() keeps around the matched terms; a trigram token is one character */
+const SNIPPET_TOKENS = 32
+const SNIPPET_CHARS = 64
+// snippet() wraps each match in these; they are turned into offsets and removed
+const MATCH_START = '\u0002'
+const MATCH_END = '\u0003'
+
+// Messages without a timestamp of their own are dated by their conversation
+const MESSAGE_TIME = 'COALESCE(m.timestamp, t.created_at)'
+
+const RESULT_COLUMNS = `
       m.id, 
       m.thread_id, 
-      m.content, 
       m.role, 
       m.timestamp,
+      m.is_canonical,
+      m.branch_id,
+      m.content_type,
+      m.model,
+      m.parent_message_id,
       t.title as thread_title,
-      t.provider
-    FROM messages_fts f
+      t.provider,
+      t.missing_since_run_id IS NOT NULL as missing_from_export,
+      (SELECT COUNT(*) FROM message_versions v WHERE v.message_id = m.id) as previous_version_count,
+      (
+        SELECT COUNT(*) FROM messages s
+        WHERE s.thread_id = m.thread_id
+          AND s.parent_provider_message_id = m.parent_provider_message_id
+          AND s.role = m.role
+          AND s.id != m.id
+          AND s.parent_message_id IS NULL
+      ) as alternate_count`
+
+/**
+ * The resolved request with its named parameters and the WHERE clauses every
+ * search shares. Throws a VaultError when the typed query has nothing to
+ * search for (see toFtsQuery).
+ */
+function prepareSearch(request: string | SearchRequest, options: SearchOptions) {
+  const search = resolveSearchRequest(typeof request === 'string' ? { query: request } : request)
+  const mode = options.mode && options.mode in FTS_INDEXES ? options.mode : 'exact'
+  const { match, error } = toFtsQuery(search.query, mode)
+  if (error) throw error
+  const fts = FTS_INDEXES[mode].table
+  const params = {
+    query: match,
+    includeThinking: options.includeThinking ? 1 : 0,
+    missingFromExport: options.missingFromExport ? 1 : 0,
+    providers: JSON.stringify(search.providers || []),
+    role: search.role ?? null,
+    from: search.from ?? null,
+    to: search.to ?? null,
+    threadId: search.threadId ?? null,
+    runId: search.runId ?? null,
+  }
+  const filters = `
+      AND (m.content_type != 'thinking' OR @includeThinking)
+      AND (t.missing_since_run_id IS NOT NULL OR NOT @missingFromExport)
+      AND (@providers = '[]' OR t.provider IN (SELECT value FROM json_each(@providers)))
+      AND (@role IS NULL OR m.role = @role)
+      AND (@from IS NULL OR ${MESSAGE_TIME} >= @from)
+      AND (@to IS NULL OR ${MESSAGE_TIME} < @to)
+      AND (@threadId IS NULL OR m.thread_id = @threadId)
+      AND (@runId IS NULL OR m.ingestion_run_id = @runId)`
+  const from = match ? `
+    FROM ${fts} f
     JOIN messages m ON f.rowid = m.id
     JOIN threads t ON m.thread_id = t.id
-    WHERE messages_fts MATCH ?
-    ORDER BY rank
-  `).all(query)
+    WHERE ${fts} MATCH @query ${filters}` : `
+    FROM messages m
+    JOIN threads t ON m.thread_id = t.id
+    WHERE 1 ${filters}`
+  return { match, mode, fts, params, from, empty: !match && !hasFilters(search) }
+}
+
+/**
+ * Full-text search, optionally narrowed by provider, role, time, thread or
+ * ingestion run (see searchQuery.ts). Filters may also be typed inline in the
+ * query (`provider:claude after:2025-03-01`), next to phrases, OR, -exclusions
+ * and prefix* words. With filters but no words, the matching messages are
+ * listed newest first instead.
+ *
+ * Returns every match with its full content; the UI pages through
+ * searchMessagePage() instead.
+ */
+export function searchMessages(request: string | SearchRequest, options: SearchOptions = {}) {
+  const db = getDb()
+  const { match, params, from, empty } = prepareSearch(request, options)
+  if (empty) return []
+
+  // Search normalized content using FTS5 and join with threads for context.
+  // Canonical messages rank ahead of alternate branches (edits, regenerations).
+  return db.prepare(`
+    SELECT m.content, ${RESULT_COLUMNS}
+    ${from}
+    ${match
+      ? 'ORDER BY m.is_canonical DESC, rank'
+      : `ORDER BY ${MESSAGE_TIME} DESC, m.id DESC`}
+  `).all(params)
+}
+
+export interface SearchPageRequest {
+  /** nextCursor of the previous page; omitted for the first page */
+  cursor?: string | null
+  limit?: number
+}
+
+export interface SearchHit {
+  id: number
+  thread_id: number
+  role: string
+  timestamp: number | null
+  is_canonical: number
+  branch_id: string | null
+  content_type: string
+  model: string | null
+  parent_message_id: number | null
+  thread_title: string
+  provider: string
+  missing_from_export: number
+  previous_version_count: number
+  alternate_count: number
+  /** The part of the message around the matched terms */
+  excerpt: string
+  /** [start, end) offsets of the matched terms within excerpt */
+  highlights: [number, number][]
+}
+
+export interface SearchPage {
+  results: SearchHit[]
+  /** Matches for the whole search; only counted for the first page, null after */
+  total: number | null
+  /** Pass back to get the next page; null on the last one */
+  nextCursor: string | null
+}
+
+/** Sort key of the last row of a page: rank order for words, time order for filters alone */
+interface SearchCursor {
+  canonical: number
+  key: number
+  id: number
+}
+
+function encodeCursor(cursor: SearchCursor): string {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url')
+}
+
+function decodeCursor(cursor: string | null | undefined): SearchCursor | null {
+  if (!cursor) return null
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'))
+    return [parsed.canonical, parsed.key, parsed.id].every(Number.isFinite) ? parsed : null
+  } catch {
+    return null
+  }
+}
+
+/** Take the snippet() markers out of an excerpt, keeping where they were as offsets */
+function toExcerpt(marked: string): { excerpt: string, highlights: [number, number][] } {
+  const highlights: [number, number][] = []
+  let excerpt = ''
+  let start = -1
+  for (const part of marked.split(new RegExp(`([${MATCH_START}${MATCH_END}])`))) {
+    if (part === MATCH_START) start = excerpt.length
+    else if (part === MATCH_END) {
+      if (start >= 0 && excerpt.length > start) highlights.push([start, excerpt.length])
+      start = -1
+    } else excerpt += part
+  }
+  return { excerpt, highlights }
+}
+
+/**
+ * One page of search results for the UI. Each hit carries an excerpt around
+ * the matched terms (FTS5 snippet()) with the matches as offsets rather than
+ * the full message, so a common word on a large vault stays a small IPC
+ * payload. Pages follow each other by keyset on the sort order, so the next
+ * page costs the same as the first; the total is counted on the first page.
+ */
+export function searchMessagePage(
+  request: string | SearchRequest,
+  options: SearchOptions = {},
+  page: SearchPageRequest = {},
+): SearchPage {
+  const db = getDb()
+  const { match, mode, fts, params, from, empty } = prepareSearch(request, options)
+  if (empty) return { results: [], total: 0, nextCursor: null }
+
+  const limit = Math.min(Math.max(Math.floor(page.limit || SEARCH_PAGE_SIZE), 1), MAX_SEARCH_PAGE_SIZE)
+  const cursor = decodeCursor(page.cursor)
+  const ranked = Boolean(match)
+  const sortKey = ranked ? 'f.rank' : `COALESCE(${MESSAGE_TIME}, 0)`
+  const after = !cursor ? '' : ranked ? `
+      AND (m.is_canonical < @cursorCanonical OR (m.is_canonical = @cursorCanonical
+        AND (f.rank > @cursorKey OR (f.rank = @cursorKey AND m.id > @cursorId))))` : `
+      AND (${sortKey} < @cursorKey OR (${sortKey} = @cursorKey AND m.id < @cursorId))`
+
+  const keys = db.prepare(`
+    SELECT m.id, m.is_canonical AS canonical, ${sortKey} AS key
+    ${from} ${after}
+    ORDER BY ${ranked ? 'm.is_canonical DESC, f.rank, m.id' : `${sortKey} DESC, m.id DESC`}
+    LIMIT @limit
+  `).all({
+    ...params,
+    cursorCanonical: cursor?.canonical ?? null,
+    cursorKey: cursor?.key ?? null,
+    cursorId: cursor?.id ?? null,
+    limit: limit + 1,
+  }) as SearchCursor[]
+  const pageKeys = keys.slice(0, limit)
+  const last = pageKeys[pageKeys.length - 1]
+  const nextCursor = keys.length > limit ? encodeCursor({ canonical: last.canonical, key: last.key, id: last.id }) : null
+  const total = cursor ? null : (db.prepare(`SELECT COUNT(*) AS count ${from}`).get(params) as { count: number }).count
+  if (pageKeys.length === 0) return { results: [], total, nextCursor }
+
+  // Details (and snippets) only for the rows on this page
+  const rows = db.prepare(`
+    SELECT ${RESULT_COLUMNS},
+      ${ranked
+        ? `snippet(${fts}, 0, '${MATCH_START}', '${MATCH_END}', '…', ${mode === 'substring' ? SNIPPET_CHARS : SNIPPET_TOKENS})`
+        : `substr(m.content_plain, 1, ${EXCERPT_CHARS}) || CASE WHEN length(m.content_plain) > ${EXCERPT_CHARS} THEN '…' ELSE '' END`} AS excerpt
+    ${ranked ? `
+    FROM ${fts} f
+    JOIN messages m ON f.rowid = m.id
+    JOIN threads t ON m.thread_id = t.id
+    WHERE ${fts} MATCH @query AND` : `
+    FROM messages m
+    JOIN threads t ON m.thread_id = t.id
+    WHERE`} m.id IN (SELECT value FROM json_each(@ids))
+  `).all({ query: match, ids: JSON.stringify(pageKeys.map(k => k.id)) }) as (SearchHit & { excerpt: string })[]
+
+  const byId = new Map(rows.map(row => [row.id, row]))
+  const results = pageKeys.map(k => byId.get(k.id)).filter((row): row is SearchHit => row !== undefined)
+    .map(row => ({ ...row, ...toExcerpt(row.excerpt) }))
+  return { results, total, nextCursor }
+}
+
+/**
+ * Every version of a message: the message itself plus its siblings
+ * (same thread, same parent, same role). Canonical version first.
+ */
+export function getMessageAlternates(messageId: number) {
+  const db = getDb()
+  return db.prepare(`
+    SELECT
+      s.id,
+      s.thread_id,
+      s.content,
+      s.role,
+      s.timestamp,
+      s.is_canonical,
+      s.branch_id,
+      s.branch_depth
+    FROM messages m
+    JOIN messages s
+      ON s.thread_id = m.thread_id
+     AND s.role = m.role
+     AND (s.id = m.id OR s.parent_provider_message_id = m.parent_provider_message_id)
+     AND s.parent_message_id IS NULL
+    WHERE m.id = ?
+    ORDER BY s.is_canonical DESC, s.position
+  `).all(messageId)
+}
+
+/**
+ * Earlier versions of a message that changed at the provider between exports,
+ * newest first. The current content lives on the message itself.
+ */
+export function getMessageHistory(messageId: number) {
+  const db = getDb()
+  return db.prepare(`
+    SELECT
+      v.id,
+      v.content,
+      v.timestamp,
+      v.replaced_at,
+      r.started_at as imported_at
+    FROM message_versions v
+    LEFT JOIN ingestion_runs r ON r.id = v.ingestion_run_id
+    WHERE v.message_id = ?
+    ORDER BY v.replaced_at DESC, v.id DESC
+  `).all(messageId)
 }
 
 export function getDb() {
@@ -4,6 +4,8 @@ import path from 'node:path'
 import fs from 'node:fs'
 import { getDb } from './db'
 import { paths } from './paths'
+import type { RunReport } from './importPipeline'
+import { ErrorCodes } from './errors'
 
 /**
  * Privacy-Safe Diagnostics (Vault-Grade)
@@ -11,19 +13,32 @@ import { paths } from './paths'
  * Rules:
  * 1. ZERO message/thread content (never query these tables)
  * 2. NO user strings (no titles, labels, filenames, or paths)
- * 3. NO raw error strings (map to codes)
+ * 3. NO raw error strings (error codes are stored with each run, see errors.ts)
  */
 
-export const ErrorCodes = {
-    ZIP_ENTRY_TOO_LARGE: 'ZIP_ENTRY_TOO_LARGE',
-    ZIP_TOTAL_TOO_LARGE: 'ZIP_TOTAL_TOO_LARGE',
-    ZIP_TOO_MANY_ENTRIES: 'ZIP_TOO_MANY_ENTRIES',
-    ZIP_CORRUPT: 'ZIP_CORRUPT',
-    PARSE_CHAT_HTML_FAILED: 'PARSE_CHAT_HTML_FAILED',
-    PARSE_JSON_FAILED: 'PARSE_JSON_FAILED',
-    DB_WRITE_FAILED: 'DB_WRITE_FAILED',
-    FS_WRITE_FAILED: 'FS_WRITE_FAILED',
-    UNKNOWN_ERROR: 'UNKNOWN_ERROR'
+/** Counts in a run's stored report; its file names, titles and warning text are left out */
+function sanitizeReport(json: string | null) {
+    if (!json) return null
+    let report: RunReport
+    try {
+        report = JSON.parse(json)
+    } catch (e) {
+        return null
+    }
+    const skipped = report.contentTypes?.skipped || {}
+    return {
+        entries_seen: report.entries?.seen ?? 0,
+        entries_parsed: report.entries?.parsed ?? 0,
+        // Keys are provider ids of registered importers, not user strings
+        parsed_by: report.entries?.parsedBy || {},
+        threads_added: report.reconciliation?.threadsAdded ?? 0,
+        threads_updated: report.reconciliation?.threadsUpdated ?? 0,
+        messages_added: report.reconciliation?.messagesAdded ?? 0,
+        messages_updated: report.reconciliation?.messagesUpdated ?? 0,
+        skipped_total: Object.values(skipped).reduce((sum, n) => sum + n, 0),
+        files_failed: (report.files || []).filter(f => f.status === 'failed').length,
+        warnings_count: (report.warnings || []).length
+    }
 }
 
 export function getDiagnostics() {
@@ -71,26 +86,16 @@ export function getDiagnostics() {
             started_at, 
             completed_at, 
             status,
-            error_message -- We will map this to code below
+            error_code,
+            report -- Counts only, see sanitizeReport()
         FROM ingestion_runs 
-        ORDER BY started_at DESC 
+        ORDER BY started_at DESC, id DESC
         LIMIT 5
     `).all() as any[]
 
     const sanitized_recent_runs = recent_runs.map(run => {
-        let error_code = null
-        let error_detail = null
-
-        if (run.status === 'failed' && run.error_message) {
-            // Map common errors to codes
-            if (run.error_message.includes('too many files')) error_code = ErrorCodes.ZIP_TOO_MANY_ENTRIES
-            else if (run.error_message.includes('larger than 100MB')) error_code = ErrorCodes.ZIP_ENTRY_TOO_LARGE
-            else if (run.error_message.includes('extreme compression ratio')) error_code = ErrorCodes.ZIP_CORRUPT
-            else if (run.error_message.includes('exceeds 1GB limit')) error_code = ErrorCodes.ZIP_TOTAL_TOO_LARGE
-            else error_code = ErrorCodes.UNKNOWN_ERROR
-
-            error_detail = run.error_message.substring(0, 100).replace(/C:\\\S+| \/\S+/g, '[PATH_REDACTED]')
-        }
+        // Runs that failed before error codes were recorded have none
+        const error_code = run.error_code || (run.status === 'failed' ? ErrorCodes.UNKNOWN_ERROR : null)
 
         return {
             provider: run.provider,
@@ -98,7 +103,7 @@ export function getDiagnostics() {
             completed_at: run.completed_at,
             status: run.status,
             error_code,
-            error_detail
+            report: sanitizeReport(run.report)
         }
     })
 
@@ -0,0 +1,80 @@
+/**
+ * Typed vault errors.
+ *
+ * Imports fail with a VaultError whose `code` says what went wrong; the
+ * message is English detail for logs and the import history. The code is kept
+ * with the run (ingestion_runs.error_code), returned to the renderer, and is
+ * all that diagnostics and the UI copy rely on — never the message text.
+ * Searches that cannot be run are reported the same way.
+ */
+
+export const ErrorCodes = {
+    // Archive and folder safety: the source is rolled back as a whole
+    ZIP_TOO_MANY_ENTRIES: 'ZIP_TOO_MANY_ENTRIES',
+    ZIP_ENTRY_TOO_LARGE: 'ZIP_ENTRY_TOO_LARGE',
+    ZIP_TOTAL_TOO_LARGE: 'ZIP_TOTAL_TOO_LARGE',
+    ZIP_RATIO_BOMB: 'ZIP_RATIO_BOMB',
+    ZIP_SLIP_DETECTED: 'ZIP_SLIP_DETECTED',
+    ZIP_ABSOLUTE_PATH: 'ZIP_ABSOLUTE_PATH',
+    ZIP_SYMLINK_ENTRY: 'ZIP_SYMLINK_ENTRY',
+    ZIP_SIZE_MISMATCH: 'ZIP_SIZE_MISMATCH',
+    ZIP_UNSUPPORTED: 'ZIP_UNSUPPORTED',
+    ZIP_CORRUPT: 'ZIP_CORRUPT',
+    // Importers
+    PARSE_JSON_FAILED: 'PARSE_JSON_FAILED',
+    PARSE_CHAT_HTML_FAILED: 'PARSE_CHAT_HTML_FAILED',
+    PARSE_ACTIVITY_HTML_FAILED: 'PARSE_ACTIVITY_HTML_FAILED',
+    EXPORT_FORMAT_INVALID: 'EXPORT_FORMAT_INVALID',
+    // Choosing files and importers
+    NO_FILES_SELECTED: 'NO_FILES_SELECTED',
+    FILE_NOT_FOUND: 'FILE_NOT_FOUND',
+    PROVIDER_NOT_DETECTED: 'PROVIDER_NOT_DETECTED',
+    PROVIDER_MISMATCH: 'PROVIDER_MISMATCH',
+    IMPORT_BUSY: 'IMPORT_BUSY',
+    IMPORT_CANCELLED: 'IMPORT_CANCELLED',
+    // Undoing an import
+    UNDO_RUN_NOT_FOUND: 'UNDO_RUN_NOT_FOUND',
+    UNDO_RUN_IN_PROGRESS: 'UNDO_RUN_IN_PROGRESS',
+    UNDO_ALREADY_DONE: 'UNDO_ALREADY_DONE',
+    // Search: what was typed cannot be searched for
+    SEARCH_QUERY_INVALID: 'SEARCH_QUERY_INVALID',
+    SEARCH_ONLY_EXCLUDED: 'SEARCH_ONLY_EXCLUDED',
+    SEARCH_TERM_TOO_SHORT: 'SEARCH_TERM_TOO_SHORT',
+    // Storage
+    DB_WRITE_FAILED: 'DB_WRITE_FAILED',
+    FS_WRITE_FAILED: 'FS_WRITE_FAILED',
+    UNKNOWN_ERROR: 'UNKNOWN_ERROR',
+} as const
+
+export type ErrorCode = typeof ErrorCodes[keyof typeof ErrorCodes]
+
+export class VaultError extends Error {
+    constructor(public code: ErrorCode, message: string, options?: { cause?: unknown }) {
+        super(message, options)
+        this.name = 'VaultError'
+    }
+}
+
+/** ZIP and folder safety failures (see zipReader.ts and folderReader.ts) */
+export function isArchiveError(err: unknown): err is VaultError {
+    return err instanceof VaultError && err.code.startsWith('ZIP_')
+}
+
+/**
+ * Any error as a VaultError. Errors thrown by the vault keep their code;
+ * SQLite errors become DB_WRITE_FAILED, everything else UNKNOWN_ERROR.
+ */
+export function toVaultError(err: unknown): VaultError {
+    if (err instanceof VaultError) return err
+    const message = err instanceof Error ? err.message : String(err)
+    const code = (err as { code?: unknown } | null)?.code
+    if (typeof code === 'string' && code.startsWith('SQLITE_')) {
+        return new VaultError(ErrorCodes.DB_WRITE_FAILED, message, { cause: err })
+    }
+    return new VaultError(ErrorCodes.UNKNOWN_ERROR, message, { cause: err })
+}
+
+/** Known codes pass through (e.g. from the import worker); anything else is UNKNOWN_ERROR */
+export function asErrorCode(code: unknown): ErrorCode {
+    return Object.values(ErrorCodes).includes(code as ErrorCode) ? code as ErrorCode : ErrorCodes.UNKNOWN_ERROR
+}
@@ -0,0 +1,70 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { ErrorCodes, VaultError } from './errors'
+import {
+    ZipLimits,
+    entryTooLarge,
+    isConversationFile,
+    tooManyEntries,
+    totalTooLarge,
+    zipLimitsFromEnv,
+} from './zipReader'
+
+/**
+ * Files of an export folder (an unzipped export, or a folder of transcripts),
+ * named like ZIP entries: paths relative to the folder, with '/' separators.
+ *
+ * A folder is held to the same limits as a ZIP (see zipReader.ts): file count,
+ * size of any one file (conversations.json gets the larger limit) and total
+ * size, checked while walking so a huge tree is never listed in full. Symbolic
+ * links are rejected rather than followed, so a folder cannot pull in files
+ * from elsewhere on disk. Hidden files and folders (.DS_Store, .git) are skipped.
+ */
+
+export interface FolderEntry {
+    /** Path relative to the folder, '/'-separated */
+    name: string
+    filePath: string
+    size: number
+}
+
+export function isFolder(filePath: string): boolean {
+    try {
+        return fs.statSync(filePath).isDirectory()
+    } catch {
+        return false
+    }
+}
+
+/** Walk a folder; throws a ZIP_ VaultError when it breaks a limit or contains a symlink */
+export function listFolderFiles(root: string, limits: ZipLimits = zipLimitsFromEnv()): FolderEntry[] {
+    const files: FolderEntry[] = []
+    let totalBytes = 0
+    // Iterative walk so deeply nested folders cannot overflow the stack
+    const pending = ['']
+    while (pending.length > 0) {
+        const relDir = pending.pop()!
+        for (const dirent of fs.readdirSync(path.join(root, relDir), { withFileTypes: true })) {
+            if (dirent.name.startsWith('.')) continue
+            if (dirent.isSymbolicLink()) {
+                throw new VaultError(ErrorCodes.ZIP_SYMLINK_ENTRY, 'Import blocked: this folder contains a symbolic link. Cognition Vault only imports files stored inside the folder.')
+            }
+            const name = relDir ? `${relDir}/${dirent.name}` : dirent.name
+            const filePath = path.join(root, name)
+            if (dirent.isDirectory()) {
+                pending.push(name)
+                continue
+            }
+            if (!dirent.isFile()) continue
+
+            const size = fs.statSync(filePath).size
+            const maxBytes = isConversationFile(name) ? limits.maxConversationFileBytes : limits.maxEntryBytes
+            if (size > maxBytes) throw entryTooLarge(maxBytes)
+            totalBytes += size
+            if (totalBytes > limits.maxTotalBytes) throw totalTooLarge(limits)
+            files.push({ name, filePath, size })
+            if (files.length > limits.maxEntries) throw tooManyEntries(files.length, limits)
+        }
+    }
+    return files.sort((a, b) => a.name.localeCompare(b.name))
+}
@@ -0,0 +1,521 @@
+import { getDb } from './db'
+import { paths } from './paths'
+import { createIngestionRun, storeRawArtifact, storeRawArtifactFile, finalizeIngestionRun, getRunReconciliation, getRunContents, compareWithPreviousExports, countChangedMessages, ExportChanges, RunReconciliation } from './vault'
+import { getImporter, listImporters, providerLabel } from './importers/registry'
+import { emptyImportStats, mergeContentTypeReports, parseContextFor, writeThreads, ContentTypeReport, ImportStats } from './importers/writer'
+import { detectProvider, DetectionResult } from './importers/detect'
+import { beginImportProgress, endImportProgress, setImportPhase, setImportSource, recordEntryScanned, ImportCancelledError, ImportHooks } from './importers/progress'
+import { ZipReader } from './zipReader'
+import { ErrorCodes, ErrorCode, VaultError, isArchiveError, toVaultError } from './errors'
+import { isFolder, listFolderFiles } from './folderReader'
+import path from 'node:path'
+import fs from 'node:fs'
+
+/**
+ * Headless import — the real production import pipeline without dialog.showOpenDialog.
+ *
+ * The IPC handlers (vault:import:preview, vault:import:paths), the watched
+ * folder and the --smoke runner all call this.
+ * This is the key invariant: smoke tests exercise the exact same code the user does.
+ *
+ * Pass 'auto' as the provider to pick the importer from the file itself.
+ * `filePath` may also be a folder (an unzipped export, or transcripts): it is
+ * walked like a ZIP, with a manifest of its files stored as the parent artifact.
+ *
+ * The provider's Importer (importers/registry.ts) picks and parses the files;
+ * the shared writer stores what it yields in batches of threads.
+ *
+ * Everything after the ingestion run row is written in one outer transaction;
+ * the writer's batches nest in it as savepoints, so nothing is committed until
+ * the whole import finishes. This is a deliberate trade-off: a cancelled or
+ * unsafe import leaves nothing behind (even for re-imports that updated
+ * existing conversations, which a delete by run id could not undo), but the
+ * write lock is held for the whole import and the WAL grows with the size of
+ * the export until it is checkpointed after the commit. Memory stays flat either way:
+ * parsed threads are only held a batch at a time, and SQLite spills a large
+ * transaction to disk. Cancelling through hooks rolls it back, removes the
+ * artifact files the run stored and marks the run 'cancelled'; the app runs
+ * this in the import worker (importWorker.ts) off the main process, and
+ * search keeps reading the last committed state meanwhile (WAL).
+ */
+export async function importFileHeadless(requestedProvider: string, filePath: string, hooks: ImportHooks = {}, options: ImportOptions = {}) {
+    return importFilesHeadless(requestedProvider, [filePath], hooks, options)
+}
+
+export interface ImportOptions {
+    /** ingestion_runs.source_label; defaults to "Import: <file name>" (or "Import: N files") */
+    sourceLabel?: string
+    /**
+     * Preview only: the import runs in full inside a transaction that is always
+     * rolled back (the run row included), stored artifact files are removed,
+     * and an ImportPreview is returned instead of committing anything.
+     */
+    dryRun?: boolean
+}
+
+/** What an import would add, shown for confirmation before the real import */
+export interface ImportPreview {
+    threads: number
+    messages: number
+    subRecords: number
+    messagesByRole: Record<string, number>
+    dateRange: { from: number | null, to: number | null }
+    /** Records not imported, by unsupported content type */
+    skipped: Record<string, number>
+    /**
+     * Conversations already in the vault: matched ones (same provider id) are
+     * updated in place; likely ones are new but share a title with an existing
+     * conversation, so may be duplicates. Titles are capped at PREVIEW_TITLE_LIMIT.
+     */
+    duplicates: { matched: number, likely: number, matchedTitles: string[], likelyTitles: string[] }
+    reconciliation: RunReconciliation
+    warnings: string[]
+}
+
+/** Titles listed per duplicate kind; the rest are only counted */
+const PREVIEW_TITLE_LIMIT = 10
+
+/** What happened to one selected file or folder of a run */
+export interface FileOutcome {
+    name: string
+    provider: string
+    status: 'imported' | 'failed'
+    /** Threads and messages written from this file (new or matched) */
+    threads: number
+    messages: number
+    /** Attachment and thinking sub-records written with those messages */
+    subRecords: number
+    /** Files in this source (ZIP entries, folder files, or 1) and how many its importer parsed */
+    entriesSeen: number
+    entriesParsed: number
+    /** How chat.html was read ('embedded_json' or 'dom'), for chat.html files */
+    strategy?: string
+    error?: string
+    errorCode?: ErrorCode
+}
+
+/** What one run did, kept with the run (ingestion_runs.report) and returned as `report` */
+export interface RunReport {
+    entries: {
+        seen: number
+        parsed: number
+        /** Entries parsed, per importer (provider) */
+        parsedBy: Record<string, number>
+    }
+    /** Threads and messages written, new or matched; sub-records (attachments, thinking) apart */
+    threads: number
+    messages: number
+    subRecords: number
+    /** Inserted vs matched records */
+    reconciliation: RunReconciliation
+    /** Records kept and skipped, by content type (skipped: unsupported type) */
+    contentTypes: ContentTypeReport
+    exportChanges: ExportChanges
+    files: FileOutcome[]
+    /** Non-fatal problems: files that failed, low-confidence detection, best-effort parsing */
+    warnings: string[]
+}
+
+interface ImportSource {
+    filePath: string
+    filename: string
+    detection: DetectionResult | null
+    provider: string
+}
+
+/**
+ * Several files and folders (split Takeout archives, an extracted export next
+ * to its ZIP, dropped files) in one ingestion run. Each source is imported in
+ * its own savepoint: an unsafe archive or folder is rolled back on its own and
+ * a file that fails to parse keeps its raw artifact, while the other sources
+ * are still imported. Per-source outcomes are returned in `files`.
+ *
+ * The run fails, and the first error is thrown, only when no source imported;
+ * so a single file behaves exactly as importFileHeadless always has.
+ */
+export async function importFilesHeadless(requestedProvider: string, filePaths: string[], hooks: ImportHooks = {}, options: ImportOptions = {}) {
+    if (filePaths.length === 0) {
+        throw new VaultError(ErrorCodes.NO_FILES_SELECTED, 'Import blocked: no files were selected.')
+    }
+
+    // Each source is detected on its own, so one run may mix providers
+    const sources: ImportSource[] = []
+    for (const filePath of filePaths) {
+        const detection = await detectProvider(filePath)
+        sources.push({
+            filePath,
+            filename: path.basename(filePath),
+            detection,
+            provider: requestedProvider === 'auto' ? (detection?.provider || 'unknown') : requestedProvider,
+        })
+    }
+    const providers = [...new Set(sources.map(s => s.provider))]
+    const runProvider = providers.length === 1 ? providers[0] : 'mixed'
+    const runLabel = options.sourceLabel
+        ?? (sources.length === 1 ? `Import: ${sources[0].filename}` : `Import: ${sources.length} files`)
+
+    const db = getDb()
+    // A dry run opens the transaction first, so even its run row is rolled back
+    if (options.dryRun) db.exec('BEGIN')
+    const run = createIngestionRun(runProvider, runLabel)
+    beginImportProgress(run.id, hooks)
+    if (!options.dryRun) db.exec('BEGIN')
+    // Threads, messages, kept/skipped content types and parse strategy across all files
+    const stats = emptyImportStats()
+    const files: FileOutcome[] = []
+    let firstError: VaultError | null = null
+    let artifactId: number | null = null
+    // Parent artifact per imported source; an id from another run means an identical file was stored before
+    const parentArtifacts: { name: string, id: number }[] = []
+
+    try {
+        for (const [index, source] of sources.entries()) {
+            setImportSource(index, sources.length, source.filename)
+            let sourceStats = emptyImportStats()
+            let error: VaultError | null = null
+
+            db.exec('SAVEPOINT import_source')
+            const lastArtifactId = (db.prepare('SELECT COALESCE(MAX(id), 0) AS id FROM raw_artifacts').get() as { id: number }).id
+            try {
+                const parentId = await importSource(run.id, requestedProvider, source, sourceStats)
+                db.exec('RELEASE import_source')
+                artifactId = artifactId ?? parentId
+                parentArtifacts.push({ name: source.filename, id: parentId })
+            } catch (err: any) {
+                if (err instanceof ImportCancelledError) throw err
+                if (isArchiveError(err)) {
+                    // Unsafe archives leave nothing behind, even if earlier entries were fine
+                    rollBackSource(run.id, lastArtifactId)
+                    sourceStats = emptyImportStats()
+                } else {
+                    // Keep what was stored (raw artifacts, batches written before the failure)
+                    db.exec('RELEASE import_source')
+                }
+                error = toVaultError(err)
+                firstError = firstError ?? error
+            }
+
+            stats.threads += sourceStats.threads
+            stats.messages += sourceStats.messages
+            stats.subRecords += sourceStats.subRecords
+            mergeContentTypeReports(stats.contentTypes, sourceStats.contentTypes)
+            stats.strategy = sourceStats.strategy ?? stats.strategy
+            stats.entriesSeen += sourceStats.entriesSeen
+            stats.entriesParsed += sourceStats.entriesParsed
+            files.push({
+                name: source.filename,
+                provider: source.provider,
+                status: error === null ? 'imported' : 'failed',
+                threads: sourceStats.threads,
+                messages: sourceStats.messages,
+                subRecords: sourceStats.subRecords,
+                entriesSeen: sourceStats.entriesSeen,
+                entriesParsed: sourceStats.entriesParsed,
+                ...(sourceStats.strategy ? { strategy: sourceStats.strategy } : {}),
+                ...(error === null ? {} : { error: error.message, errorCode: error.code }),
+            })
+        }
+
+        if (!files.some(f => f.status === 'imported')) {
+            throw firstError
+        }
+
+        setImportPhase('finalizing')
+        const exportChanges = compareImportedProviders(run.id, files)
+
+        const warnings = runWarnings(run.id, stats, sources, files, parentArtifacts, exportChanges)
+        if (options.dryRun) {
+            const preview = buildPreview(run.id, stats, exportChanges, warnings)
+            rollBackRun(run.id)
+            return {
+                success: true,
+                dryRun: true,
+                detection: sources.length === 1 ? sources[0].detection : null,
+                files,
+                preview,
+            }
+        }
+
+        db.exec('COMMIT')
+        const report = buildReport(run.id, stats, files, exportChanges, warnings)
+        finalizeIngestionRun(run.id, 'complete', null, report)
+        const reconciliation = report.reconciliation
+        return {
+            success: true,
+            runId: run.id,
+            artifactId,
+            contentTypes: stats.contentTypes,
+            htmlStrategy: stats.strategy,
+            detection: sources.length === 1 ? sources[0].detection : null,
+            reconciliation,
+            exportChanges,
+            files,
+            report,
+        }
+    } catch (err: any) {
+        if (options.dryRun) {
+            // Nothing of a preview is kept, not even a failed or cancelled run
+            rollBackRun(run.id)
+        } else if (err instanceof ImportCancelledError) {
+            rollBackRun(run.id)
+            finalizeIngestionRun(run.id, 'cancelled', err)
+        } else {
+            if (db.inTransaction) db.exec('COMMIT')
+            // What was read before the failure is reported too
+            const noChanges: ExportChanges = { threadsMissing: 0, messagesChanged: countChangedMessages(run.id) }
+            const report = buildReport(run.id, stats, files, noChanges, runWarnings(run.id, stats, sources, files, parentArtifacts, noChanges))
+            finalizeIngestionRun(run.id, 'failed', toVaultError(err), report)
+        }
+        throw toVaultError(err)
+    } finally {
+        endImportProgress()
+    }
+}
+
+/** Store and import one selected file or folder; returns its (parent) artifact id */
+async function importSource(runId: number, requestedProvider: string, source: ImportSource, stats: ImportStats): Promise<number> {
+    const { filePath, filename, detection, provider } = source
+    try {
+        fs.accessSync(filePath, fs.constants.R_OK)
+    } catch (err) {
+        // Moved, deleted or unreadable since it was chosen
+        throw new VaultError(ErrorCodes.FILE_NOT_FOUND, 'Import blocked: a selected file could not be found or read.', { cause: err })
+    }
+    const context = parseContextFor(stats)
+    const isZip = filename.toLowerCase().endsWith('.zip')
+    const isHtml = /\.html?$/i.test(filename)
+    // Folders are checked against the ZIP limits before anything is stored
+    const folderFiles = isFolder(filePath) ? listFolderFiles(filePath) : null
+    const notRecognized = () => new VaultError(ErrorCodes.PROVIDER_NOT_DETECTED, `Import blocked: no importer recognizes this file. Choose the export ZIP or JSON file downloaded from one of: ${listImporters().map(i => i.label).join(', ')}.`)
+    let zip: ZipReader | null = null
+
+    try {
+        // ZIP Hardening (Vault-Grade): entry count and unsafe names are rejected on open,
+        // before the archive is stored or detection results are trusted
+        if (isZip) zip = ZipReader.open(filePath)
+
+        // The archive itself is copied from disk, never loaded into memory whole
+        const parentArtifact = folderFiles
+            ? storeRawArtifact(runId, provider, 'folder', filename, Buffer.from(JSON.stringify({
+                folder: filename,
+                files: folderFiles.map(f => ({ path: f.name, size: f.size })),
+            }, null, 2)))
+            : storeRawArtifactFile(runId, provider, isZip ? 'zip' : isHtml ? 'html' : (path.extname(filename).slice(1).toLowerCase() || 'json'), filename, filePath)
+
+        if (requestedProvider === 'auto' && !detection) {
+            throw notRecognized()
+        }
+        if (detection && detection.confidence === 'high' && detection.provider !== provider) {
+            throw new VaultError(ErrorCodes.PROVIDER_MISMATCH, `Import blocked: this looks like a ${providerLabel(detection.provider)} export, not ${providerLabel(provider)}. Choose ${providerLabel(detection.provider)} or let Cognition Vault detect it automatically.`)
+        }
+        const importer = getImporter(provider)
+        if (!importer) {
+            throw notRecognized()
+        }
+
+        if (zip) {
+            // Declared sizes are pre-scanned, and extraction enforces limits on real inflated bytes
+            const zipEntries = zip.entries.filter(e => !e.isDirectory)
+            setImportPhase('scanning', zipEntries.length)
+            zip.checkDeclaredSizes()
+
+            const selected = new Set(importer.selectEntries(zipEntries.map(e => e.name)))
+
+            // If pre-scan passes, proceed with extraction and storage
+            setImportPhase('importing')
+            let entryIndex = 0
+            for (const entry of zipEntries) {
+                recordEntryScanned()
+                stats.entriesSeen++
+                const entryName = entry.name
+
+                // Forensic storage of individual files within ZIP: each entry is inflated
+                // straight to disk and moved into the artifact store, and the importer
+                // reads it back from there (JSON files as a stream)
+                const scratchPath = path.join(paths().artifactsDir, `.extract-${runId}-${entryIndex++}`)
+                await zip.extractTo(entry, scratchPath)
+                const childArtifact = storeRawArtifactFile(
+                    runId,
+                    provider,
+                    path.extname(entryName).slice(1) || 'bin',
+                    path.basename(entryName),
+                    scratchPath,
+                    parentArtifact.id,
+                    entryName,
+                    true
+                )
+
+                if (selected.has(entryName)) {
+                    const threads = importer.parse({ name: entryName, filePath: childArtifact.storedPath }, context)
+                    await writeThreads(runId, childArtifact.id, provider, threads, stats)
+                    stats.entriesParsed++
+                }
+            }
+        } else if (folderFiles) {
+            // Every file is stored as a child artifact, as for ZIP entries; the
+            // importer reads the selected ones from their stored copies
+            setImportPhase('scanning', folderFiles.length)
+            const selected = new Set(importer.selectEntries(folderFiles.map(f => f.name)))
+
+            setImportPhase('importing')
+            for (const file of folderFiles) {
+                recordEntryScanned()
+                stats.entriesSeen++
+                const childArtifact = storeRawArtifactFile(
+                    runId,
+                    provider,
+                    path.extname(file.name).slice(1) || 'bin',
+                    path.basename(file.name),
+                    file.filePath,
+                    parentArtifact.id,
+                    file.name
+                )
+
+                if (selected.has(file.name)) {
+                    const threads = importer.parse({ name: file.name, filePath: childArtifact.storedPath }, context)
+                    await writeThreads(runId, childArtifact.id, provider, threads, stats)
+                    stats.entriesParsed++
+                }
+            }
+        } else {
+            // A single file is always handed to the importer, read from the stored copy
+            setImportPhase('importing', 1)
+            recordEntryScanned()
+            stats.entriesSeen++
+            const threads = importer.parse({ name: filename, filePath: parentArtifact.storedPath }, context)
+            await writeThreads(runId, parentArtifact.id, provider, threads, stats)
+            stats.entriesParsed++
+        }
+
+        // Nothing handed to an importer means nothing in the export was recognized
+        if (stats.entriesParsed === 0) {
+            throw notRecognized()
+        }
+        return parentArtifact.id
+    } finally {
+        zip?.close()
+    }
+}
+
+/**
+ * Compare the run with earlier exports once per provider it imported. Only
+ * full-account exports are compared: a single chat or transcript file says
+ * nothing about the conversations it does not contain.
+ */
+function compareImportedProviders(runId: number, files: FileOutcome[]): ExportChanges {
+    const changes: ExportChanges = { threadsMissing: 0, messagesChanged: 0 }
+    const imported = files.filter(f => f.status === 'imported')
+    for (const provider of new Set(imported.map(f => f.provider))) {
+        if (!getImporter(provider)?.fullExports) continue
+        // A chat.html read from its page text is best-effort and has no thread ids: not a full export
+        if (imported.some(f => f.provider === provider && f.strategy === 'dom')) continue
+        changes.threadsMissing += compareWithPreviousExports(runId, provider).threadsMissing
+    }
+    changes.messagesChanged = countChangedMessages(runId)
+    return changes
+}
+
+/**
+ * Non-fatal problems of a run, for its preview and its report. Call before the
+ * transaction ends: identical files are found by their artifact's run.
+ */
+function runWarnings(
+    runId: number,
+    stats: ImportStats,
+    sources: ImportSource[],
+    files: FileOutcome[],
+    parentArtifacts: { name: string, id: number }[],
+    exportChanges: ExportChanges
+): string[] {
+    const db = getDb()
+    const warnings: string[] = []
+
+    // With a single file, its failure is the run's error rather than a warning
+    if (files.length > 1) {
+        for (const file of files) {
+            if (file.status === 'failed') warnings.push(`${file.name} could not be imported: ${file.error}`)
+        }
+    }
+    for (const source of sources) {
+        if (source.detection?.confidence === 'low') {
+            warnings.push(`${source.filename} looks like a ${providerLabel(source.detection.provider)} export, but only with low confidence.`)
+        }
+    }
+    for (const parent of parentArtifacts) {
+        const stored = db.prepare('SELECT ingestion_run_id FROM raw_artifacts WHERE id = ?').get(parent.id) as { ingestion_run_id: number } | undefined
+        if (stored && stored.ingestion_run_id !== runId) {
+            warnings.push(`${parent.name} is identical to a file imported before, so it adds nothing new.`)
+        }
+    }
+    if (files.some(f => f.status === 'imported') && stats.threads === 0) warnings.push('No conversations were found.')
+    if (stats.strategy === 'dom') {
+        warnings.push('chat.html is read from its page text (best-effort). Import conversations.json for full detail.')
+    }
+    if (exportChanges.threadsMissing > 0) {
+        warnings.push(`${exportChanges.threadsMissing} conversations in your vault are not in this export. They are kept and marked as no longer in the provider export.`)
+    }
+    return warnings
+}
+
+/** Summarize a dry run from inside its transaction, before it is rolled back */
+function buildPreview(runId: number, stats: ImportStats, exportChanges: ExportChanges, warnings: string[]): ImportPreview {
+    const contents = getRunContents(runId)
+    return {
+        threads: stats.threads,
+        messages: stats.messages,
+        subRecords: stats.subRecords,
+        messagesByRole: contents.messagesByRole,
+        dateRange: contents.dateRange,
+        skipped: stats.contentTypes.skipped,
+        duplicates: {
+            matched: contents.matchedTitles.length,
+            likely: contents.likelyDuplicateTitles.length,
+            matchedTitles: contents.matchedTitles.slice(0, PREVIEW_TITLE_LIMIT),
+            likelyTitles: contents.likelyDuplicateTitles.slice(0, PREVIEW_TITLE_LIMIT),
+        },
+        reconciliation: getRunReconciliation(runId),
+        warnings,
+    }
+}
+
+function buildReport(runId: number, stats: ImportStats, files: FileOutcome[], exportChanges: ExportChanges, warnings: string[]): RunReport {
+    const parsedBy: Record<string, number> = {}
+    for (const file of files) {
+        if (file.entriesParsed > 0) parsedBy[file.provider] = (parsedBy[file.provider] || 0) + file.entriesParsed
+    }
+    return {
+        entries: { seen: stats.entriesSeen, parsed: stats.entriesParsed, parsedBy },
+        threads: stats.threads,
+        messages: stats.messages,
+        subRecords: stats.subRecords,
+        reconciliation: getRunReconciliation(runId),
+        contentTypes: stats.contentTypes,
+        exportChanges,
+        files,
+        warnings,
+    }
+}
+
+/** Roll back one source's savepoint and delete the artifact files it wrote */
+function rollBackSource(runId: number, lastArtifactId: number) {
+    const db = getDb()
+    const written = db.prepare('SELECT stored_path FROM raw_artifacts WHERE ingestion_run_id = ? AND id > ?').all(runId, lastArtifactId) as { stored_path: string | null }[]
+    db.exec('ROLLBACK TO import_source')
+    db.exec('RELEASE import_source')
+    removeStoredFiles(written)
+}
+
+/** Roll back the open run transaction and delete the artifact files it wrote */
+function rollBackRun(runId: number) {
+    const db = getDb()
+    const written = db.prepare('SELECT stored_path FROM raw_artifacts WHERE ingestion_run_id = ?').all(runId) as { stored_path: string | null }[]
+    if (db.inTransaction) db.exec('ROLLBACK')
+    removeStoredFiles(written)
+}
+
+function removeStoredFiles(written: { stored_path: string | null }[]) {
+    for (const { stored_path } of written) {
+        if (!stored_path) continue
+        try { fs.unlinkSync(stored_path) } catch { }
+    }
+}
@@ -0,0 +1,66 @@
+import { Worker } from 'node:worker_threads'
+import path from 'node:path'
+import { paths } from './paths'
+import type { ImportProgress } from './importers/progress'
+import type { ImportOptions } from './importPipeline'
+import { ErrorCodes, VaultError, asErrorCode } from './errors'
+
+/**
+ * Main-process side of the import worker: starts one import at a time,
+ * forwards progress, and signals cancellation through shared memory.
+ */
+
+interface ActiveImport {
+    worker: Worker
+    cancelFlag: Int32Array
+}
+
+let active: ActiveImport | null = null
+
+export function isImportRunning(): boolean {
+    return active !== null
+}
+
+/**
+ * Run importFilesHeadless in importWorker.js on one or more files/folders. Resolves with the import result,
+ * or with { success: false, cancelled: true } when the user cancelled (the run
+ * is rolled back and finalized as 'cancelled'). Import errors reject with a VaultError.
+ */
+export function runImportInWorker(provider: string, filePaths: string[], onProgress?: (progress: ImportProgress) => void, options: ImportOptions = {}): Promise<any> {
+    if (active) {
+        return Promise.reject(new VaultError(ErrorCodes.IMPORT_BUSY, 'Another import is already running. Wait for it to finish or cancel it first.'))
+    }
+
+    const cancelBuffer = new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT)
+    const worker = new Worker(path.join(__dirname, 'importWorker.js'), {
+        workerData: { userDataDir: paths().userDataDir, provider, filePaths, options, cancelBuffer },
+    })
+    const current: ActiveImport = { worker, cancelFlag: new Int32Array(cancelBuffer) }
+    active = current
+
+    return new Promise((resolve, reject) => {
+        let settled = false
+        const finish = (fn: () => void) => {
+            if (settled) return
+            settled = true
+            if (active === current) active = null
+            fn()
+        }
+
+        worker.on('message', (msg: any) => {
+            if (msg.type === 'progress') onProgress?.(msg.progress)
+            else if (msg.type === 'done') finish(() => resolve(msg.result))
+            else if (msg.type === 'error' && msg.cancelled) finish(() => resolve({ success: false, cancelled: true }))
+            else if (msg.type === 'error') finish(() => reject(new VaultError(asErrorCode(msg.code), msg.message)))
+        })
+        worker.on('error', err => finish(() => reject(err)))
+        worker.on('exit', code => finish(() => reject(new VaultError(ErrorCodes.UNKNOWN_ERROR, `Import worker exited unexpectedly (code ${code})`))))
+    })
+}
+
+/** Request cancellation of the running import. Returns false when nothing is running. */
+export function cancelActiveImport(): boolean {
+    if (!active) return false
+    Atomics.store(active.cancelFlag, 0, 1)
+    return true
+}
@@ -0,0 +1,198 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import crypto from 'node:crypto'
+import { getSetting, setSetting, isArtifactStored } from './vault'
+import { detectProvider } from './importers/detect'
+import { runImportInWorker, isImportRunning } from './importRunner'
+import { ErrorCode, toVaultError } from './errors'
+
+/**
+ * Watched import folder (opt-in, main process).
+ *
+ * When a folder is set, every `.zip`/`.json` file that appears in it (and any
+ * already there when watching starts, e.g. exports downloaded while the app
+ * was closed) is imported in the import worker with provider auto-detection.
+ * Files are handled one at a time, in order:
+ *   - a file still being written is waited on until its size stops changing
+ *   - a file whose SHA-256 is already in the vault is skipped without a run
+ *   - a file no importer recognizes is skipped without a run
+ *   - otherwise it is imported as its own ingestion run, labelled
+ *     "Watched folder: <file name>", waiting for any running import first
+ * The folder is kept in the settings table, so watching resumes on restart.
+ */
+
+const WATCHED_FOLDER_KEY = 'watch_folder'
+const WATCHED_FILE = /\.(zip|json)$/i
+/** A new file is imported once its size and mtime hold still for this long */
+const STABLE_CHECK_MS = 1000
+/** How often a queued file re-checks whether another import has finished */
+const BUSY_RETRY_MS = 2000
+
+export const WATCHER_SOURCE_LABEL = 'Watched folder'
+
+export interface WatchEvent {
+    fileName: string
+    status: 'imported' | 'duplicate' | 'unrecognized' | 'cancelled' | 'failed'
+    runId?: number
+    error?: string
+    errorCode?: ErrorCode
+}
+
+interface ActiveWatch {
+    folder: string
+    watcher: fs.FSWatcher
+    onEvent?: (event: WatchEvent) => void
+    /** Files waiting in (or going through) the queue, so repeated fs events are ignored */
+    queued: Set<string>
+    /** Tail of the queue; each file is handled after the one before it */
+    tail: Promise<unknown>
+}
+
+let active: ActiveWatch | null = null
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms))
+
+export function getWatchedFolder(): string | null {
+    return getSetting(WATCHED_FOLDER_KEY)
+}
+
+/** Save the watched folder (null turns watching off) and restart the watcher */
+export function setWatchedFolder(folder: string | null, onEvent?: (event: WatchEvent) => void): boolean {
+    if (folder !== null && !isDirectory(folder)) {
+        throw new Error('Watched folder not found. Choose an existing folder.')
+    }
+    setSetting(WATCHED_FOLDER_KEY, folder)
+    stopImportWatcher()
+    return folder === null ? false : startImportWatcher(onEvent)
+}
+
+/**
+ * Start watching the saved folder, and queue the exports already in it.
+ * Returns false when no folder is set or it no longer exists.
+ */
+export function startImportWatcher(onEvent?: (event: WatchEvent) => void): boolean {
+    stopImportWatcher()
+    const folder = getWatchedFolder()
+    if (!folder || !isDirectory(folder)) return false
+
+    const watcher = fs.watch(folder, (_eventType, fileName) => {
+        if (fileName && active) enqueueWatchedFile(active, path.join(folder, fileName.toString()))
+    })
+    // A removed or unmounted folder stops the watcher quietly; the setting is kept for next start
+    watcher.on('error', () => {
+        if (active === current) stopImportWatcher()
+    })
+    const current: ActiveWatch = { folder, watcher, onEvent, queued: new Set(), tail: Promise.resolve() }
+    active = current
+    void scanWatchedFolder()
+    return true
+}
+
+export function stopImportWatcher() {
+    if (!active) return
+    active.watcher.close()
+    active = null
+}
+
+/** Queue every export currently in the watched folder; resolves once they are all handled */
+export async function scanWatchedFolder(): Promise<WatchEvent[]> {
+    const current = active
+    if (!current) return []
+    let names: string[]
+    try {
+        names = fs.readdirSync(current.folder)
+    } catch {
+        // Removed or unreadable since watching started: stop, as the watcher's 'error' handler does
+        if (active === current) stopImportWatcher()
+        return []
+    }
+    const files = names.sort().map(name => path.join(current.folder, name))
+    const events = await Promise.all(files.map(file => enqueueWatchedFile(current, file)))
+    return events.filter((e): e is WatchEvent => e !== null)
+}
+
+function enqueueWatchedFile(watch: ActiveWatch, filePath: string): Promise<WatchEvent | null> {
+    const name = path.basename(filePath)
+    if (!WATCHED_FILE.test(name) || name.startsWith('.') || watch.queued.has(filePath)) {
+        return Promise.resolve(null)
+    }
+    watch.queued.add(filePath)
+    const handled = watch.tail.then(() => handleWatchedFile(watch, filePath))
+        .catch((err: any): WatchEvent => failedEvent(name, err))
+        .then(event => {
+            watch.queued.delete(filePath)
+            if (event && active === watch) watch.onEvent?.(event)
+            return event
+        })
+    watch.tail = handled
+    return handled
+}
+
+async function handleWatchedFile(watch: ActiveWatch, filePath: string): Promise<WatchEvent | null> {
+    const fileName = path.basename(filePath)
+    if (!(await waitUntilStable(filePath))) return null
+    if (active !== watch) return null
+
+    if (isArtifactStored(await sha256OfFile(filePath))) {
+        return { fileName, status: 'duplicate' }
+    }
+    if (!(await detectProvider(filePath))) {
+        return { fileName, status: 'unrecognized' }
+    }
+
+    // One import at a time: wait for a manual (or earlier) import to finish
+    while (isImportRunning()) {
+        await delay(BUSY_RETRY_MS)
+        if (active !== watch) return null
+    }
+    try {
+        const result = await runImportInWorker('auto', [filePath], undefined, {
+            sourceLabel: `${WATCHER_SOURCE_LABEL}: ${fileName}`,
+        })
+        // Cancelled by the user: the run was rolled back, so nothing was imported
+        if (result.cancelled) return { fileName, status: 'cancelled' }
+        return { fileName, status: 'imported', runId: result.runId }
+    } catch (err: any) {
+        return failedEvent(fileName, err)
+    }
+}
+
+function failedEvent(fileName: string, err: unknown): WatchEvent {
+    const error = toVaultError(err)
+    return { fileName, status: 'failed', error: error.message, errorCode: error.code }
+}
+
+/** Wait until a file stops growing; false when it disappeared (a browser's partial download renamed away) */
+async function waitUntilStable(filePath: string): Promise<boolean> {
+    let last = statOf(filePath)
+    while (last) {
+        await delay(STABLE_CHECK_MS)
+        const next = statOf(filePath)
+        if (next && next.size === last.size && next.mtimeMs === last.mtimeMs) return next.isFile()
+        last = next
+    }
+    return false
+}
+
+function statOf(filePath: string): fs.Stats | null {
+    try {
+        return fs.statSync(filePath)
+    } catch {
+        return null
+    }
+}
+
+function isDirectory(folder: string): boolean {
+    return statOf(folder)?.isDirectory() ?? false
+}
+
+/** Hashed as a stream so the main process stays responsive on multi-GB exports */
+function sha256OfFile(filePath: string): Promise<string> {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256')
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(hash.digest('hex')))
+    })
+}
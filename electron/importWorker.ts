@@ -0,0 +1,50 @@
+/**
+ * Import worker (worker_threads).
+ *
+ * Runs importFilesHeadless off the Electron main process so the window stays
+ * responsive. Opens its own connection to the vault database (WAL mode lets
+ * the main process keep serving searches) and must not import 'electron'.
+ *
+ * workerData: { userDataDir, provider, filePaths, options, cancelBuffer }
+ *   cancelBuffer is a SharedArrayBuffer; the main process sets slot 0 to 1 to
+ *   cancel. It is read synchronously, so cancellation also interrupts a
+ *   running importer transaction.
+ *
+ * Messages to the parent: { type: 'progress', progress } | { type: 'done', result }
+ *   | { type: 'error', message, code, cancelled }
+ */
+import { parentPort, workerData } from 'node:worker_threads'
+import { initPaths } from './paths'
+import { initDb, getDb } from './db'
+import { importFilesHeadless, ImportOptions } from './importPipeline'
+import { ImportCancelledError } from './importers/progress'
+import { toVaultError } from './errors'
+
+const { userDataDir, provider, filePaths, options, cancelBuffer } = workerData as {
+    userDataDir: string
+    provider: string
+    filePaths: string[]
+    options: ImportOptions
+    cancelBuffer: SharedArrayBuffer
+}
+
+const cancelFlag = new Int32Array(cancelBuffer)
+
+async function run() {
+    initPaths(userDataDir)
+    initDb()
+    try {
+        const result = await importFilesHeadless(provider, filePaths, {
+            onProgress: progress => parentPort!.postMessage({ type: 'progress', progress }),
+            isCancelled: () => Atomics.load(cancelFlag, 0) === 1,
+        }, options)
+        parentPort!.postMessage({ type: 'done', result })
+    } catch (err: any) {
+        const error = toVaultError(err)
+        parentPort!.postMessage({ type: 'error', message: error.message, code: error.code, cancelled: err instanceof ImportCancelledError })
+    } finally {
+        getDb().close()
+    }
+}
+
+run()
@@ -1,130 +1,402 @@
-import { getDb } from '../db'
-import crypto from 'node:crypto'
+import fs from 'node:fs'
+import { jsonArrayThreads, JsonInput } from './jsonStream'
+import { ContentTypeReport, emptyImportStats, parseContextFor, toPlainText, writeThreads } from './writer'
+import { DetectionSignal, Importer, NormalizedMessage, NormalizedThread, ParseContext } from './types'
+import { ErrorCodes, VaultError } from '../errors'
 
-export async function importChatGPT(runId: number, rawArtifactId: number, jsonContent: string) {
-    const db = getDb()
-    const data = JSON.parse(jsonContent)
+export interface WalkedNode {
+    id: string
+    node: any
+    /** True when the node lies on the root → current_node path */
+    isCanonical: boolean
+    /** Provider id of the node where this branch leaves its parent branch (null on the canonical path) */
+    branchId: string | null
+    /** Number of forks between this branch and the canonical path (0 on the canonical path) */
+    branchDepth: number
+}
+
+/**
+ * Rebuild a ChatGPT mapping tree from parent/children links and flatten it.
+ *
+ * The canonical path (root → current_node) comes first, in conversation order,
+ * followed by every other branch (edited prompts, regenerations, abandoned
+ * continuations) in depth-first order. Nodes without a message are included so
+ * callers see the full structure; they decide what to skip.
+ *
+ * If current_node is missing (older or hand-made exports), the most recently
+ * created leaf is treated as the end of the canonical path. `timeOf` reads a
+ * node's creation time for exports that do not use ChatGPT's create_time.
+ */
+export function walkMapping(thread: any, timeOf: (node: any) => number = node => node.message?.create_time ?? 0): WalkedNode[] {
+    const mapping: Record<string, any> = thread.mapping || {}
+    const ids = Object.keys(mapping)
+
+    // children: explicit `children` order first, then anything that only points up via `parent`
+    const children = new Map<string, string[]>()
+    for (const id of ids) {
+        const listed = Array.isArray(mapping[id].children) ? mapping[id].children : []
+        children.set(id, listed.filter((c: string) => c in mapping && c !== id))
+    }
+    for (const id of ids) {
+        const parent = mapping[id].parent
+        if (parent && parent in mapping && !children.get(parent)!.includes(id)) {
+            children.get(parent)!.push(id)
+        }
+    }
+
+    const roots = ids.filter(id => !mapping[id].parent || !(mapping[id].parent in mapping))
+
+    // Canonical path: walk parents up from current_node (cycle-safe)
+    let leaf: string | undefined = thread.current_node in mapping ? thread.current_node : undefined
+    if (!leaf) {
+        let latest = -Infinity
+        for (const id of ids) {
+            if (children.get(id)!.length > 0) continue
+            const t = timeOf(mapping[id])
+            if (t >= latest) {
+                latest = t
+                leaf = id
+            }
+        }
+    }
+    const canonical = new Set<string>()
+    for (let cur = leaf; cur && cur in mapping && !canonical.has(cur); cur = mapping[cur].parent) {
+        canonical.add(cur)
+    }
+
+    const mainLine: WalkedNode[] = []
+    const alternates: WalkedNode[] = []
+    const visited = new Set<string>()
+
+    // Iterative DFS so very long threads cannot overflow the stack
+    const stack: WalkedNode[] = roots.slice().reverse().map(id => ({
+        id,
+        node: mapping[id],
+        isCanonical: canonical.has(id),
+        branchId: canonical.has(id) ? null : id,
+        branchDepth: canonical.has(id) ? 0 : 1,
+    }))
+
+    while (stack.length > 0) {
+        const current = stack.pop()!
+        if (visited.has(current.id)) continue
+        visited.add(current.id)
+        ;(current.isCanonical ? mainLine : alternates).push(current)
 
-    if (!Array.isArray(data)) {
-        throw new Error('Invalid ChatGPT export format: expected array')
+        // Canonical child first, so the main conversation is never interleaved with alternates
+        const kids = children.get(current.id)!.slice().sort((a, b) => Number(canonical.has(b)) - Number(canonical.has(a)))
+        const next: WalkedNode[] = kids.map((id, i) => {
+            if (canonical.has(id)) {
+                return { id, node: mapping[id], isCanonical: true, branchId: null, branchDepth: 0 }
+            }
+            // The first child of an alternate continues that branch; any other child forks a new one
+            if (!current.isCanonical && i === 0) {
+                return { id, node: mapping[id], isCanonical: false, branchId: current.branchId, branchDepth: current.branchDepth }
+            }
+            return { id, node: mapping[id], isCanonical: false, branchId: id, branchDepth: current.branchDepth + 1 }
+        })
+        for (let i = next.length - 1; i >= 0; i--) stack.push(next[i])
     }
 
-    const insertThread = db.prepare(`
-    INSERT INTO threads (provider, provider_thread_id, title, created_at, raw_artifact_id, ingestion_run_id)
-    VALUES (?, ?, ?, ?, ?, ?)
-  `)
-
-    const insertMessage = db.prepare(`
-    INSERT INTO messages (
-      thread_id, provider, provider_message_id, role, content, content_plain,
-      timestamp, position, parent_provider_message_id, content_hash, raw_artifact_id, ingestion_run_id
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `)
-
-    // Transaction for individual thread/message insertion
-    const transaction = db.transaction(() => {
-        for (const thread of data) {
-            const threadResult = insertThread.run(
-                'chatgpt',
-                thread.id || null,
-                thread.title || 'Untitled Conversation',
-                thread.create_time ? Math.floor(thread.create_time * 1000) : null,
-                rawArtifactId,
-                runId
-            )
-
-            const threadDbId = threadResult.lastInsertRowid as number
-            let position = 0
-
-            // In ChatGPT JSON, mapping contains the messages in a node structure
-            if (thread.mapping) {
-                for (const [msgId, node] of Object.entries<any>(thread.mapping)) {
-                    const message = node.message
-                    if (!message || !message.content || message.content.content_type !== 'text') continue
-
-                    const content = message.content.parts.join('\n')
-                    const contentPlain = content.replace(/[#*`]/g, '').trim() // Basic normalization
-                    const contentHash = crypto.createHash('sha256').update(content).digest('hex')
-
-                    insertMessage.run(
-                        threadDbId,
-                        'chatgpt',
-                        msgId,
-                        message.author.role,
-                        content,
-                        contentPlain,
-                        message.create_time ? Math.floor(message.create_time * 1000) : null,
-                        position++,
-                        node.parent || null,
-                        contentHash,
-                        rawArtifactId,
-                        runId
-                    )
+    return [...mainLine, ...alternates]
+}
+
+export interface NormalizedContent {
+    content: string
+    contentPlain: string
+    /** Image/file parts referenced by the message, in part order */
+    assets: { assetPointer: string, contentType: string, width: number | null, height: number | null, sizeBytes: number | null }[]
+}
+
+/**
+ * Normalize one ChatGPT `message.content` object into stored/searchable text.
+ * Returns null for content types we do not understand (counted as skipped).
+ */
+export function normalizeContent(content: any): NormalizedContent | null {
+    const parts: any[] = Array.isArray(content.parts) ? content.parts : []
+
+    switch (content.content_type) {
+        case 'text': {
+            const text = parts.filter(p => typeof p === 'string').join('\n')
+            return { content: text, contentPlain: toPlainText(text), assets: [] }
+        }
+        case 'code': {
+            // Code interpreter / tool input
+            const code = content.text || ''
+            const fenced = '```' + (content.language && content.language !== 'unknown' ? content.language : '') + '\n' + code + '\n```'
+            return { content: fenced, contentPlain: toPlainText(code), assets: [] }
+        }
+        case 'execution_output': {
+            const output = content.text || ''
+            return { content: output, contentPlain: toPlainText(output), assets: [] }
+        }
+        case 'multimodal_text': {
+            const assets: NormalizedContent['assets'] = []
+            const rendered: string[] = []
+            const plain: string[] = []
+            for (const part of parts) {
+                if (typeof part === 'string') {
+                    rendered.push(part)
+                    plain.push(part)
+                } else if (part && typeof part.asset_pointer === 'string') {
+                    assets.push({
+                        assetPointer: part.asset_pointer,
+                        contentType: part.content_type || 'asset_pointer',
+                        width: part.width ?? null,
+                        height: part.height ?? null,
+                        sizeBytes: part.size_bytes ?? null,
+                    })
+                    rendered.push(`[image: ${part.asset_pointer}]`)
+                } else if (part && typeof part.text === 'string') {
+                    // e.g. audio_transcription parts
+                    rendered.push(part.text)
+                    plain.push(part.text)
                 }
             }
+            return { content: rendered.join('\n'), contentPlain: toPlainText(plain.join('\n')), assets }
+        }
+        case 'tether_browsing_display': {
+            const text = [content.result, content.summary].filter(Boolean).join('\n\n')
+            return { content: text, contentPlain: toPlainText(text), assets: [] }
+        }
+        case 'tether_quote': {
+            const quote = content.text || ''
+            const source = [content.title, content.url].filter(Boolean).join(' — ')
+            const rendered = source ? `> ${quote}\n\nSource: ${source}` : `> ${quote}`
+            const plain = [content.title, content.domain, quote].filter(Boolean).join('\n')
+            return { content: rendered, contentPlain: toPlainText(plain), assets: [] }
+        }
+        case 'system_error': {
+            const text = [content.name, content.text].filter(Boolean).join(': ')
+            return { content: text, contentPlain: toPlainText(text), assets: [] }
+        }
+        default:
+            return null
+    }
+}
+
+/** A mapping node's message before its place in the tree is filled in */
+export type MappingMessage = Omit<NormalizedMessage, 'providerMessageId' | 'parentProviderMessageId' | 'isCanonical' | 'branchId' | 'branchDepth'>
+
+/**
+ * Messages of a mapping tree in walkMapping() order. `toMessage` turns a node
+ * into a message (null skips it); tree position — id, parent, canonical path
+ * and branch — is filled in here, so every mapping-based export stores the
+ * same branch structure.
+ */
+export function mappingToMessages(
+    conversation: any,
+    toMessage: (node: any, id: string) => MappingMessage | null,
+    timeOf?: (node: any) => number
+): NormalizedMessage[] {
+    const messages: NormalizedMessage[] = []
+    if (!conversation.mapping) return messages
+
+    for (const { id, node, isCanonical, branchId, branchDepth } of walkMapping(conversation, timeOf)) {
+        const message = toMessage(node, id)
+        if (!message) continue
+        messages.push({
+            ...message,
+            providerMessageId: id,
+            parentProviderMessageId: node.parent || null,
+            isCanonical,
+            branchId,
+            branchDepth,
+        })
+    }
+    return messages
+}
+
+/** One conversation from conversations.json as a normalized thread */
+export function conversationToThread(conversation: any, context: ParseContext): NormalizedThread {
+    // In ChatGPT JSON, mapping contains the messages in a node tree.
+    // walkMapping() orders the canonical path first, then alternates.
+    const messages = mappingToMessages(conversation, node => {
+        const message = node.message
+        if (!message || !message.content) return null
+
+        const contentType: string = message.content.content_type || 'unknown'
+        const normalized = normalizeContent(message.content)
+        if (!normalized) {
+            context.skipped(contentType)
+            return null
+        }
+
+        return {
+            role: message.author?.role || 'unknown',
+            content: normalized.content,
+            contentPlain: normalized.contentPlain,
+            timestamp: message.create_time ? Math.floor(message.create_time * 1000) : null,
+            contentType,
+            model: message.metadata?.model_slug || null,
+            assets: normalized.assets,
         }
     })
 
-    transaction()
+    return {
+        providerThreadId: conversation.id || null,
+        title: conversation.title || 'Untitled Conversation',
+        createdAt: conversation.create_time ? Math.floor(conversation.create_time * 1000) : null,
+        messages,
+    }
+}
+
+/** conversations.json, one conversation at a time (streamed when given a file) */
+function parseConversations(input: JsonInput, context: ParseContext): AsyncGenerator<NormalizedThread> {
+    return jsonArrayThreads(input, 'ChatGPT', conversation => conversationToThread(conversation, context))
+}
+
+export type ChatHtmlStrategy = 'embedded_json' | 'dom'
+
+export interface ChatHtmlImportResult {
+    strategy: ChatHtmlStrategy
+    contentTypes: ContentTypeReport
 }
 
-export async function importChatGPTfromHTML(runId: number, rawArtifactId: number, htmlContent: string) {
-    const db = getDb()
+/**
+ * Extract the `var jsonData = [...]` literal that real ChatGPT chat.html exports
+ * embed in a <script> tag. Scans for the matching bracket while skipping over
+ * string contents, so `]` or `;` inside messages cannot end the literal early.
+ * Returns null when the page has no embedded data.
+ */
+export function extractEmbeddedJsonData(htmlContent: string): string | null {
+    const marker = /\bjsonData\s*=\s*\[/g
+    const match = marker.exec(htmlContent)
+    if (!match) return null
 
+    const start = match.index + match[0].length - 1
+    let depth = 0
+    let inString = false
+    for (let i = start; i < htmlContent.length; i++) {
+        const ch = htmlContent[i]
+        if (inString) {
+            if (ch === '\\') i++
+            else if (ch === '"') inString = false
+            continue
+        }
+        if (ch === '"') inString = true
+        else if (ch === '[' || ch === '{') depth++
+        else if (ch === ']' || ch === '}') {
+            depth--
+            if (depth === 0) return htmlContent.slice(start, i + 1)
+        }
+    }
+    return null
+}
+
+async function* parseChatHtml(htmlContent: string, context: ParseContext): AsyncGenerator<NormalizedThread> {
+    // Preferred: real exports embed the full conversation array, so reuse the mapping import
+    const embedded = extractEmbeddedJsonData(htmlContent)
+    if (embedded) {
+        let data
+        try {
+            data = JSON.parse(embedded)
+        } catch (e) {
+            throw new VaultError(ErrorCodes.PARSE_CHAT_HTML_FAILED, 'Failed to parse jsonData embedded in chat.html')
+        }
+        if (!Array.isArray(data)) {
+            throw new VaultError(ErrorCodes.PARSE_CHAT_HTML_FAILED, 'Invalid jsonData in chat.html: expected array')
+        }
+        context.setStrategy('embedded_json')
+        for (const conversation of data) yield conversationToThread(conversation, context)
+        return
+    }
+
+    const thread = parseChatHtmlDom(htmlContent)
+    context.setStrategy('dom')
+    yield thread
+}
+
+/** Last-resort DOM scrape for chat.html pages without embedded jsonData */
+function parseChatHtmlDom(htmlContent: string): NormalizedThread {
     // Basic regex for titles and messages in ChatGPT chat.html
     // Note: This is a fallback; JSON is always preferred for forensic precision.
     const threadTitleRegex = /<title>(.*?)<\/title>/i
     const titleMatch = htmlContent.match(threadTitleRegex)
     const title = titleMatch ? titleMatch[1] : 'Imported Conversation (HTML fallback)'
 
-    const insertThread = db.prepare(`
-        INSERT INTO threads (provider, title, raw_artifact_id, ingestion_run_id)
-        VALUES (?, ?, ?, ?)
-    `)
-
-    const insertMessage = db.prepare(`
-        INSERT INTO messages (
-            thread_id, provider, role, content, content_plain,
-            position, content_hash, raw_artifact_id, ingestion_run_id
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `)
-
-    db.transaction(() => {
-        const threadResult = insertThread.run('chatgpt', title, rawArtifactId, runId)
-        const threadDbId = threadResult.lastInsertRowid as number
-        let position = 0
-
-        // This is a naive regex-based extraction. 
-        // ChatGPT HTML exports typically have messages in blocks.
-        // We'll look for blocks that look like messages.
-        const messageRegex = /<div class="message">([\s\S]*?)<\/div>/g
-        const roleRegex = /<div class="author">(.*?)<\/div>/i
-        const textRegex = /<div class="content">([\s\S]*?)<\/div>/i
-
-        let match
-        while ((match = messageRegex.exec(htmlContent)) !== null) {
-            const block = match[1]
-            const roleMatch = block.match(roleRegex)
-            const textMatch = block.match(textRegex)
-
-            if (textMatch) {
-                const role = roleMatch ? roleMatch[1].toLowerCase() : 'unknown'
-                const content = textMatch[1].trim()
-                const contentPlain = content.replace(/<[^>]*>?/gm, '').trim() // Strip HTML tags
-                const contentHash = crypto.createHash('sha256').update(content).digest('hex')
-
-                insertMessage.run(
-                    threadDbId,
-                    'chatgpt',
-                    role,
-                    content,
-                    contentPlain,
-                    position++,
-                    contentHash,
-                    rawArtifactId,
-                    runId
-                )
-            }
+    // This is a naive regex-based extraction.
+    // Each message block runs from one <div class="message"> to the next, so
+    // the nested author/content divs cannot cut a block short.
+    const blocks = htmlContent.split(/<div class="message">/i).slice(1)
+    const roleRegex = /<div class="author">(.*?)<\/div>/i
+    const textRegex = /<div class="content">([\s\S]*?)<\/div>/i
+
+    const messages: NormalizedMessage[] = []
+    for (const block of blocks) {
+        const roleMatch = block.match(roleRegex)
+        const textMatch = block.match(textRegex)
+        if (textMatch) {
+            const content = textMatch[1].trim()
+            messages.push({
+                // No message ids in the page: re-imports match on hash + position
+                providerMessageId: null,
+                role: roleMatch ? roleMatch[1].toLowerCase() : 'unknown',
+                content,
+                contentPlain: content.replace(/<[^>]*>?/gm, '').trim(), // Strip HTML tags
+                timestamp: null,
+            })
+        }
+    }
+
+    if (messages.length === 0) {
+        throw new VaultError(ErrorCodes.PARSE_CHAT_HTML_FAILED, 'Failed to parse chat.html: no embedded jsonData and no message blocks found')
+    }
+
+    // No thread id either: matched on title + first message
+    return { providerThreadId: null, title, createdAt: null, messages }
+}
+
+export const isConversationsJson = (name: string) => name === 'conversations.json' || name.endsWith('/conversations.json')
+const isChatHtml = (name: string) => name === 'chat.html' || name.endsWith('/chat.html')
+
+export const chatgptImporter: Importer = {
+    provider: 'chatgpt',
+    label: 'ChatGPT',
+    fullExports: true,
+
+    sniffContent(text) {
+        const signals: DetectionSignal[] = []
+        // DeepSeek and other mapping-based exports share the tree but not content_type
+        if (/"mapping"\s*:\s*\{/.test(text) && /"content_type"\s*:/.test(text) && !/"fragments"\s*:\s*\[/.test(text)) {
+            signals.push({ provider: 'chatgpt', weight: 10, label: 'JSON has mapping node tree' })
         }
-    })()
+        if (/\bjsonData\s*=\s*\[/.test(text)) signals.push({ provider: 'chatgpt', weight: 8, label: 'HTML embeds jsonData' })
+        return signals
+    },
+
+    sniffEntryNames(names) {
+        const signals: DetectionSignal[] = []
+        if (names.some(isChatHtml)) signals.push({ provider: 'chatgpt', weight: 3, label: 'ZIP contains chat.html' })
+        if (names.some(n => /(^|\/)(message_feedback|shared_conversations)\.json$/.test(n))) {
+            signals.push({ provider: 'chatgpt', weight: 3, label: 'ZIP contains ChatGPT account files' })
+        }
+        return signals
+    },
+
+    selectEntries(names) {
+        // chat.html repeats conversations.json; only use it when the JSON is absent
+        const json = names.filter(isConversationsJson)
+        return json.length > 0 ? json : names.filter(isChatHtml)
+    },
+
+    parse(source, context) {
+        return /\.html?$/i.test(source.name)
+            ? parseChatHtml(fs.readFileSync(source.filePath, 'utf-8'), context)
+            : parseConversations({ filePath: source.filePath }, context)
+    },
+}
+
+// Direct entry points for callers that already hold the export text
+
+export async function importChatGPT(runId: number, rawArtifactId: number, input: JsonInput): Promise<ContentTypeReport> {
+    const stats = emptyImportStats()
+    await writeThreads(runId, rawArtifactId, 'chatgpt', parseConversations(input, parseContextFor(stats)), stats)
+    return stats.contentTypes
+}
+
+export async function importChatGPTfromHTML(runId: number, rawArtifactId: number, htmlContent: string): Promise<ChatHtmlImportResult> {
+    const stats = emptyImportStats()
+    await writeThreads(runId, rawArtifactId, 'chatgpt', parseChatHtml(htmlContent, parseContextFor(stats)), stats)
+    return { strategy: stats.strategy as ChatHtmlStrategy, contentTypes: stats.contentTypes }
 }
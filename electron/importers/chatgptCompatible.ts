@@ -0,0 +1,93 @@
+import { jsonArrayThreads, JsonInput } from './jsonStream'
+import { isConversationsJson, MappingMessage, mappingToMessages, normalizeContent } from './chatgpt'
+import { toMillis } from './writer'
+import { Importer, NormalizedThread, ParseContext } from './types'
+
+/**
+ * Other tools that export ChatGPT's conversations.json layout (mapping node
+ * tree, parent/children links) without its typed `content` objects: content
+ * may be a plain string, a `parts` list or a `text` field, and the role may sit
+ * on the message itself. Stored under their own provider so they can be told
+ * apart from ChatGPT in search.
+ */
+
+function messageTime(message: any): number | null {
+    return toMillis(message?.create_time ?? message?.created_at ?? message?.timestamp)
+}
+
+function partText(part: any): string {
+    if (typeof part === 'string') return part
+    if (part && typeof part.text === 'string') return part.text
+    return ''
+}
+
+function nodeToMessage(node: any, context: ParseContext): MappingMessage | null {
+    const message = node.message
+    if (!message) return null
+
+    const role = message.author?.role || message.role || 'unknown'
+    const model = message.model || message.metadata?.model_slug || null
+    const timestamp = messageTime(message)
+    const content = message.content
+
+    // A node that does carry a ChatGPT content_type is read the ChatGPT way
+    if (content && typeof content === 'object' && typeof content.content_type === 'string') {
+        const normalized = normalizeContent(content)
+        if (!normalized) {
+            context.skipped(content.content_type)
+            return null
+        }
+        return { role, timestamp, contentType: content.content_type, model, ...normalized }
+    }
+
+    let text = ''
+    if (typeof content === 'string') text = content
+    else if (content && Array.isArray(content.parts)) text = content.parts.map(partText).filter(Boolean).join('\n')
+    else if (content && typeof content.text === 'string') text = content.text
+    else if (typeof message.text === 'string') text = message.text
+
+    if (!text) {
+        if (content !== undefined && content !== null) context.skipped('unknown')
+        return null
+    }
+    return { role, content: text, timestamp, contentType: 'text', model }
+}
+
+/** One conversation as a normalized thread */
+export function conversationToThread(conversation: any, context: ParseContext): NormalizedThread {
+    return {
+        providerThreadId: conversation.id || null,
+        title: conversation.title || 'Untitled Conversation',
+        createdAt: toMillis(conversation.create_time ?? conversation.created_at),
+        messages: mappingToMessages(conversation, node => nodeToMessage(node, context), node => messageTime(node.message) ?? 0),
+    }
+}
+
+function parseConversations(input: JsonInput, context: ParseContext): AsyncGenerator<NormalizedThread> {
+    return jsonArrayThreads(input, 'ChatGPT-compatible', conversation => conversationToThread(conversation, context))
+}
+
+export const chatgptCompatibleImporter: Importer = {
+    provider: 'chatgpt_compatible',
+    label: 'ChatGPT-compatible',
+    fullExports: true,
+
+    sniffContent(text) {
+        // ChatGPT claims trees with content_type, DeepSeek those with fragments
+        return /"mapping"\s*:\s*\{/.test(text) && !/"content_type"\s*:/.test(text) && !/"fragments"\s*:\s*\[/.test(text)
+            ? [{ provider: 'chatgpt_compatible', weight: 8, label: 'JSON has mapping node tree without ChatGPT content types' }]
+            : []
+    },
+
+    sniffEntryNames() {
+        return []
+    },
+
+    selectEntries(names) {
+        return names.filter(isConversationsJson)
+    },
+
+    parse(source, context) {
+        return parseConversations({ filePath: source.filePath }, context)
+    },
+}
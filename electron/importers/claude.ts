@@ -1,65 +1,155 @@
-import { getDb } from '../db'
-import crypto from 'node:crypto'
+import { jsonArrayThreads, JsonInput } from './jsonStream'
+import { isConversationsJson } from './chatgpt'
+import { writeThreads } from './writer'
+import { Importer, NormalizedAsset, NormalizedMessage, NormalizedThread } from './types'
 
-export async function importClaude(runId: number, rawArtifactId: number, jsonContent: string) {
-    const db = getDb()
-    const data = JSON.parse(jsonContent)
+export interface ParsedClaudeMessage {
+    /** Ordered text/tool_use/tool_result content, as stored in messages.content */
+    content: string
+    /** Thinking blocks, stored as sub-records excluded from default search */
+    thinking: string[]
+    /** Attachments with extracted text, stored as searchable sub-records */
+    attachments: { fileName: string, fileType: string | null, fileSize: number | null, extractedContent: string }[]
+    /** File metadata only (uploads without extracted text) */
+    files: { fileName: string, fileUuid: string | null }[]
+}
 
-    // Claude exports vary, but often follow a [ { uuid, name, chat_messages: [...] } ] structure
-    if (!Array.isArray(data)) {
-        throw new Error('Invalid Claude export format: expected array')
+function blockText(value: any): string {
+    if (typeof value === 'string') return value
+    if (Array.isArray(value)) return value.map(blockText).filter(Boolean).join('\n')
+    if (value && typeof value === 'object') {
+        // tool_result items: { type: 'text', text } or knowledge results { title, url, text }
+        return [value.title, value.url, value.text].filter(v => typeof v === 'string' && v).join('\n')
     }
+    return ''
+}
 
-    const insertThread = db.prepare(`
-    INSERT INTO threads (provider, provider_thread_id, title, created_at, raw_artifact_id, ingestion_run_id)
-    VALUES (?, ?, ?, ?, ?, ?)
-  `)
-
-    const insertMessage = db.prepare(`
-    INSERT INTO messages (
-      thread_id, provider, provider_message_id, role, content, content_plain,
-      timestamp, position, parent_provider_message_id, content_hash, raw_artifact_id, ingestion_run_id
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `)
-
-    const transaction = db.transaction(() => {
-        for (const thread of data) {
-            const threadResult = insertThread.run(
-                'claude',
-                thread.uuid || null,
-                thread.name || 'Untitled Conversation',
-                thread.created_at ? new Date(thread.created_at).getTime() : null,
-                rawArtifactId,
-                runId
-            )
-
-            const threadDbId = threadResult.lastInsertRowid as number
-            let position = 0
-
-            if (thread.chat_messages) {
-                for (const msg of thread.chat_messages) {
-                    const content = msg.text || ''
-                    const contentPlain = content.replace(/[#*`]/g, '').trim()
-                    const contentHash = crypto.createHash('sha256').update(content).digest('hex')
-
-                    insertMessage.run(
-                        threadDbId,
-                        'claude',
-                        msg.uuid || null,
-                        msg.sender || 'unknown',
-                        content,
-                        contentPlain,
-                        msg.created_at ? new Date(msg.created_at).getTime() : null,
-                        position++,
-                        null, // No parent ID in Claude direct export usually
-                        contentHash,
-                        rawArtifactId,
-                        runId
-                    )
-                }
+/**
+ * Parse one Claude chat message. Current exports carry a typed `content` block
+ * array; older ones only have `text`, which is used when no blocks are present.
+ */
+export function parseClaudeMessage(msg: any): ParsedClaudeMessage {
+    const parts: string[] = []
+    const thinking: string[] = []
+
+    const blocks: any[] = Array.isArray(msg.content) ? msg.content : []
+    for (const block of blocks) {
+        if (!block) continue
+        switch (block.type) {
+            case 'text':
+                if (block.text) parts.push(block.text)
+                break
+            case 'tool_use': {
+                const input = block.input === undefined ? '' : JSON.stringify(block.input, null, 2)
+                parts.push(`[Tool call: ${block.name || 'tool'}]\n${input}`.trim())
+                break
+            }
+            case 'tool_result': {
+                const label = block.is_error ? 'Tool error' : 'Tool result'
+                parts.push(`[${label}: ${block.name || 'tool'}]\n${blockText(block.content)}`.trim())
+                break
             }
+            case 'thinking':
+                if (block.thinking) thinking.push(block.thinking)
+                break
+        }
+    }
+
+    const content = parts.length > 0 ? parts.join('\n\n') : (msg.text || '')
+
+    const attachments = (Array.isArray(msg.attachments) ? msg.attachments : [])
+        .filter((a: any) => a && typeof a.extracted_content === 'string' && a.extracted_content.trim())
+        .map((a: any) => ({
+            fileName: a.file_name || 'attachment',
+            fileType: a.file_type || null,
+            fileSize: typeof a.file_size === 'number' ? a.file_size : null,
+            extractedContent: a.extracted_content,
+        }))
+
+    const files = (Array.isArray(msg.files) ? msg.files : [])
+        .filter((f: any) => f && (f.file_name || f.file_uuid))
+        .map((f: any) => ({ fileName: f.file_name || f.file_uuid, fileUuid: f.file_uuid || null }))
+
+    return { content, thinking, attachments, files }
+}
+
+/** One Claude conversation as a normalized thread; attachments and thinking become sub-records */
+export function conversationToThread(conversation: any): NormalizedThread {
+    const messages: NormalizedMessage[] = (conversation.chat_messages || []).map((msg: any) => {
+        const { content, thinking, attachments, files } = parseClaudeMessage(msg)
+        const role = msg.sender || 'unknown'
+        const timestamp = msg.created_at ? new Date(msg.created_at).getTime() : null
+
+        // Sub-records share the parent's position and link back via parent_message_id
+        const subRecords: NormalizedMessage[] = [
+            ...attachments.map((a, i) => ({ id: `${msg.uuid}:attachment:${i}`, type: 'attachment', text: a.extractedContent })),
+            ...thinking.map((t, i) => ({ id: `${msg.uuid}:thinking:${i}`, type: 'thinking', text: t })),
+        ].map(sub => ({
+            providerMessageId: msg.uuid ? sub.id : null,
+            role,
+            content: sub.text,
+            timestamp,
+            contentType: sub.type,
+        }))
+
+        // Attachment and file metadata on the message itself
+        const assets: NormalizedAsset[] = [
+            ...attachments.map(a => ({ assetPointer: a.fileName, contentType: 'attachment', fileName: a.fileName, sizeBytes: a.fileSize })),
+            ...files.map(f => ({ assetPointer: f.fileUuid || f.fileName, contentType: 'file', fileName: f.fileName })),
+        ]
+
+        return {
+            providerMessageId: msg.uuid || null,
+            role,
+            content,
+            timestamp,
+            parentProviderMessageId: null, // No parent ID in Claude direct export usually
+            assets,
+            subRecords,
         }
     })
 
-    transaction()
+    return {
+        providerThreadId: conversation.uuid || null,
+        title: conversation.name || 'Untitled Conversation',
+        createdAt: conversation.created_at ? new Date(conversation.created_at).getTime() : null,
+        messages,
+    }
+}
+
+// Claude exports vary, but often follow a [ { uuid, name, chat_messages: [...] } ] structure
+function parseConversations(input: JsonInput): AsyncGenerator<NormalizedThread> {
+    return jsonArrayThreads(input, 'Claude', conversationToThread)
+}
+
+export const claudeImporter: Importer = {
+    provider: 'claude',
+    label: 'Claude',
+    fullExports: true,
+
+    sniffContent(text) {
+        return /"chat_messages"\s*:\s*\[/.test(text)
+            ? [{ provider: 'claude', weight: 10, label: 'JSON has chat_messages' }]
+            : []
+    },
+
+    sniffEntryNames(names) {
+        return names.some(n => /(^|\/)(users|projects)\.json$/.test(n))
+            ? [{ provider: 'claude', weight: 2, label: 'ZIP contains Claude account files' }]
+            : []
+    },
+
+    selectEntries(names) {
+        // users.json and projects.json hold account data, not conversations
+        return names.filter(isConversationsJson)
+    },
+
+    parse(source) {
+        return parseConversations({ filePath: source.filePath })
+    },
+}
+
+/** Direct entry point for callers that already hold the export text */
+export async function importClaude(runId: number, rawArtifactId: number, input: JsonInput) {
+    await writeThreads(runId, rawArtifactId, 'claude', parseConversations(input))
 }
@@ -0,0 +1,107 @@
+import { jsonArrayThreads, JsonInput } from './jsonStream'
+import { isConversationsJson, MappingMessage, mappingToMessages } from './chatgpt'
+import { toMillis } from './writer'
+import { Importer, NormalizedAsset, NormalizedMessage, NormalizedThread, ParseContext } from './types'
+
+/**
+ * DeepSeek exports a conversations.json with ChatGPT's mapping node tree, but
+ * each message holds a `fragments` list instead of `content`: REQUEST is the
+ * prompt, RESPONSE the answer and THINK the model's reasoning. Branches are
+ * walked exactly as for ChatGPT (walkMapping), with inserted_at as node time.
+ */
+
+function nodeTime(node: any): number {
+    return toMillis(node.message?.inserted_at) ?? 0
+}
+
+function fragmentsToMessage(node: any, id: string, context: ParseContext): MappingMessage | null {
+    const message = node.message
+    if (!message || !Array.isArray(message.fragments)) return null
+
+    let role = 'assistant'
+    const parts: string[] = []
+    const thinking: string[] = []
+    for (const fragment of message.fragments) {
+        if (!fragment || typeof fragment.content !== 'string') continue
+        switch (fragment.type) {
+            case 'REQUEST':
+                role = 'user'
+                parts.push(fragment.content)
+                break
+            case 'RESPONSE':
+                parts.push(fragment.content)
+                break
+            case 'THINK':
+                thinking.push(fragment.content)
+                break
+            default:
+                // Search results, tool calls and other fragments we do not store
+                context.skipped(String(fragment.type || 'unknown').toLowerCase())
+        }
+    }
+    if (parts.length === 0 && thinking.length === 0) return null
+
+    const timestamp = toMillis(message.inserted_at)
+
+    // Reasoning is stored like Claude's thinking: a sub-record hidden from default search
+    const subRecords: NormalizedMessage[] = thinking.map((text, i) => ({
+        providerMessageId: `${id}:thinking:${i}`,
+        role,
+        content: text,
+        timestamp,
+        contentType: 'thinking',
+    }))
+
+    const assets: NormalizedAsset[] = (Array.isArray(message.files) ? message.files : [])
+        .filter((f: any) => f && (f.file_name || f.id))
+        .map((f: any) => ({ assetPointer: f.id || f.file_name, contentType: 'file', fileName: f.file_name || null }))
+
+    return {
+        role,
+        content: parts.join('\n\n'),
+        timestamp,
+        contentType: 'text',
+        model: message.model || null,
+        assets,
+        subRecords,
+    }
+}
+
+/** One DeepSeek conversation as a normalized thread */
+export function conversationToThread(conversation: any, context: ParseContext): NormalizedThread {
+    return {
+        providerThreadId: conversation.id || null,
+        title: conversation.title || 'Untitled Conversation',
+        createdAt: toMillis(conversation.inserted_at),
+        messages: mappingToMessages(conversation, (node, id) => fragmentsToMessage(node, id, context), nodeTime),
+    }
+}
+
+function parseConversations(input: JsonInput, context: ParseContext): AsyncGenerator<NormalizedThread> {
+    return jsonArrayThreads(input, 'DeepSeek', conversation => conversationToThread(conversation, context))
+}
+
+export const deepseekImporter: Importer = {
+    provider: 'deepseek',
+    label: 'DeepSeek',
+    fullExports: true,
+
+    sniffContent(text) {
+        return /"mapping"\s*:\s*\{/.test(text) && /"fragments"\s*:\s*\[/.test(text)
+            ? [{ provider: 'deepseek', weight: 10, label: 'JSON has mapping node tree with fragments' }]
+            : []
+    },
+
+    sniffEntryNames() {
+        // DeepSeek ZIPs hold only conversations.json (and user.json), like others
+        return []
+    },
+
+    selectEntries(names) {
+        return names.filter(isConversationsJson)
+    },
+
+    parse(source, context) {
+        return parseConversations({ filePath: source.filePath }, context)
+    },
+}
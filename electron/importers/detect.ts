@@ -0,0 +1,140 @@
+import fs from 'node:fs'
+import { ZipReader } from '../zipReader'
+import { FolderEntry, isFolder, listFolderFiles } from '../folderReader'
+import { listImporters } from './registry'
+import { DetectionSignal } from './types'
+
+/**
+ * Provider auto-detection.
+ *
+ * Looks at ZIP entry names and at the shape of the JSON/HTML inside (`mapping`
+ * vs `chat_messages` vs Takeout activity records) and picks the importer. The
+ * signals themselves come from each registered importer.
+ * Only a prefix of each candidate file is inspected, so detection stays cheap
+ * even for very large exports.
+ */
+
+export type DetectionConfidence = 'high' | 'medium' | 'low'
+
+export interface DetectionResult {
+    provider: string
+    confidence: DetectionConfidence
+    /** Human-readable signals that led to the decision (no user content) */
+    signals: string[]
+}
+
+const SNIFF_BYTES = 256 * 1024
+const MAX_SNIFFED_ENTRIES = 10
+// Well-known export files are sniffed first
+const KNOWN_FILE = /(^|\/)(conversations\.json|chat\.html|MyActivity\.(json|html))$/i
+const SNIFFABLE_FILE = /\.(json|html?|md|markdown|jsonl)$/i
+
+/** Structural signals found in a JSON or HTML prefix, from every registered importer */
+function sniffContent(text: string): DetectionSignal[] {
+    return listImporters().flatMap(importer => importer.sniffContent(text))
+}
+
+/** Weak signals from ZIP entry names alone */
+function sniffEntryNames(names: string[]): DetectionSignal[] {
+    return listImporters().flatMap(importer => importer.sniffEntryNames(names))
+}
+
+function decide(signals: DetectionSignal[]): DetectionResult | null {
+    const scores = new Map<string, number>()
+    for (const s of signals) scores.set(s.provider, (scores.get(s.provider) || 0) + s.weight)
+
+    const ranked = [...scores.entries()].sort((a, b) => b[1] - a[1])
+    if (ranked.length === 0) return null
+
+    const [best, bestScore] = ranked[0]
+    const runnerUp = ranked.length > 1 ? ranked[1][1] : 0
+    if (bestScore === runnerUp) return null
+
+    const structural = signals.some(s => s.provider === best && s.weight >= 8)
+    const confidence: DetectionConfidence = structural && runnerUp === 0 ? 'high' : structural ? 'medium' : 'low'
+
+    return {
+        provider: best,
+        confidence,
+        signals: signals.filter(s => s.provider === best).map(s => s.label),
+    }
+}
+
+/** Files worth sniffing, well-known ones first, capped at MAX_SNIFFED_ENTRIES */
+function sniffCandidates<T extends { name: string }>(files: T[]): T[] {
+    return files
+        .filter(f => SNIFFABLE_FILE.test(f.name))
+        .sort((a, b) => Number(KNOWN_FILE.test(b.name)) - Number(KNOWN_FILE.test(a.name)))
+        .slice(0, MAX_SNIFFED_ENTRIES)
+}
+
+function readPrefix(filePath: string): string {
+    const fd = fs.openSync(filePath, 'r')
+    try {
+        const buffer = Buffer.alloc(SNIFF_BYTES)
+        const read = fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0)
+        return buffer.subarray(0, read).toString('utf-8')
+    } finally {
+        fs.closeSync(fd)
+    }
+}
+
+/**
+ * Detect which provider produced an export (a file, a ZIP or a folder).
+ * Returns null when no importer recognizes it (or the signals are tied).
+ *
+ * Only the first SNIFF_BYTES of each candidate are read; for ZIPs the entries
+ * are inflated through the streaming reader and stop at that prefix. Missing
+ * or unreadable files and damaged or unsafe archives are left for the import
+ * pipeline to report.
+ */
+export async function detectProvider(filePath: string): Promise<DetectionResult | null> {
+    if (isFolder(filePath)) {
+        let files: FolderEntry[]
+        try {
+            files = listFolderFiles(filePath)
+        } catch {
+            // Unsafe or oversized folders are left for the pipeline to report
+            return null
+        }
+        const signals = sniffEntryNames(files.map(f => f.name))
+        for (const file of sniffCandidates(files)) {
+            try {
+                signals.push(...sniffContent(readPrefix(file.filePath)))
+            } catch {
+                // Unreadable files carry no signal; the pipeline reports them
+            }
+        }
+        return decide(signals)
+    }
+    if (!filePath.toLowerCase().endsWith('.zip')) {
+        try {
+            return decide(sniffContent(readPrefix(filePath)))
+        } catch {
+            // Missing or unreadable files are left for the pipeline to report
+            return null
+        }
+    }
+
+    let zip: ZipReader
+    try {
+        zip = ZipReader.open(filePath)
+    } catch {
+        return null
+    }
+    try {
+        const files = zip.entries.filter(e => !e.isDirectory)
+        const signals = sniffEntryNames(files.map(e => e.name))
+
+        for (const entry of sniffCandidates(files)) {
+            try {
+                signals.push(...sniffContent((await zip.read(entry, SNIFF_BYTES)).toString('utf-8')))
+            } catch {
+                // Unreadable entries carry no signal; the pipeline reports them
+            }
+        }
+        return decide(signals)
+    } finally {
+        zip.close()
+    }
+}
@@ -1,88 +1,114 @@
-import { getDb } from '../db'
-import crypto from 'node:crypto'
+import fs from 'node:fs'
+import { ActivityRecord, activityToThreads, isActivityExport, parseActivityHtmlThreads, parseActivityJson } from './geminiActivity'
+import { jsonArrayItems, inBatches, jsonExportError, JsonInput } from './jsonStream'
+import { writeThreads } from './writer'
+import { DetectionSignal, Importer, NormalizedMessage, NormalizedThread } from './types'
 
 /**
  * Gemini Google Takeout Importer
  * 
  * Supports the Conversations.json format found in the Gemini folder of a Google Takeout export.
  * Also handles variant structures with 'messages' instead of 'conversations'.
+ * My Activity exports (MyActivity.json and MyActivity.html) are parsed by geminiActivity.ts.
  */
-export async function importGemini(runId: number, rawArtifactId: number, jsonContent: string) {
-    const db = getDb()
-    let data;
-    try {
-        data = JSON.parse(jsonContent)
-    } catch (e) {
-        throw new Error('Failed to parse Gemini JSON content')
+
+function conversationToThread(thread: any): NormalizedThread | null {
+    const conversations = thread.conversations || thread.messages || []
+    if (conversations.length === 0) return null
+
+    const messages: NormalizedMessage[] = []
+    for (const msg of conversations) {
+        // Handle different possible message content keys
+        const content = msg.content || msg.text || msg.prompt_text || msg.response_text || ''
+        if (!content) continue
+
+        // Map author/sender to normalized roles (user/assistant)
+        let roleStr = (msg.author || msg.sender || msg.role || 'unknown').toLowerCase()
+        let role = 'unknown'
+        if (roleStr.includes('user')) role = 'user'
+        else if (roleStr.includes('gemini') || roleStr.includes('assistant') || roleStr.includes('model') || roleStr.includes('ai')) role = 'assistant'
+        else role = roleStr
+
+        const timestamp = msg.created_at || msg.timestamp || msg.time ? new Date(msg.created_at || msg.timestamp || msg.time).getTime() : null
+
+        messages.push({ providerMessageId: null, role, content, timestamp })
     }
 
-    if (!Array.isArray(data)) {
-        // If it's not an array, it might be a single thread or a different format (like MyActivity.json)
-        // For V1, we prioritize the conversational array format.
-        throw new Error('Invalid Gemini export format: expected array of conversations')
+    // Gemini Takeout doesn't always have a clear thread ID, use null and
+    // let re-imports match on title + first message instead
+    return {
+        providerThreadId: null,
+        title: thread.title || 'Untitled Gemini Conversation',
+        createdAt: null,
+        messages,
     }
+}
+
+async function* parseGeminiJson(input: JsonInput): AsyncGenerator<NormalizedThread> {
+    // Takeout "Gemini Apps Activity": a flat list of prompt/response records. The
+    // first batch decides the format; activity records are grouped into threads
+    // across the whole file, so their (small) parsed form is collected first.
+    let isActivity: boolean | null = null
+    const activity: ActivityRecord[] = []
 
-    const insertThread = db.prepare(`
-        INSERT INTO threads (provider, provider_thread_id, title, raw_artifact_id, ingestion_run_id)
-        VALUES (?, ?, ?, ?, ?)
-    `)
-
-    const insertMessage = db.prepare(`
-        INSERT INTO messages (
-            thread_id, provider, role, content, content_plain,
-            timestamp, position, content_hash, raw_artifact_id, ingestion_run_id
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `)
-
-    const transaction = db.transaction(() => {
-        for (const thread of data) {
-            const conversations = thread.conversations || thread.messages || []
-            if (conversations.length === 0) continue
-
-            // Gemini Takeout doesn't always have a clear thread ID, use null
-            const threadResult = insertThread.run(
-                'gemini',
-                null,
-                thread.title || 'Untitled Gemini Conversation',
-                rawArtifactId,
-                runId
-            )
-
-            const threadDbId = threadResult.lastInsertRowid as number
-            let position = 0
-
-            for (const msg of conversations) {
-                // Handle different possible message content keys
-                const content = msg.content || msg.text || msg.prompt_text || msg.response_text || ''
-                if (!content) continue
-
-                const contentPlain = content.replace(/[#*`]/g, '').trim()
-                const contentHash = crypto.createHash('sha256').update(content).digest('hex')
-
-                // Map author/sender to normalized roles (user/assistant)
-                let roleStr = (msg.author || msg.sender || msg.role || 'unknown').toLowerCase()
-                let role = 'unknown'
-                if (roleStr.includes('user')) role = 'user'
-                else if (roleStr.includes('gemini') || roleStr.includes('assistant') || roleStr.includes('model') || roleStr.includes('ai')) role = 'assistant'
-                else role = roleStr
-
-                const timestamp = msg.created_at || msg.timestamp || msg.time ? new Date(msg.created_at || msg.timestamp || msg.time).getTime() : null
-
-                insertMessage.run(
-                    threadDbId,
-                    'gemini',
-                    role,
-                    content,
-                    contentPlain,
-                    timestamp,
-                    position++,
-                    contentHash,
-                    rawArtifactId,
-                    runId
-                )
+    try {
+        for await (const batch of inBatches(jsonArrayItems(input))) {
+            if (isActivity === null) isActivity = isActivityExport(batch)
+            if (isActivity) {
+                activity.push(...parseActivityJson(batch))
+                continue
+            }
+            for (const conversation of batch) {
+                const thread = conversationToThread(conversation)
+                if (thread) yield thread
             }
         }
-    })
+    } catch (err) {
+        throw jsonExportError(err, 'Gemini', 'expected array of conversations or activity records')
+    }
+
+    if (isActivity) yield* activityToThreads(activity)
+}
+
+const isActivityHtml = (name: string) => /(^|\/)MyActivity\.html$/i.test(name)
+
+export const geminiImporter: Importer = {
+    provider: 'gemini',
+    label: 'Gemini',
+    fullExports: true,
+
+    sniffContent(text) {
+        const signals: DetectionSignal[] = []
+        if (/"header"\s*:\s*"Gemini Apps"/.test(text) || /"safeHtmlItem"\s*:/.test(text)) {
+            signals.push({ provider: 'gemini', weight: 10, label: 'JSON has Gemini Apps activity records' })
+        }
+        if (/"conversations"\s*:\s*\[/.test(text) && !/"mapping"\s*:/.test(text)) {
+            signals.push({ provider: 'gemini', weight: 4, label: 'JSON has conversations array' })
+        }
+        if (/class="outer-cell/.test(text) && /Gemini Apps/.test(text)) {
+            signals.push({ provider: 'gemini', weight: 8, label: 'HTML is a My Activity page' })
+        }
+        return signals
+    },
+
+    sniffEntryNames(names) {
+        return names.some(n => /(^|\/)Takeout\//.test(n) || /Gemini( Apps)?\//i.test(n))
+            ? [{ provider: 'gemini', weight: 3, label: 'ZIP has Google Takeout layout' }]
+            : []
+    },
+
+    selectEntries(names) {
+        return names.filter(n => n.endsWith('.json') || isActivityHtml(n))
+    },
+
+    parse(source) {
+        return /\.html?$/i.test(source.name)
+            ? parseActivityHtmlThreads(fs.readFileSync(source.filePath, 'utf-8'))
+            : parseGeminiJson({ filePath: source.filePath })
+    },
+}
 
-    transaction()
+/** Direct entry point for callers that already hold the export text */
+export async function importGemini(runId: number, rawArtifactId: number, input: JsonInput) {
+    await writeThreads(runId, rawArtifactId, 'gemini', parseGeminiJson(input))
 }
@@ -0,0 +1,201 @@
+import { writeThreads } from './writer'
+import { NormalizedMessage, NormalizedThread } from './types'
+import { ErrorCodes, VaultError } from '../errors'
+
+/**
+ * Gemini "My Activity" Importer (Google Takeout)
+ *
+ * Takeout exports Gemini Apps Activity as a flat, newest-first list of activity
+ * records (My Activity/Gemini Apps/MyActivity.json or MyActivity.html), one per
+ * prompt, with the response embedded as HTML. There are no threads in the export,
+ * so records are grouped:
+ *   1. by conversation link (gemini.google.com/app/<id>) when one is present
+ *   2. otherwise by time proximity — a gap longer than ACTIVITY_THREAD_GAP_MS
+ *      starts a new thread
+ */
+
+export const ACTIVITY_THREAD_GAP_MS = 30 * 60 * 1000
+
+export interface ActivityRecord {
+    /** Original activity timestamp (ms since epoch) */
+    time: number
+    prompt: string
+    /** Response as exported (HTML), or null when the record has none */
+    responseHtml: string | null
+    /** Gemini conversation id from the record's link, if any */
+    conversationId: string | null
+}
+
+const CONVERSATION_URL = /gemini\.google\.com\/app\/([A-Za-z0-9_-]+)/
+
+export function decodeEntities(text: string): string {
+    return text
+        .replace(/&nbsp;|&emsp;|&ensp;|&thinsp;/g, ' ')
+        .replace(/&#(\d+);/g, (_m, n) => String.fromCodePoint(parseInt(n, 10)))
+        .replace(/&#x([0-9a-f]+);/gi, (_m, n) => String.fromCodePoint(parseInt(n, 16)))
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+}
+
+export function htmlToText(html: string): string {
+    return decodeEntities(
+        html
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(p|div|li|h[1-6]|pre|tr)>/gi, '\n')
+            .replace(/<[^>]*>?/gm, '')
+    )
+        .replace(/[ \t\u00a0\u202f]+/g, ' ')
+        .replace(/\n\s*\n\s*\n+/g, '\n\n')
+        .trim()
+}
+
+/** Titles look like "Prompted <text>"; other activity (feedback, settings) has no prompt */
+function promptFromTitle(title: string): string | null {
+    const match = title.match(/^Prompted\s+([\s\S]*)$/)
+    return match ? match[1].trim() : null
+}
+
+/** Takeout HTML dates are locale formatted, e.g. "Jan 5, 2025, 10:00:00 AM EST" */
+function parseActivityDate(text: string): number | null {
+    const cleaned = text.replace(/[\u00a0\u202f]/g, ' ').trim()
+    let time = Date.parse(cleaned)
+    // Zone abbreviations V8 does not know (CET, IST, ...) — fall back to local time
+    if (isNaN(time)) time = Date.parse(cleaned.replace(/\s+[A-Z]{2,5}$/, ''))
+    return isNaN(time) ? null : time
+}
+
+export function parseActivityJson(data: any[]): ActivityRecord[] {
+    const records: ActivityRecord[] = []
+    for (const item of data) {
+        if (!item || typeof item.title !== 'string' || !item.time) continue
+        const prompt = promptFromTitle(item.title)
+        if (!prompt) continue
+
+        const time = new Date(item.time).getTime()
+        if (isNaN(time)) continue
+
+        const html = Array.isArray(item.safeHtmlItem)
+            ? item.safeHtmlItem.map((h: any) => h?.html || '').filter(Boolean).join('\n')
+            : ''
+        const links = [item.titleUrl, ...(Array.isArray(item.subtitles) ? item.subtitles.map((s: any) => s?.url) : [])]
+        const conversationId = links
+            .map(url => (typeof url === 'string' ? url.match(CONVERSATION_URL)?.[1] : undefined))
+            .find(Boolean) || null
+
+        records.push({ time, prompt, responseHtml: html || null, conversationId })
+    }
+    return records
+}
+
+export function parseActivityHtml(htmlContent: string): ActivityRecord[] {
+    const records: ActivityRecord[] = []
+    const cells = htmlContent.split(/<div class="outer-cell/i).slice(1)
+
+    for (const cell of cells) {
+        // The first body content-cell holds: title <br> date <br> response html
+        const body = cell.match(/<div class="content-cell[^"]*mdl-typography--body-1"[^>]*>([\s\S]*?)<\/div>\s*<div class="content-cell/i)
+        if (!body) continue
+
+        const [titleHtml, dateHtml, ...rest] = body[1].split(/<br\s*\/?>/i)
+        if (dateHtml === undefined) continue
+
+        const prompt = promptFromTitle(htmlToText(titleHtml))
+        if (!prompt) continue
+        const time = parseActivityDate(htmlToText(dateHtml))
+        if (time === null) continue
+
+        const responseHtml = rest.join('<br>').trim()
+        const conversationId = cell.match(CONVERSATION_URL)?.[1] || null
+
+        records.push({ time, prompt, responseHtml: responseHtml || null, conversationId })
+    }
+    return records
+}
+
+/**
+ * Group activity records into threads: conversation links first, then time
+ * proximity for records without a link. Threads and their records come back
+ * in chronological order.
+ */
+export function groupActivityIntoThreads(records: ActivityRecord[]): ActivityRecord[][] {
+    const sorted = records.slice().sort((a, b) => a.time - b.time)
+    const byConversation = new Map<string, ActivityRecord[]>()
+    const threads: ActivityRecord[][] = []
+    let current: ActivityRecord[] | null = null
+
+    for (const record of sorted) {
+        if (record.conversationId) {
+            let thread = byConversation.get(record.conversationId)
+            if (!thread) {
+                thread = []
+                byConversation.set(record.conversationId, thread)
+                threads.push(thread)
+            }
+            thread.push(record)
+            continue
+        }
+
+        const last = current ? current[current.length - 1] : null
+        if (!current || !last || record.time - last.time > ACTIVITY_THREAD_GAP_MS) {
+            current = []
+            threads.push(current)
+        }
+        current.push(record)
+    }
+
+    return threads
+}
+
+export function isActivityExport(data: any[]): boolean {
+    return data.some(item => item && typeof item.title === 'string' && item.time && (item.header || item.products))
+}
+
+/** Activity records as normalized threads: one prompt and (when present) one response per record */
+export function activityToThreads(records: ActivityRecord[]): NormalizedThread[] {
+    return groupActivityIntoThreads(records).map(thread => {
+        const first = thread[0]
+        const title = first.prompt.length > 80 ? first.prompt.slice(0, 77) + '...' : first.prompt
+        const messages: NormalizedMessage[] = []
+        let previousId: string | null = null
+
+        for (const record of thread) {
+            const turns = [{ id: `${record.time}:prompt`, role: 'user', content: record.prompt }]
+            if (record.responseHtml) {
+                turns.push({ id: `${record.time}:response`, role: 'assistant', content: htmlToText(record.responseHtml) })
+            }
+            for (const turn of turns) {
+                messages.push({
+                    providerMessageId: turn.id,
+                    role: turn.role,
+                    content: turn.content,
+                    timestamp: record.time,
+                    parentProviderMessageId: previousId,
+                })
+                previousId = turn.id
+            }
+        }
+
+        return {
+            providerThreadId: first.conversationId || `activity:${first.time}`,
+            title: title || 'Untitled Gemini Conversation',
+            createdAt: first.time,
+            messages,
+        }
+    })
+}
+
+export function parseActivityHtmlThreads(htmlContent: string): NormalizedThread[] {
+    const records = parseActivityHtml(htmlContent)
+    if (records.length === 0) {
+        throw new VaultError(ErrorCodes.PARSE_ACTIVITY_HTML_FAILED, 'Failed to parse MyActivity.html: no Gemini prompts found')
+    }
+    return activityToThreads(records)
+}
+
+/** Direct entry point for callers that already hold the page */
+export async function importGeminiActivityHTML(runId: number, rawArtifactId: number, htmlContent: string) {
+    await writeThreads(runId, rawArtifactId, 'gemini', parseActivityHtmlThreads(htmlContent))
+}
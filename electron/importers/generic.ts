@@ -0,0 +1,176 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import readline from 'node:readline'
+import { toMillis } from './writer'
+import { DetectionSignal, Importer, NormalizedMessage, NormalizedThread } from './types'
+import { ErrorCodes, VaultError } from '../errors'
+
+/**
+ * Hand-saved transcripts, one conversation per file:
+ *   - Markdown with a heading per turn (`## User`, `## Assistant`), optional
+ *     YAML front-matter (title, date, id) and an optional `# Title` heading
+ *   - JSONL with one `{ role, content, timestamp }` object per line, as written
+ *     by API scripts; a line without a role may carry the title and id
+ * The title comes from front-matter (or a JSONL title line), then the first
+ * non-role heading, then the file name.
+ */
+
+const ROLE_HEADING = /^#{1,6}\s+(user|assistant|system|human|ai|model|tool)\s*:?\s*$/i
+const ROLE_ALIASES: Record<string, string> = { human: 'user', ai: 'assistant', model: 'assistant' }
+const TRANSCRIPT_FILE = /\.(md|markdown|jsonl)$/i
+
+function normalizeRole(role: string): string {
+    const lower = role.toLowerCase()
+    return ROLE_ALIASES[lower] || lower
+}
+
+function titleFromFileName(name: string): string {
+    return path.basename(name).replace(/\.[^.]+$/, '') || 'Untitled Conversation'
+}
+
+/** `key: value` pairs of a leading `---` block; returns the body after it */
+function splitFrontMatter(text: string): { meta: Record<string, string>, body: string } {
+    const match = /^\uFEFF?---\r?\n([\s\S]*?)\r?\n---\s*(\r?\n|$)/.exec(text)
+    if (!match) return { meta: {}, body: text.replace(/^\uFEFF/, '') }
+
+    const meta: Record<string, string> = {}
+    for (const line of match[1].split(/\r?\n/)) {
+        const pair = /^([A-Za-z_][\w-]*)\s*:\s*(.*)$/.exec(line)
+        if (pair) meta[pair[1].toLowerCase()] = pair[2].trim().replace(/^(['"])(.*)\1$/, '$2')
+    }
+    return { meta, body: text.slice(match[0].length) }
+}
+
+/** One Markdown transcript as a thread; null when it has no role headings */
+export function markdownToThread(name: string, text: string): NormalizedThread | null {
+    const { meta, body } = splitFrontMatter(text)
+    const messages: NormalizedMessage[] = []
+    let heading: string | null = null
+    let current: { role: string, lines: string[] } | null = null
+    let inFence = false
+
+    const flush = () => {
+        if (!current) return
+        const content = current.lines.join('\n').trim()
+        if (content) messages.push({ providerMessageId: null, role: current.role, content, timestamp: null })
+    }
+
+    for (const line of body.split(/\r?\n/)) {
+        // Headings inside fenced code blocks are content, not turns
+        if (/^\s*(```|~~~)/.test(line)) inFence = !inFence
+        const role = inFence ? null : ROLE_HEADING.exec(line)
+        if (role) {
+            flush()
+            current = { role: normalizeRole(role[1]), lines: [] }
+        } else if (current) {
+            current.lines.push(line)
+        } else if (!heading && !inFence) {
+            const title = /^#{1,6}\s+(.+?)\s*#*\s*$/.exec(line)
+            if (title) heading = title[1]
+        }
+    }
+    flush()
+    if (messages.length === 0) return null
+
+    return {
+        providerThreadId: meta.id || null,
+        title: meta.title || heading || titleFromFileName(name),
+        createdAt: toMillis(meta.date ?? meta.created),
+        messages,
+    }
+}
+
+/** OpenAI-style content: a string or a list of `{ type: 'text', text }` parts */
+function lineContent(content: any): string {
+    if (typeof content === 'string') return content
+    if (Array.isArray(content)) {
+        return content.map(part => typeof part === 'string' ? part : typeof part?.text === 'string' ? part.text : '').filter(Boolean).join('\n')
+    }
+    return ''
+}
+
+/** One JSONL transcript as a thread; null when it has no messages */
+export async function jsonlToThread(name: string, lines: AsyncIterable<string> | Iterable<string>): Promise<NormalizedThread | null> {
+    const messages: NormalizedMessage[] = []
+    let title: string | null = null
+    let threadId: string | null = null
+    let lineNumber = 0
+
+    for await (const line of lines) {
+        lineNumber++
+        if (!line.trim()) continue
+        let record: any
+        try {
+            record = JSON.parse(line.replace(/^\uFEFF/, ''))
+        } catch {
+            throw new VaultError(ErrorCodes.PARSE_JSON_FAILED, `Invalid JSONL: line ${lineNumber} is not JSON`)
+        }
+        if (!record || typeof record !== 'object') continue
+
+        if (typeof record.role !== 'string') {
+            // Metadata line, e.g. { "title": "...", "id": "..." }
+            title = title ?? (typeof record.title === 'string' ? record.title : null)
+            threadId = threadId ?? (record.id != null ? String(record.id) : null)
+            continue
+        }
+        const content = lineContent(record.content)
+        if (!content) continue
+        messages.push({
+            providerMessageId: record.id != null ? String(record.id) : null,
+            role: normalizeRole(record.role),
+            content,
+            timestamp: toMillis(record.timestamp ?? record.created_at),
+            model: typeof record.model === 'string' ? record.model : null,
+        })
+    }
+    if (messages.length === 0) return null
+
+    return {
+        providerThreadId: threadId,
+        title: title || titleFromFileName(name),
+        createdAt: messages[0].timestamp,
+        messages,
+    }
+}
+
+async function* parseTranscript(name: string, filePath: string): AsyncGenerator<NormalizedThread> {
+    const thread = /\.jsonl$/i.test(name)
+        ? await jsonlToThread(name, readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity }))
+        : markdownToThread(name, fs.readFileSync(filePath, 'utf-8'))
+    if (thread) yield thread
+}
+
+export const genericImporter: Importer = {
+    provider: 'generic',
+    label: 'Generic (Markdown / JSONL)',
+    fullExports: false,
+
+    sniffContent(text) {
+        const signals: DetectionSignal[] = []
+        if (text.split(/\r?\n/).some(line => ROLE_HEADING.test(line))) {
+            signals.push({ provider: 'generic', weight: 8, label: 'Markdown has role headings' })
+        }
+        // One object per line (pretty-printed JSON never looks like this); a title line may come first
+        const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/)
+        if (lines.length > 1) lines.pop() // may be cut off by the sniffed prefix
+        const head = lines.filter(line => line.trim()).slice(0, 5)
+        if (head.length > 0 && head.every(line => /^\s*\{.*\}\s*$/.test(line)) && head.some(line => /"role"\s*:.*"content"\s*:/.test(line))) {
+            signals.push({ provider: 'generic', weight: 8, label: 'JSONL with role/content lines' })
+        }
+        return signals
+    },
+
+    sniffEntryNames(names) {
+        return names.length > 0 && names.every(n => TRANSCRIPT_FILE.test(n))
+            ? [{ provider: 'generic', weight: 3, label: 'Only Markdown/JSONL files' }]
+            : []
+    },
+
+    selectEntries(names) {
+        return names.filter(n => TRANSCRIPT_FILE.test(n))
+    },
+
+    parse(source) {
+        return parseTranscript(source.name, source.filePath)
+    },
+}
@@ -0,0 +1,171 @@
+import fs from 'node:fs'
+import { ErrorCodes, VaultError } from '../errors'
+
+/**
+ * Streaming reader for export files whose top level is one JSON array
+ * (conversations.json and friends).
+ *
+ * The input is scanned byte by byte for element boundaries — tracking nesting
+ * depth and string/escape state — and each element is handed to JSON.parse on
+ * its own. Only one conversation is held in memory at a time, however large the
+ * file. Structural characters are all ASCII, so chunk boundaries that split a
+ * multi-byte UTF-8 character are harmless: the bytes are joined before decoding.
+ */
+
+/** Raw JSON text, or a file on disk that is read as a stream */
+export type JsonInput = string | { filePath: string }
+
+/** Conversations per importer batch (a savepoint within the run's transaction) when importing from a stream */
+export const IMPORT_BATCH_SIZE = 100
+
+const STREAM_CHUNK = 1024 * 1024
+
+export class JsonArrayExpectedError extends Error {
+    constructor() {
+        super('expected a JSON array at the top level')
+        this.name = 'JsonArrayExpectedError'
+    }
+}
+
+const QUOTE = 0x22
+const BACKSLASH = 0x5c
+const COMMA = 0x2c
+const OPEN_BRACE = 0x7b
+const CLOSE_BRACE = 0x7d
+const OPEN_BRACKET = 0x5b
+const CLOSE_BRACKET = 0x5d
+const BOM = [0xef, 0xbb, 0xbf]
+
+function isWhitespace(byte: number): boolean {
+    return byte === 0x20 || byte === 0x0a || byte === 0x0d || byte === 0x09
+}
+
+// open: after '[', next: after ',', element: inside an element, done: after ']'
+type ScanState = 'start' | 'open' | 'next' | 'element' | 'done'
+
+/** Yield each element of a top-level JSON array read from byte chunks */
+export async function* parseJsonArray(chunks: AsyncIterable<Buffer>): AsyncGenerator<any> {
+    let state = 'start' as ScanState
+    let depth = 0
+    let inString = false
+    let escaped = false
+    let bomRead = 0
+    // Bytes of the element being scanned, across chunk boundaries
+    let parts: Buffer[] = []
+
+    for await (const chunk of chunks) {
+        let elementStart = 0
+        for (let i = 0; i < chunk.length; i++) {
+            const byte = chunk[i]
+
+            if (state === 'element') {
+                if (inString) {
+                    if (escaped) escaped = false
+                    else if (byte === BACKSLASH) escaped = true
+                    else if (byte === QUOTE) inString = false
+                } else if (byte === QUOTE) {
+                    inString = true
+                } else if (byte === OPEN_BRACE || byte === OPEN_BRACKET) {
+                    depth++
+                } else if (depth > 0 && (byte === CLOSE_BRACE || byte === CLOSE_BRACKET)) {
+                    depth--
+                } else if (depth === 0 && (byte === COMMA || byte === CLOSE_BRACKET)) {
+                    parts.push(chunk.subarray(elementStart, i))
+                    const text = Buffer.concat(parts).toString('utf-8')
+                    parts = []
+                    state = byte === COMMA ? 'next' : 'done'
+                    yield JSON.parse(text)
+                }
+                continue
+            }
+
+            // UTF-8 byte order mark
+            if (state === 'start' && bomRead < 3 && byte === BOM[bomRead]) {
+                bomRead++
+                continue
+            }
+            if (isWhitespace(byte)) continue
+            if (state === 'start') {
+                if (byte !== OPEN_BRACKET) throw new JsonArrayExpectedError()
+                state = 'open'
+            } else if (state === 'open' && byte === CLOSE_BRACKET) {
+                state = 'done'
+            } else if (state === 'open' || state === 'next') {
+                if (byte === COMMA || byte === CLOSE_BRACKET) throw new SyntaxError('Unexpected token in JSON array')
+                state = 'element'
+                elementStart = i
+                depth = 0
+                i--
+            } else {
+                throw new SyntaxError('Unexpected data after the top-level JSON array')
+            }
+        }
+        if (state === 'element') parts.push(chunk.subarray(elementStart))
+    }
+
+    if (state === 'start') throw new JsonArrayExpectedError()
+    if (state !== 'done') throw new SyntaxError('Unexpected end of JSON input')
+}
+
+/** Elements of a top-level JSON array, from text or streamed from a file */
+export async function* jsonArrayItems(input: JsonInput): AsyncGenerator<any> {
+    if (typeof input === 'string') {
+        const data = JSON.parse(input)
+        if (!Array.isArray(data)) throw new JsonArrayExpectedError()
+        yield* data
+        return
+    }
+    yield* parseJsonArray(fs.createReadStream(input.filePath, { highWaterMark: STREAM_CHUNK }))
+}
+
+/** Group items into arrays of at most `size`, so each batch can be written as one unit */
+export async function* inBatches<T>(items: AsyncIterable<T> | Iterable<T>, size: number = IMPORT_BATCH_SIZE): AsyncGenerator<T[]> {
+    let batch: T[] = []
+    for await (const item of items) {
+        batch.push(item)
+        if (batch.length >= size) {
+            yield batch
+            batch = []
+        }
+    }
+    if (batch.length > 0) yield batch
+}
+
+/**
+ * Conversations of an export that is either a top-level array (streamed as
+ * above) or one conversation object (single-chat exports, read whole).
+ */
+export async function* jsonRecords(input: JsonInput): AsyncGenerator<any> {
+    try {
+        yield* jsonArrayItems(input)
+    } catch (err) {
+        // Thrown before any element is yielded, so nothing is read twice
+        if (!(err instanceof JsonArrayExpectedError)) throw err
+        const text = typeof input === 'string' ? input : fs.readFileSync(input.filePath, 'utf-8')
+        const data = JSON.parse(text.replace(/^\uFEFF/, ''))
+        if (!data || typeof data !== 'object') throw err
+        yield data
+    }
+}
+
+/**
+ * A JSON export that did not parse, or was not the expected shape, as the
+ * VaultError the user sees (`label` names the export, e.g. 'Claude'); any
+ * other error is returned unchanged. For importers' catch blocks.
+ */
+export function jsonExportError(err: unknown, label: string, expected: string = 'expected array'): unknown {
+    if (err instanceof JsonArrayExpectedError) return new VaultError(ErrorCodes.EXPORT_FORMAT_INVALID, `Invalid ${label} export format: ${expected}`)
+    if (err instanceof SyntaxError) return new VaultError(ErrorCodes.PARSE_JSON_FAILED, `Failed to parse ${label} JSON content`)
+    return err
+}
+
+/** Each element of a top-level JSON array export as a thread, streamed; parse errors as in jsonExportError */
+export async function* jsonArrayThreads<T>(input: JsonInput, label: string, toThread: (item: any) => T): AsyncGenerator<T> {
+    try {
+        for await (const item of jsonArrayItems(input)) {
+            yield toThread(item)
+        }
+    } catch (err) {
+        throw jsonExportError(err, label)
+    }
+}
@@ -0,0 +1,134 @@
+import { jsonExportError, jsonRecords, JsonInput } from './jsonStream'
+import { MappingMessage, mappingToMessages } from './chatgpt'
+import { toMillis } from './writer'
+import { Importer, NormalizedMessage, NormalizedThread, ParseContext } from './types'
+import { ErrorCodes, VaultError } from '../errors'
+
+/**
+ * LibreChat conversation exports: `{ conversationId, title, messages }`, one
+ * conversation per file (or a list of them). Messages link to their parent by
+ * parentMessageId; with the "recursive" export option they are nested under
+ * `children` instead of listed flat. Both are rebuilt into a mapping tree and
+ * walked with mappingToMessages(). The export does not record which branch was
+ * selected, so the most recently created leaf ends the canonical path.
+ */
+
+/** parentMessageId of a conversation's first message */
+const NO_PARENT = '00000000-0000-0000-0000-000000000000'
+
+/** Flat list of every message, whether exported flat or nested under children */
+function flattenMessages(messages: any[]): any[] {
+    const out: any[] = []
+    const stack = messages.slice().reverse()
+    while (stack.length > 0) {
+        const message = stack.pop()
+        if (!message || typeof message !== 'object') continue
+        out.push(message)
+        if (Array.isArray(message.children)) stack.push(...message.children.slice().reverse())
+    }
+    return out
+}
+
+function toMessage(message: any, id: string, context: ParseContext): MappingMessage | null {
+    const role = message.isCreatedByUser ? 'user' : 'assistant'
+    const timestamp = toMillis(message.createdAt)
+    const parts: string[] = []
+    const thinking: string[] = []
+
+    // Agents and newer endpoints store typed content parts; `text` is the plain reply
+    if (Array.isArray(message.content) && message.content.length > 0) {
+        for (const part of message.content) {
+            if (!part) continue
+            if (part.type === 'text') {
+                const text = typeof part.text === 'string' ? part.text : part.text?.value
+                if (text) parts.push(text)
+            } else if (part.type === 'think') {
+                const text = typeof part.think === 'string' ? part.think : part.think?.value
+                if (text) thinking.push(text)
+            } else {
+                context.skipped(String(part.type || 'unknown'))
+            }
+        }
+    } else if (typeof message.text === 'string' && message.text) {
+        parts.push(message.text)
+    }
+    if (parts.length === 0 && thinking.length === 0) return null
+
+    const subRecords: NormalizedMessage[] = thinking.map((text, i) => ({
+        providerMessageId: `${id}:thinking:${i}`,
+        role,
+        content: text,
+        timestamp,
+        contentType: 'thinking',
+    }))
+
+    return {
+        role,
+        content: parts.join('\n\n'),
+        timestamp,
+        contentType: 'text',
+        model: message.model || null,
+        subRecords,
+    }
+}
+
+/** One LibreChat conversation as a normalized thread */
+export function conversationToThread(conversation: any, context: ParseContext): NormalizedThread {
+    const mapping: Record<string, any> = {}
+    for (const message of flattenMessages(Array.isArray(conversation.messages) ? conversation.messages : [])) {
+        if (!message.messageId) continue
+        mapping[message.messageId] = {
+            parent: message.parentMessageId && message.parentMessageId !== NO_PARENT ? message.parentMessageId : null,
+            message,
+        }
+    }
+    const messages = mappingToMessages(
+        { mapping },
+        (node, id) => toMessage(node.message, id, context),
+        node => toMillis(node.message.createdAt) ?? 0
+    )
+
+    return {
+        providerThreadId: conversation.conversationId || null,
+        title: conversation.title || 'Untitled Conversation',
+        createdAt: toMillis(conversation.createdAt) ?? messages[0]?.timestamp ?? null,
+        messages,
+    }
+}
+
+async function* parseConversations(input: JsonInput, context: ParseContext): AsyncGenerator<NormalizedThread> {
+    try {
+        for await (const conversation of jsonRecords(input)) {
+            if (!conversation || !Array.isArray(conversation.messages)) {
+                throw new VaultError(ErrorCodes.EXPORT_FORMAT_INVALID, 'Invalid LibreChat export format: expected conversations with messages')
+            }
+            yield conversationToThread(conversation, context)
+        }
+    } catch (err) {
+        throw jsonExportError(err, 'LibreChat', 'expected conversations with messages')
+    }
+}
+
+export const libreChatImporter: Importer = {
+    provider: 'librechat',
+    label: 'LibreChat',
+    fullExports: false,
+
+    sniffContent(text) {
+        return /"parentMessageId"\s*:/.test(text) && /"conversationId"\s*:/.test(text)
+            ? [{ provider: 'librechat', weight: 10, label: 'JSON has LibreChat messages with parentMessageId' }]
+            : []
+    },
+
+    sniffEntryNames() {
+        return []
+    },
+
+    selectEntries(names) {
+        return names.filter(n => n.endsWith('.json'))
+    },
+
+    parse(source, context) {
+        return parseConversations({ filePath: source.filePath }, context)
+    },
+}
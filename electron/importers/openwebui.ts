@@ -0,0 +1,100 @@
+import { jsonExportError, jsonRecords, JsonInput } from './jsonStream'
+import { mappingToMessages } from './chatgpt'
+import { toMillis } from './writer'
+import { Importer, NormalizedAsset, NormalizedThread } from './types'
+import { ErrorCodes, VaultError } from '../errors'
+
+/**
+ * Open WebUI chat exports: a list of chats (or a single chat), each holding
+ * `chat.history.messages` keyed by message id with parentId/childrenIds links
+ * and `history.currentId` as the selected leaf. That is the same tree shape as
+ * ChatGPT's mapping, so it is walked with mappingToMessages(): the selected
+ * path is canonical and regenerations/edits are kept as alternates.
+ */
+
+function fileAssets(files: any): NormalizedAsset[] {
+    // Images are often inlined as data: URLs; only ids and names are kept
+    return (Array.isArray(files) ? files : [])
+        .map((f: any) => ({ f, pointer: f?.id || f?.file?.id || f?.name || null }))
+        .filter(({ pointer }) => typeof pointer === 'string' && !pointer.startsWith('data:'))
+        .map(({ f, pointer }) => ({
+            assetPointer: pointer,
+            contentType: f.type || 'file',
+            fileName: f.name || f.file?.filename || null,
+            sizeBytes: typeof f.size === 'number' ? f.size : null,
+        }))
+}
+
+/** One Open WebUI chat as a normalized thread */
+export function chatToThread(item: any): NormalizedThread {
+    const chat = item.chat || item
+    const history = chat.history || {}
+    const messages: Record<string, any> = history.messages || {}
+
+    // Rebuild as a mapping tree: { id: { parent, children, message } }
+    const mapping: Record<string, any> = {}
+    for (const [id, message] of Object.entries(messages)) {
+        mapping[id] = {
+            parent: message?.parentId || null,
+            children: Array.isArray(message?.childrenIds) ? message.childrenIds : [],
+            message,
+        }
+    }
+
+    return {
+        providerThreadId: item.id || chat.id || null,
+        title: item.title || chat.title || 'Untitled Conversation',
+        createdAt: toMillis(item.created_at ?? chat.timestamp),
+        messages: mappingToMessages(
+            { mapping, current_node: history.currentId },
+            node => {
+                const message = node.message
+                if (!message || typeof message.content !== 'string') return null
+                return {
+                    role: message.role || 'unknown',
+                    content: message.content,
+                    timestamp: toMillis(message.timestamp),
+                    contentType: 'text',
+                    model: message.model || null,
+                    assets: fileAssets(message.files),
+                }
+            },
+            node => toMillis(node.message?.timestamp) ?? 0
+        ),
+    }
+}
+
+async function* parseChats(input: JsonInput): AsyncGenerator<NormalizedThread> {
+    try {
+        for await (const item of jsonRecords(input)) {
+            if (!item || typeof item !== 'object') throw new VaultError(ErrorCodes.EXPORT_FORMAT_INVALID, 'Invalid Open WebUI export format: expected chat objects')
+            yield chatToThread(item)
+        }
+    } catch (err) {
+        throw jsonExportError(err, 'Open WebUI', 'expected chat objects')
+    }
+}
+
+export const openWebUIImporter: Importer = {
+    provider: 'openwebui',
+    label: 'Open WebUI',
+    fullExports: false,
+
+    sniffContent(text) {
+        return /"history"\s*:\s*\{/.test(text) && /"currentId"\s*:/.test(text)
+            ? [{ provider: 'openwebui', weight: 10, label: 'JSON has Open WebUI chat history' }]
+            : []
+    },
+
+    sniffEntryNames() {
+        return []
+    },
+
+    selectEntries(names) {
+        return names.filter(n => n.endsWith('.json'))
+    },
+
+    parse(source) {
+        return parseChats({ filePath: source.filePath })
+    },
+}
@@ -0,0 +1,100 @@
+import { ErrorCodes, VaultError } from '../errors'
+
+/**
+ * Import progress and cancellation.
+ *
+ * One import runs per process (the import worker, or the --smoke runner), so
+ * the active run's counters live in module state. The reconciler reports every
+ * thread and message it writes; that is also where cancellation is checked, so
+ * a cancel request interrupts even a single large importer transaction.
+ */
+
+export type ImportPhase = 'reading' | 'scanning' | 'importing' | 'finalizing'
+
+export interface ImportProgress {
+    runId: number
+    phase: ImportPhase
+    /** Selected file or folder being imported, when several were chosen at once */
+    sourceName: string | null
+    sourceIndex: number
+    sourcesTotal: number
+    /** Files inside the export (1 for a plain JSON/HTML file) */
+    entriesTotal: number
+    entriesScanned: number
+    threadsWritten: number
+    messagesWritten: number
+}
+
+export interface ImportHooks {
+    onProgress?: (progress: ImportProgress) => void
+    /** Polled between entries and on every write; true aborts and rolls back the run */
+    isCancelled?: () => boolean
+}
+
+export class ImportCancelledError extends VaultError {
+    constructor() {
+        super(ErrorCodes.IMPORT_CANCELLED, 'Import cancelled')
+        this.name = 'ImportCancelledError'
+    }
+}
+
+// Emit at most this often while records are being written
+const EMIT_INTERVAL_MS = 100
+
+let active: { progress: ImportProgress, hooks: ImportHooks, lastEmit: number } | null = null
+
+function emit(force: boolean) {
+    if (!active || !active.hooks.onProgress) return
+    const now = Date.now()
+    if (!force && now - active.lastEmit < EMIT_INTERVAL_MS) return
+    active.lastEmit = now
+    active.hooks.onProgress({ ...active.progress })
+}
+
+export function beginImportProgress(runId: number, hooks: ImportHooks) {
+    active = {
+        progress: { runId, phase: 'reading', sourceName: null, sourceIndex: 0, sourcesTotal: 1, entriesTotal: 0, entriesScanned: 0, threadsWritten: 0, messagesWritten: 0 },
+        hooks,
+        lastEmit: 0,
+    }
+    emit(true)
+}
+
+export function endImportProgress() {
+    active = null
+}
+
+export function throwIfCancelled() {
+    if (active?.hooks.isCancelled?.()) throw new ImportCancelledError()
+}
+
+export function setImportPhase(phase: ImportPhase, entriesTotal?: number) {
+    if (!active) return
+    throwIfCancelled()
+    active.progress.phase = phase
+    if (entriesTotal !== undefined) active.progress.entriesTotal = entriesTotal
+    emit(true)
+}
+
+/** Start the next selected file or folder; entry counts restart for it */
+export function setImportSource(index: number, total: number, name: string) {
+    if (!active) return
+    throwIfCancelled()
+    Object.assign(active.progress, { sourceName: name, sourceIndex: index, sourcesTotal: total, entriesTotal: 0, entriesScanned: 0 })
+    emit(true)
+}
+
+export function recordEntryScanned() {
+    if (!active) return
+    throwIfCancelled()
+    active.progress.entriesScanned++
+    emit(false)
+}
+
+export function recordWrite(kind: 'thread' | 'message') {
+    if (!active) return
+    throwIfCancelled()
+    if (kind === 'thread') active.progress.threadsWritten++
+    else active.progress.messagesWritten++
+    emit(false)
+}
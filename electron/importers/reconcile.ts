@@ -0,0 +1,242 @@
+import { getDb } from '../db'
+import { recordWrite } from './progress'
+
+/**
+ * Re-import reconciliation.
+ *
+ * Each new export from a provider repeats every conversation from the previous
+ * one. Instead of inserting everything again, importers write through a
+ * reconciler that matches existing rows:
+ *   - threads on provider + provider_thread_id (exports without thread ids
+ *     fall back to title + content_hash of the first message)
+ *   - messages on provider_message_id within the thread, falling back to
+ *     content_hash + position + content_type when the export has no ids
+ *
+ * Matched rows are updated in place and stamped with last_ingestion_run_id, so
+ * a newer export only adds new threads and appends new messages. The original
+ * ingestion_run_id / raw_artifact_id (where a record was first seen) are kept.
+ * When a matched message's content_hash differs, the previous message (content,
+ * role, branch fields, model and its message_assets) is copied to
+ * message_versions before it is overwritten, so undoing the run can put it
+ * back. A message whose content_hash is unchanged keeps its content: only its
+ * position, parent, branch fields, model and last_ingestion_run_id are
+ * updated (a newer export may have moved current_node to another branch), so
+ * re-importing the same export does not re-index it.
+ */
+
+export interface ThreadRecord {
+    provider: string
+    providerThreadId: string | null
+    title: string
+    createdAt: number | null
+    /** content_hash of the first message; identifies threads exported without an id */
+    firstContentHash?: string | null
+}
+
+export interface MessageRecord {
+    threadId: number
+    provider: string
+    providerMessageId: string | null
+    role: string
+    content: string
+    contentPlain: string
+    timestamp: number | null
+    position: number
+    parentProviderMessageId: string | null
+    contentHash: string
+    contentType?: string
+    /** Model that wrote the message, when the export names it */
+    model?: string | null
+    isCanonical?: boolean
+    branchId?: string | null
+    branchDepth?: number
+    /** Owning message row for sub-records (attachments, thinking) */
+    parentMessageId?: number | null
+}
+
+export interface ThreadUpsert {
+    id: number
+    status: 'inserted' | 'matched'
+}
+
+export interface MessageUpsert {
+    id: number
+    /** 'updated' means the content changed; its message_assets were cleared for re-insert */
+    status: 'inserted' | 'updated' | 'unchanged'
+}
+
+export interface Reconciler {
+    upsertThread(record: ThreadRecord): ThreadUpsert
+    upsertMessage(record: MessageRecord): MessageUpsert
+}
+
+/** Prepare reconciling writers for one artifact of a run. Call inside the importer's transaction. */
+export function createReconciler(runId: number, rawArtifactId: number): Reconciler {
+    const db = getDb()
+
+    const findThreadById = db.prepare(`
+        SELECT id FROM threads WHERE provider = ? AND provider_thread_id = ? ORDER BY id LIMIT 1
+    `)
+    const findThreadByFirstMessage = db.prepare(`
+        SELECT t.id FROM threads t
+        JOIN messages m ON m.thread_id = t.id AND m.position = 0 AND m.parent_message_id IS NULL
+        WHERE t.provider = ? AND t.provider_thread_id IS NULL AND t.title IS ? AND m.content_hash = ?
+        ORDER BY t.id LIMIT 1
+    `)
+    const insertThread = db.prepare(`
+        INSERT INTO threads (provider, provider_thread_id, title, created_at, raw_artifact_id, ingestion_run_id, last_ingestion_run_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `)
+    const touchThread = db.prepare(`
+        UPDATE threads SET title = ?, created_at = COALESCE(created_at, ?), last_ingestion_run_id = ?, missing_since_run_id = NULL
+        WHERE id = ?
+    `)
+
+    const findMessageById = db.prepare(`
+        SELECT id, content_hash FROM messages WHERE thread_id = ? AND provider_message_id = ? ORDER BY id LIMIT 1
+    `)
+    const findMessageByHash = db.prepare(`
+        SELECT id, content_hash FROM messages
+        WHERE thread_id = ? AND provider_message_id IS NULL AND content_hash = ? AND position = ? AND content_type = ?
+        ORDER BY id LIMIT 1
+    `)
+    const insertMessage = db.prepare(`
+        INSERT INTO messages (
+            thread_id, provider, provider_message_id, role, content, content_plain,
+            timestamp, position, parent_provider_message_id, content_hash, raw_artifact_id, ingestion_run_id,
+            is_canonical, branch_id, branch_depth, content_type, parent_message_id, last_ingestion_run_id, model
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `)
+    const updateMessage = db.prepare(`
+        UPDATE messages SET
+            role = ?, content = ?, content_plain = ?, timestamp = ?, position = ?,
+            parent_provider_message_id = ?, content_hash = ?, is_canonical = ?, branch_id = ?,
+            branch_depth = ?, content_type = ?, parent_message_id = ?, last_ingestion_run_id = ?, model = ?
+        WHERE id = ?
+    `)
+    // Not content_plain: the FTS triggers only fire when it changes
+    const touchMessage = db.prepare(`
+        UPDATE messages SET
+            position = ?, parent_provider_message_id = ?, is_canonical = ?, branch_id = ?, branch_depth = ?,
+            last_ingestion_run_id = ?, model = ?
+        WHERE id = ?
+    `)
+    const clearAssets = db.prepare(`DELETE FROM message_assets WHERE message_id = ?`)
+    const keepPreviousVersion = db.prepare(`
+        INSERT INTO message_versions (
+            message_id, content, content_plain, content_hash, timestamp, ingestion_run_id, replaced_by_run_id, replaced_at,
+            role, position, parent_provider_message_id, is_canonical, branch_id, branch_depth, content_type, model, assets
+        )
+        SELECT
+            m.id, m.content, m.content_plain, m.content_hash, m.timestamp, m.last_ingestion_run_id, ?, ?,
+            m.role, m.position, m.parent_provider_message_id, m.is_canonical, m.branch_id, m.branch_depth, m.content_type, m.model,
+            (
+                SELECT json_group_array(json_object(
+                    'asset_pointer', a.asset_pointer, 'content_type', a.content_type, 'width', a.width, 'height', a.height,
+                    'size_bytes', a.size_bytes, 'position', a.position, 'file_name', a.file_name
+                )) FROM message_assets a WHERE a.message_id = m.id
+            )
+        FROM messages m WHERE m.id = ?
+    `)
+
+    return {
+        upsertThread(record) {
+            recordWrite('thread')
+            const existing = (record.providerThreadId
+                ? findThreadById.get(record.provider, record.providerThreadId)
+                : record.firstContentHash
+                    ? findThreadByFirstMessage.get(record.provider, record.title, record.firstContentHash)
+                    : undefined) as { id: number } | undefined
+
+            if (existing) {
+                touchThread.run(record.title, record.createdAt, runId, existing.id)
+                return { id: existing.id, status: 'matched' }
+            }
+
+            const result = insertThread.run(
+                record.provider,
+                record.providerThreadId,
+                record.title,
+                record.createdAt,
+                rawArtifactId,
+                runId,
+                runId
+            )
+            return { id: result.lastInsertRowid as number, status: 'inserted' }
+        },
+
+        upsertMessage(record) {
+            recordWrite('message')
+            const contentType = record.contentType || 'text'
+            const isCanonical = record.isCanonical === false ? 0 : 1
+            const branchId = record.branchId ?? null
+            const branchDepth = record.branchDepth ?? 0
+            const parentMessageId = record.parentMessageId ?? null
+            const model = record.model ?? null
+
+            const existing = (record.providerMessageId
+                ? findMessageById.get(record.threadId, record.providerMessageId)
+                : findMessageByHash.get(record.threadId, record.contentHash, record.position, contentType)
+            ) as { id: number, content_hash: string } | undefined
+
+            if (existing) {
+                if (existing.content_hash === record.contentHash) {
+                    touchMessage.run(
+                        record.position,
+                        record.parentProviderMessageId,
+                        isCanonical,
+                        branchId,
+                        branchDepth,
+                        runId,
+                        model,
+                        existing.id
+                    )
+                    return { id: existing.id, status: 'unchanged' }
+                }
+                keepPreviousVersion.run(runId, Date.now(), existing.id)
+                updateMessage.run(
+                    record.role,
+                    record.content,
+                    record.contentPlain,
+                    record.timestamp,
+                    record.position,
+                    record.parentProviderMessageId,
+                    record.contentHash,
+                    isCanonical,
+                    branchId,
+                    branchDepth,
+                    contentType,
+                    parentMessageId,
+                    runId,
+                    model,
+                    existing.id
+                )
+                clearAssets.run(existing.id)
+                return { id: existing.id, status: 'updated' }
+            }
+
+            const result = insertMessage.run(
+                record.threadId,
+                record.provider,
+                record.providerMessageId,
+                record.role,
+                record.content,
+                record.contentPlain,
+                record.timestamp,
+                record.position,
+                record.parentProviderMessageId,
+                record.contentHash,
+                rawArtifactId,
+                runId,
+                isCanonical,
+                branchId,
+                branchDepth,
+                contentType,
+                parentMessageId,
+                runId,
+                model
+            )
+            return { id: result.lastInsertRowid as number, status: 'inserted' }
+        },
+    }
+}
@@ -0,0 +1,37 @@
+import { chatgptImporter } from './chatgpt'
+import { chatgptCompatibleImporter } from './chatgptCompatible'
+import { claudeImporter } from './claude'
+import { deepseekImporter } from './deepseek'
+import { geminiImporter } from './gemini'
+import { genericImporter } from './generic'
+import { libreChatImporter } from './librechat'
+import { openWebUIImporter } from './openwebui'
+import { Importer } from './types'
+
+/**
+ * Every importer the vault knows. Adding a provider means writing one module
+ * that exports an Importer (see types.ts) and listing it here; detection, the
+ * import pipeline and the provider picker all read from this list.
+ */
+const IMPORTERS: Importer[] = [
+    chatgptImporter,
+    claudeImporter,
+    geminiImporter,
+    deepseekImporter,
+    chatgptCompatibleImporter,
+    openWebUIImporter,
+    libreChatImporter,
+    genericImporter,
+]
+
+export function listImporters(): Importer[] {
+    return IMPORTERS
+}
+
+export function getImporter(provider: string): Importer | undefined {
+    return IMPORTERS.find(importer => importer.provider === provider)
+}
+
+export function providerLabel(provider: string): string {
+    return getImporter(provider)?.label || provider
+}
@@ -0,0 +1,89 @@
+/**
+ * Importer contract.
+ *
+ * Each provider module exports one Importer: it recognizes its exports, picks
+ * the files it reads out of a ZIP, and parses them into normalized threads.
+ * It never touches the database — the shared writer (writer.ts) does every
+ * insert, hash and plain-text normalization, so all providers store records
+ * the same way. Importers are registered in registry.ts.
+ */
+
+/** One piece of evidence that a file came from a given provider */
+export interface DetectionSignal {
+    provider: string
+    /** 8 or more is structural (the file's own shape); lower is circumstantial */
+    weight: number
+    /** Human-readable, no user content */
+    label: string
+}
+
+export interface NormalizedAsset {
+    assetPointer: string
+    contentType: string
+    fileName?: string | null
+    width?: number | null
+    height?: number | null
+    sizeBytes?: number | null
+}
+
+export interface NormalizedMessage {
+    providerMessageId: string | null
+    role: string
+    /** Stored content (markdown or text as the provider rendered it) */
+    content: string
+    /** Searchable text; defaults to the shared normalization of content */
+    contentPlain?: string
+    timestamp: number | null
+    parentProviderMessageId?: string | null
+    contentType?: string
+    /** Model name as the export gives it (e.g. gpt-4o, llama3:8b) */
+    model?: string | null
+    isCanonical?: boolean
+    branchId?: string | null
+    branchDepth?: number
+    assets?: NormalizedAsset[]
+    /** Attachments, thinking etc.: same position as this message, linked by parent_message_id */
+    subRecords?: NormalizedMessage[]
+}
+
+export interface NormalizedThread {
+    providerThreadId: string | null
+    title: string
+    createdAt: number | null
+    /** In conversation order; positions are assigned by the writer */
+    messages: NormalizedMessage[]
+}
+
+/** A file handed to an importer: stored on disk, named as in the export */
+export interface ImportSource {
+    /** Path inside the ZIP, or the file name of a single-file import */
+    name: string
+    filePath: string
+}
+
+/** Lets a parser report what it could not import and how it read the file */
+export interface ParseContext {
+    skipped(contentType: string): void
+    /** For importers with more than one way of reading a file (chat.html) */
+    setStrategy(strategy: string): void
+}
+
+export interface Importer {
+    /** Stored in threads.provider */
+    provider: string
+    /** Shown in the UI and in error messages */
+    label: string
+    /**
+     * True when an export holds every conversation of the account, so threads a
+     * newer export lacks are marked missing. False for single-chat exports and
+     * transcripts, where one file says nothing about the others.
+     */
+    fullExports: boolean
+    /** Signals from a prefix of a JSON/HTML file */
+    sniffContent(text: string): DetectionSignal[]
+    /** Circumstantial signals from ZIP entry names alone */
+    sniffEntryNames(names: string[]): DetectionSignal[]
+    /** The ZIP entries this importer reads (a single-file import is always read) */
+    selectEntries(names: string[]): string[]
+    parse(source: ImportSource, context: ParseContext): AsyncIterable<NormalizedThread> | Iterable<NormalizedThread>
+}
@@ -0,0 +1,164 @@
+import { getDb } from '../db'
+import crypto from 'node:crypto'
+import { createReconciler } from './reconcile'
+import { inBatches } from './jsonStream'
+import { NormalizedMessage, NormalizedThread, ParseContext } from './types'
+
+/**
+ * Shared writer for every importer.
+ *
+ * Takes the normalized threads a parser yields and stores them through the
+ * reconciler: positions, content hashes, plain-text normalization, asset rows
+ * and sub-records are handled here once, so providers cannot drift apart.
+ * Threads are written IMPORT_BATCH_SIZE at a time, each batch in db.transaction().
+ * Inside an import (importPipeline.ts) that is a savepoint of the run's outer
+ * transaction, not a commit: batches bound how many parsed threads are held in
+ * memory, while the write lock and the WAL are held until the run commits.
+ */
+
+/** Per content_type message counts for one import, so nothing disappears silently */
+export interface ContentTypeReport {
+    kept: Record<string, number>
+    skipped: Record<string, number>
+}
+
+export function emptyContentTypeReport(): ContentTypeReport {
+    return { kept: {}, skipped: {} }
+}
+
+export function mergeContentTypeReports(into: ContentTypeReport, from: ContentTypeReport): ContentTypeReport {
+    for (const [k, n] of Object.entries(from.kept)) into.kept[k] = (into.kept[k] || 0) + n
+    for (const [k, n] of Object.entries(from.skipped)) into.skipped[k] = (into.skipped[k] || 0) + n
+    return into
+}
+
+/** What one run wrote, across every file of the export */
+export interface ImportStats {
+    threads: number
+    messages: number
+    /** Attachment and thinking sub-records, stored with their messages but not counted as messages */
+    subRecords: number
+    contentTypes: ContentTypeReport
+    /** How a file with more than one reading was parsed (chat.html), if any */
+    strategy: string | null
+    /** Files in the export (ZIP entries, folder files, or the one plain file) and how many an importer parsed */
+    entriesSeen: number
+    entriesParsed: number
+}
+
+export function emptyImportStats(): ImportStats {
+    return { threads: 0, messages: 0, subRecords: 0, contentTypes: emptyContentTypeReport(), strategy: null, entriesSeen: 0, entriesParsed: 0 }
+}
+
+export function contentHash(text: string): string {
+    return crypto.createHash('sha256').update(text).digest('hex')
+}
+
+/** Searchable text: markdown emphasis, headings and code ticks removed */
+export function toPlainText(text: string): string {
+    return text.replace(/[#*`]/g, '').trim()
+}
+
+/** Epoch seconds, epoch ms or an ISO date string → epoch ms (null if unreadable) */
+export function toMillis(value: any): number | null {
+    if (typeof value === 'number') return Math.floor(value < 1e12 ? value * 1000 : value)
+    if (typeof value === 'string') {
+        const t = Date.parse(value)
+        return Number.isNaN(t) ? null : t
+    }
+    return null
+}
+
+export function parseContextFor(stats: ImportStats): ParseContext {
+    return {
+        skipped(contentType) {
+            stats.contentTypes.skipped[contentType] = (stats.contentTypes.skipped[contentType] || 0) + 1
+        },
+        setStrategy(strategy) {
+            stats.strategy = strategy
+        },
+    }
+}
+
+/** Store the threads of one artifact; returns `stats` with this artifact's counts added */
+export async function writeThreads(
+    runId: number,
+    rawArtifactId: number,
+    provider: string,
+    threads: AsyncIterable<NormalizedThread> | Iterable<NormalizedThread>,
+    stats: ImportStats = emptyImportStats()
+): Promise<ImportStats> {
+    const db = getDb()
+    const reconciler = createReconciler(runId, rawArtifactId)
+
+    const insertAsset = db.prepare(`
+        INSERT INTO message_assets (message_id, asset_pointer, content_type, file_name, width, height, size_bytes, position)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `)
+
+    const writeMessage = (threadId: number, message: NormalizedMessage, position: number, parentMessageId: number | null) => {
+        const contentType = message.contentType || 'text'
+        const result = reconciler.upsertMessage({
+            threadId,
+            provider,
+            providerMessageId: message.providerMessageId,
+            role: message.role,
+            content: message.content,
+            contentPlain: message.contentPlain ?? toPlainText(message.content),
+            timestamp: message.timestamp,
+            position,
+            parentProviderMessageId: message.parentProviderMessageId ?? null,
+            contentHash: contentHash(message.content),
+            contentType,
+            model: message.model,
+            isCanonical: message.isCanonical,
+            branchId: message.branchId,
+            branchDepth: message.branchDepth,
+            parentMessageId,
+        })
+        if (parentMessageId === null) stats.messages++
+        else stats.subRecords++
+        stats.contentTypes.kept[contentType] = (stats.contentTypes.kept[contentType] || 0) + 1
+
+        // Unchanged messages from an earlier import keep their asset rows
+        if (result.status !== 'unchanged') {
+            (message.assets || []).forEach((asset, i) => {
+                insertAsset.run(
+                    result.id,
+                    asset.assetPointer,
+                    asset.contentType,
+                    asset.fileName ?? null,
+                    asset.width ?? null,
+                    asset.height ?? null,
+                    asset.sizeBytes ?? null,
+                    i
+                )
+            })
+        }
+        return result.id
+    }
+
+    const writeThread = (thread: NormalizedThread) => {
+        const first = thread.messages[0]
+        const { id: threadId } = reconciler.upsertThread({
+            provider,
+            providerThreadId: thread.providerThreadId,
+            title: thread.title,
+            createdAt: thread.createdAt,
+            // Identifies threads exported without an id on re-import
+            firstContentHash: first ? contentHash(first.content) : null,
+        })
+        stats.threads++
+
+        thread.messages.forEach((message, position) => {
+            const messageId = writeMessage(threadId, message, position, null)
+            for (const sub of message.subRecords || []) writeMessage(threadId, sub, position, messageId)
+        })
+    }
+
+    // A savepoint when an outer transaction is open, so a failed batch leaves no partial threads
+    for await (const batch of inBatches(threads)) {
+        db.transaction(() => batch.forEach(writeThread))()
+    }
+    return stats
+}
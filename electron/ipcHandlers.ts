@@ -1,113 +1,15 @@
-import { ipcMain, dialog } from 'electron'
-import { searchMessages } from './db'
-import { createIngestionRun, storeRawArtifact, finalizeIngestionRun, wipeVault } from './vault'
+import { ipcMain, dialog, BrowserWindow } from 'electron'
+import fs from 'node:fs'
+import path from 'node:path'
+import { searchMessagePage, getMessageAlternates, getMessageHistory, SearchOptions, SearchPageRequest } from './db'
+import { createIngestionRun, storeRawArtifact, finalizeIngestionRun, wipeVault, listIngestionRuns, revertIngestionRun } from './vault'
 import { paths } from './paths'
 import { getDiagnostics } from './diagnostics'
-import { importChatGPT, importChatGPTfromHTML } from './importers/chatgpt'
-import { importClaude } from './importers/claude'
-import { importGemini } from './importers/gemini'
-import AdmZip from 'adm-zip'
-import path from 'node:path'
-import fs from 'node:fs'
-
-/**
- * Headless import — the real production import pipeline without dialog.showOpenDialog.
- *
- * Both the IPC handler (vault:import:file) and the --smoke runner call this.
- * This is the key invariant: smoke tests exercise the exact same code the user does.
- */
-export async function importFileHeadless(provider: string, filePath: string) {
-    const buffer = fs.readFileSync(filePath)
-    const filename = path.basename(filePath)
-    const isZip = filename.toLowerCase().endsWith('.zip')
-
-    const run = createIngestionRun(provider, `Import: ${filename}`)
-    const parentArtifact = storeRawArtifact(run.id, provider, isZip ? 'zip' : 'json', filename, buffer)
-
-    try {
-        if (isZip) {
-            const zip = new AdmZip(buffer)
-            const zipEntries = zip.getEntries()
-
-            // ZIP Hardening: Decompression Limits (Vault-Grade)
-            const MAX_ENTRIES = parseInt(process.env.VAULT_ZIP_MAX_ENTRIES || '10000', 10)
-            const MAX_TOTAL_UNCOMPRESSED_SIZE = parseInt(process.env.VAULT_ZIP_MAX_TOTAL_BYTES || String(1024 * 1024 * 1024), 10)
-            const MAX_SINGLE_FILE_SIZE = parseInt(process.env.VAULT_ZIP_MAX_SINGLE_FILE_BYTES || String(100 * 1024 * 1024), 10)
-            const MAX_RATIO = 100
-
-            if (zipEntries.length > MAX_ENTRIES) {
-                throw new Error(`Import blocked: this export contains too many files (${zipEntries.length} > ${MAX_ENTRIES}). Cognition Vault keeps imports local and safe.`)
-            }
-
-            // Pre-scan for safety limits before any processing (Atomic Failure)
-            let totalUncompressedSize = 0
-            for (const entry of zipEntries) {
-                if (entry.isDirectory) continue
-                const header = entry.header as any
-                const uncompressedSize = header.size || 0
-                const compressedSize = header.compressedSize || 1
-                const ratio = uncompressedSize / compressedSize
-
-                if (uncompressedSize > MAX_SINGLE_FILE_SIZE) {
-                    throw new Error(`Import blocked: one file in this export is larger than 100MB. Cognition Vault keeps imports local and safe. Please remove the file or split the export and try again.`)
-                }
-                if (ratio > MAX_RATIO) {
-                    throw new Error(`Import blocked: one file in this export has an extreme compression ratio. Cognition Vault protects against malicious archives.`)
-                }
-                totalUncompressedSize += uncompressedSize
-                if (totalUncompressedSize > MAX_TOTAL_UNCOMPRESSED_SIZE) {
-                    throw new Error(`Import blocked: total uncompressed size exceeds 1GB limit. Cognition Vault ensures your disk space is used safely.`)
-                }
-            }
-
-            // If pre-scan passes, proceed with extraction and storage
-            for (const entry of zipEntries) {
-                if (entry.isDirectory) continue
-                const entryName = entry.entryName
-                const entryBuffer = entry.getData()
-
-                // Forensic storage of individual files within ZIP
-                const childArtifact = storeRawArtifact(
-                    run.id,
-                    provider,
-                    path.extname(entryName).slice(1) || 'bin',
-                    path.basename(entryName),
-                    entryBuffer,
-                    parentArtifact.id,
-                    entryName
-                )
-
-                // Specific logic for known export formats
-                if (provider === 'chatgpt') {
-                    if (entryName === 'conversations.json' || entryName.endsWith('/conversations.json')) {
-                        await importChatGPT(run.id, childArtifact.id, entryBuffer.toString('utf-8'))
-                    } else if (entryName === 'chat.html' || entryName.endsWith('/chat.html')) {
-                        await importChatGPTfromHTML(run.id, childArtifact.id, entryBuffer.toString('utf-8'))
-                    }
-                } else if (provider === 'claude' && entryName.endsWith('.json')) {
-                    await importClaude(run.id, childArtifact.id, entryBuffer.toString('utf-8'))
-                } else if (provider === 'gemini' && entryName.endsWith('.json')) {
-                    await importGemini(run.id, childArtifact.id, entryBuffer.toString('utf-8'))
-                }
-            }
-        } else {
-            const content = buffer.toString('utf-8')
-            if (provider === 'chatgpt') {
-                await importChatGPT(run.id, parentArtifact.id, content)
-            } else if (provider === 'claude') {
-                await importClaude(run.id, parentArtifact.id, content)
-            } else if (provider === 'gemini') {
-                await importGemini(run.id, parentArtifact.id, content)
-            }
-        }
-
-        finalizeIngestionRun(run.id, 'complete')
-        return { success: true, runId: run.id, artifactId: parentArtifact.id }
-    } catch (err: any) {
-        finalizeIngestionRun(run.id, 'failed', err.message)
-        throw err
-    }
-}
+import { runImportInWorker, cancelActiveImport, isImportRunning } from './importRunner'
+import { getWatchedFolder, setWatchedFolder, startImportWatcher, stopImportWatcher, WatchEvent } from './importWatcher'
+import { listImporters } from './importers/registry'
+import { ErrorCodes, VaultError, toVaultError } from './errors'
+import { parseSearchText, SearchRequest } from './searchQuery'
 
 export function registerHandlers() {
     ipcMain.handle('vault:diagnostics:get', () => {
@@ -122,8 +24,24 @@ export function registerHandlers() {
         }
     })
 
-    ipcMain.handle('vault:search', async (_event, query: string) => {
-        return searchMessages(query)
+    // One page of results; the filters typed in the query are returned too, so they can be shown as chips.
+    // A query that cannot be searched comes back as an error code with no results.
+    ipcMain.handle('vault:search', async (_event, request: SearchRequest, options?: SearchOptions, page?: SearchPageRequest) => {
+        const inline = parseSearchText(request.query || '').inline
+        try {
+            return { ...searchMessagePage(request, options, page), inline }
+        } catch (err) {
+            const error = searchError(err)
+            return { results: [], total: 0, nextCursor: null, inline, errorCode: error.code, error: error.message }
+        }
+    })
+
+    ipcMain.handle('vault:message:alternates', async (_event, messageId: number) => {
+        return getMessageAlternates(messageId)
+    })
+
+    ipcMain.handle('vault:message:history', async (_event, messageId: number) => {
+        return getMessageHistory(messageId)
     })
 
     ipcMain.handle('vault:ingest:start', async (_event, provider: string, sourceLabel: string) => {
@@ -135,22 +53,132 @@ export function registerHandlers() {
     })
 
     ipcMain.handle('vault:ingest:finalize', async (_event, runId: number, status: 'complete' | 'failed', error?: string) => {
-        return finalizeIngestionRun(runId, status, error)
+        return finalizeIngestionRun(runId, status, error ? new VaultError(ErrorCodes.UNKNOWN_ERROR, error) : null)
+    })
+
+    ipcMain.handle('vault:import:providers', () => {
+        return listImporters().map(({ provider, label }) => ({ provider, label }))
     })
 
-    ipcMain.handle('vault:import:file', async (_event, provider: string) => {
-        const result = await dialog.showOpenDialog({
-            properties: ['openFile'],
-            filters: [{ name: 'Allowed Exports', extensions: ['json', 'zip'] }]
-        })
+    ipcMain.handle('vault:import:choose', async (_event, options: { folder?: boolean } = {}) => {
+        // An unzipped export or a folder of transcripts is walked like a ZIP;
+        // several selections are imported together as one run
+        const result = await dialog.showOpenDialog(options.folder
+            ? { properties: ['openDirectory', 'multiSelections'] }
+            : {
+                properties: ['openFile', 'multiSelections'],
+                filters: [{ name: 'Allowed Exports', extensions: ['json', 'zip', 'html', 'md', 'markdown', 'jsonl'] }]
+            })
 
         if (result.canceled || result.filePaths.length === 0) return null
+        return result.filePaths
+    })
+
+    // Chosen or dropped files are previewed first (a dry run that is always
+    // rolled back), then imported once the user confirms. Both run in the
+    // import worker; progress is pushed on vault:import:progress. Failures are
+    // returned as { success: false, errorCode, error }: a thrown error reaches
+    // the renderer as its message only
+    ipcMain.handle('vault:import:preview', async (event, provider: string, filePaths: string[]) => {
+        try {
+            checkImportPaths(filePaths)
+            return await runImportInWorker(provider, filePaths, progress => {
+                if (!event.sender.isDestroyed()) event.sender.send('vault:import:progress', progress)
+            }, { dryRun: true })
+        } catch (err) {
+            return importFailure(err)
+        }
+    })
+
+    ipcMain.handle('vault:import:paths', async (event, provider: string, filePaths: string[]) => {
+        try {
+            checkImportPaths(filePaths)
+            return await runImportInWorker(provider, filePaths, progress => {
+                if (!event.sender.isDestroyed()) event.sender.send('vault:import:progress', progress)
+            })
+        } catch (err) {
+            return importFailure(err)
+        }
+    })
 
-        return importFileHeadless(provider, result.filePaths[0])
+    ipcMain.handle('vault:import:cancel', async () => {
+        return { cancelled: cancelActiveImport() }
     })
 
     ipcMain.handle('vault:wipe', async () => {
+        if (isImportRunning()) {
+            throw new Error('An import is running. Cancel it or wait for it to finish before wiping the vault.')
+        }
         wipeVault()
+        // The watched folder setting is wiped too; stop watching it
+        stopImportWatcher()
         return { success: true }
     })
+
+    // Import history, and undoing one import without wiping the rest
+    ipcMain.handle('vault:history:list', () => {
+        return listIngestionRuns()
+    })
+
+    ipcMain.handle('vault:history:revert', async (_event, runId: number) => {
+        try {
+            if (isImportRunning()) {
+                throw new VaultError(ErrorCodes.IMPORT_BUSY, 'An import is running. Cancel it or wait for it to finish before undoing an import.')
+            }
+            return { success: true, ...revertIngestionRun(runId) }
+        } catch (err) {
+            return importFailure(err)
+        }
+    })
+
+    // Watched import folder: new exports placed there are imported automatically
+    ipcMain.handle('vault:watch:get', () => {
+        return { folder: getWatchedFolder() }
+    })
+
+    ipcMain.handle('vault:watch:choose', async () => {
+        const result = await dialog.showOpenDialog({ properties: ['openDirectory'] })
+        if (result.canceled || result.filePaths.length === 0) return null
+        setWatchedFolder(result.filePaths[0], broadcastWatchEvent)
+        return { folder: getWatchedFolder() }
+    })
+
+    ipcMain.handle('vault:watch:stop', () => {
+        setWatchedFolder(null)
+        return { folder: null }
+    })
+
+    // Resume watching the folder saved in a previous session
+    startImportWatcher(broadcastWatchEvent)
+}
+
+/** Paths come from the renderer: only absolute paths to existing files or folders */
+function checkImportPaths(filePaths: string[]) {
+    if (!Array.isArray(filePaths) || filePaths.length === 0) {
+        throw new VaultError(ErrorCodes.NO_FILES_SELECTED, 'Import blocked: no files were selected.')
+    }
+    for (const filePath of filePaths) {
+        if (typeof filePath !== 'string' || !path.isAbsolute(filePath) || !fs.existsSync(filePath)) {
+            throw new VaultError(ErrorCodes.FILE_NOT_FOUND, 'Import blocked: a selected file could not be found on disk.')
+        }
+    }
+}
+
+function importFailure(err: unknown) {
+    const error = toVaultError(err)
+    return { success: false, errorCode: error.code, error: error.message }
+}
+
+/** toFtsQuery() keeps FTS5 syntax errors out of MATCH; one that still gets through is an invalid query too */
+function searchError(err: unknown) {
+    if (err instanceof VaultError) return err
+    const message = err instanceof Error ? err.message : String(err)
+    if (/^fts5: /.test(message)) return new VaultError(ErrorCodes.SEARCH_QUERY_INVALID, message, { cause: err })
+    throw err
+}
+
+function broadcastWatchEvent(event: WatchEvent) {
+    for (const win of BrowserWindow.getAllWindows()) {
+        if (!win.webContents.isDestroyed()) win.webContents.send('vault:watch:event', event)
+    }
 }
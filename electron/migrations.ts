@@ -4,7 +4,8 @@
  * Design invariants:
  *   - Migrations are ordered, transactional, and idempotent
  *   - Opening a v1.0.0 vault never breaks
- *   - FTS virtual table + triggers are verified (and repaired) after every migration run
+ *   - FTS virtual tables + triggers are verified (and repaired) after every migration run;
+ *     an index that does not hold every message is rebuilt
  *   - Tests can inject additional migrations via opts.migrations / opts.latest
  *     without polluting the production migration list
  */
@@ -25,9 +26,61 @@ export interface MigrateOptions {
     latest?: number
 }
 
+// ── FTS indexes ───────────────────────────────────────────────────────────────
+
+export interface FtsIndex {
+    table: string
+    /** FTS5 tokenize option; the default (unicode61) when absent */
+    tokenize?: string
+    /** Prefix of the insert/delete/update triggers that keep the index in sync */
+    triggers: string
+}
+
+/**
+ * Every index holds messages.content_plain (external content, so the text is
+ * stored once); they differ in how it is split into words. Search picks one
+ * by mode (see db.ts).
+ */
+export const FTS_INDEXES = {
+    /** Whole words as written (the original index) */
+    exact: { table: 'messages_fts', triggers: 'messages' },
+    /** English word forms (deploying → deploy), accents ignored */
+    stemmed: { table: 'messages_fts_stem', tokenize: 'porter unicode61 remove_diacritics 2', triggers: 'messages_fts_stem' },
+    /** Any run of 3+ characters: partial identifiers, languages written without spaces */
+    substring: { table: 'messages_fts_trigram', tokenize: 'trigram', triggers: 'messages_fts_trigram' },
+} satisfies Record<string, FtsIndex>
+
+function ftsTableDdl(index: FtsIndex): string {
+    return `
+    CREATE VIRTUAL TABLE IF NOT EXISTS ${index.table} USING fts5(
+        content_plain,
+        content='messages',
+        content_rowid='id'${index.tokenize ? `,
+        tokenize='${index.tokenize}'` : ''}
+    );
+`
+}
+
+function ftsTriggerDdl({ table, triggers }: FtsIndex): string {
+    return `
+    CREATE TRIGGER IF NOT EXISTS ${triggers}_ai AFTER INSERT ON messages BEGIN
+        INSERT INTO ${table}(rowid, content_plain) VALUES (new.id, new.content_plain);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS ${triggers}_ad AFTER DELETE ON messages BEGIN
+        INSERT INTO ${table}(${table}, rowid, content_plain) VALUES('delete', old.id, old.content_plain);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS ${triggers}_au AFTER UPDATE OF content_plain ON messages BEGIN
+        INSERT INTO ${table}(${table}, rowid, content_plain) VALUES('delete', old.id, old.content_plain);
+        INSERT INTO ${table}(rowid, content_plain) VALUES (new.id, new.content_plain);
+    END;
+`
+}
+
 // ── Production schema ──────────────────────────────────────────────────────────
 
-export const LATEST_SCHEMA_VERSION = 1
+export const LATEST_SCHEMA_VERSION = 14
 
 export const migrations: Migration[] = [
     {
@@ -91,30 +144,175 @@ export const migrations: Migration[] = [
             );
         `,
     },
-]
+    {
+        version: 2,
+        description: 'Conversation branches: is_canonical, branch_id, branch_depth on messages',
+        sql: `
+            ALTER TABLE messages ADD COLUMN is_canonical INTEGER NOT NULL DEFAULT 1;
+            ALTER TABLE messages ADD COLUMN branch_id TEXT;
+            ALTER TABLE messages ADD COLUMN branch_depth INTEGER NOT NULL DEFAULT 0;
 
-// ── FTS DDL (applied deterministically after every migration run) ───────────
+            CREATE INDEX IF NOT EXISTS idx_messages_thread_parent
+                ON messages(thread_id, parent_provider_message_id);
+        `,
+    },
+    {
+        version: 3,
+        description: 'Non-text content: messages.content_type, message_assets',
+        sql: `
+            ALTER TABLE messages ADD COLUMN content_type TEXT NOT NULL DEFAULT 'text';
 
-const FTS_DDL = `
-    CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
-        content_plain,
-        content='messages',
-        content_rowid='id'
-    );
+            CREATE TABLE IF NOT EXISTS message_assets (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+                asset_pointer TEXT NOT NULL,
+                content_type TEXT,
+                width INTEGER,
+                height INTEGER,
+                size_bytes INTEGER,
+                position INTEGER NOT NULL DEFAULT 0
+            );
 
-    CREATE TRIGGER IF NOT EXISTS messages_ai AFTER INSERT ON messages BEGIN
-        INSERT INTO messages_fts(rowid, content_plain) VALUES (new.id, new.content_plain);
-    END;
+            CREATE INDEX IF NOT EXISTS idx_message_assets_message ON message_assets(message_id);
+        `,
+    },
+    {
+        version: 4,
+        description: 'Message sub-records (attachments, thinking): messages.parent_message_id, message_assets.file_name',
+        sql: `
+            ALTER TABLE messages ADD COLUMN parent_message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE;
+            ALTER TABLE message_assets ADD COLUMN file_name TEXT;
 
-    CREATE TRIGGER IF NOT EXISTS messages_ad AFTER DELETE ON messages BEGIN
-        INSERT INTO messages_fts(messages_fts, rowid, content_plain) VALUES('delete', old.id, old.content_plain);
-    END;
+            CREATE INDEX IF NOT EXISTS idx_messages_parent_message ON messages(parent_message_id);
+        `,
+    },
+    {
+        version: 5,
+        description: 'Incremental re-import: last_ingestion_run_id on threads and messages, reconciliation indexes',
+        sql: `
+            ALTER TABLE threads ADD COLUMN last_ingestion_run_id INTEGER REFERENCES ingestion_runs(id);
+            ALTER TABLE messages ADD COLUMN last_ingestion_run_id INTEGER REFERENCES ingestion_runs(id);
 
-    CREATE TRIGGER IF NOT EXISTS messages_au AFTER UPDATE ON messages BEGIN
-        INSERT INTO messages_fts(messages_fts, rowid, content_plain) VALUES('delete', old.id, old.content_plain);
-        INSERT INTO messages_fts(rowid, content_plain) VALUES (new.id, new.content_plain);
-    END;
-`
+            UPDATE threads SET last_ingestion_run_id = ingestion_run_id;
+            UPDATE messages SET last_ingestion_run_id = ingestion_run_id;
+
+            CREATE INDEX IF NOT EXISTS idx_threads_provider_thread ON threads(provider, provider_thread_id);
+            CREATE INDEX IF NOT EXISTS idx_messages_thread_provider_message ON messages(thread_id, provider_message_id);
+        `,
+    },
+    {
+        version: 6,
+        description: 'Provider export changes: threads.missing_since_run_id, message_versions',
+        sql: `
+            ALTER TABLE threads ADD COLUMN missing_since_run_id INTEGER REFERENCES ingestion_runs(id);
+
+            CREATE TABLE IF NOT EXISTS message_versions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+                content TEXT NOT NULL,
+                content_plain TEXT NOT NULL,
+                content_hash TEXT NOT NULL,
+                timestamp INTEGER,
+                ingestion_run_id INTEGER REFERENCES ingestion_runs(id),
+                replaced_by_run_id INTEGER REFERENCES ingestion_runs(id),
+                replaced_at INTEGER
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_message_versions_message ON message_versions(message_id);
+        `,
+    },
+    {
+        version: 7,
+        description: 'Model name per message: messages.model',
+        sql: `
+            ALTER TABLE messages ADD COLUMN model TEXT;
+        `,
+    },
+    {
+        version: 8,
+        description: 'App settings: settings key/value table (watched import folder)',
+        sql: `
+            CREATE TABLE IF NOT EXISTS settings (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL
+            );
+        `,
+    },
+    {
+        version: 9,
+        description: 'Undo an import: ingestion_runs.reverted_at, audit_log',
+        sql: `
+            ALTER TABLE ingestion_runs ADD COLUMN reverted_at INTEGER;
+
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                action TEXT NOT NULL,
+                ingestion_run_id INTEGER REFERENCES ingestion_runs(id),
+                created_at INTEGER NOT NULL,
+                details TEXT
+            );
+        `,
+    },
+    {
+        version: 10,
+        description: 'Per-run import report: ingestion_runs.report (JSON)',
+        sql: `
+            ALTER TABLE ingestion_runs ADD COLUMN report TEXT;
+        `,
+    },
+    {
+        version: 11,
+        description: 'Typed import errors: ingestion_runs.error_code (see errors.ts)',
+        sql: `
+            ALTER TABLE ingestion_runs ADD COLUMN error_code TEXT;
+        `,
+    },
+    {
+        version: 12,
+        description: 'Search modes: messages_fts_stem (porter, no diacritics) and messages_fts_trigram (filled by the FTS repair step)',
+        sql: ftsTableDdl(FTS_INDEXES.stemmed) + ftsTableDdl(FTS_INDEXES.substring),
+    },
+    {
+        version: 13,
+        description: 'FTS update triggers fire only when content_plain changes (recreated by the FTS repair step)',
+        sql: Object.values(FTS_INDEXES).map(index => `
+            DROP TRIGGER IF EXISTS ${index.triggers}_au;
+        `).join(''),
+    },
+    {
+        version: 14,
+        description: 'Undo restores whole messages: message_versions keeps role, position, branch fields, model and assets (JSON)',
+        sql: `
+            ALTER TABLE message_versions ADD COLUMN role TEXT;
+            ALTER TABLE message_versions ADD COLUMN position INTEGER;
+            ALTER TABLE message_versions ADD COLUMN parent_provider_message_id TEXT;
+            ALTER TABLE message_versions ADD COLUMN is_canonical INTEGER;
+            ALTER TABLE message_versions ADD COLUMN branch_id TEXT;
+            ALTER TABLE message_versions ADD COLUMN branch_depth INTEGER;
+            ALTER TABLE message_versions ADD COLUMN content_type TEXT;
+            ALTER TABLE message_versions ADD COLUMN model TEXT;
+            ALTER TABLE message_versions ADD COLUMN assets TEXT;
+        `,
+    },
+]
+
+// ── FTS DDL (applied deterministically after every migration run) ───────────
+
+/** The indexes a vault at this schema version has; those added later are created by their migration */
+function ftsIndexesFor(version: number): FtsIndex[] {
+    return version >= 12 ? Object.values(FTS_INDEXES) : [FTS_INDEXES.exact]
+}
+
+/**
+ * An index is rebuilt from messages when it does not hold one entry per
+ * message: just created on a vault that already has messages, or left behind
+ * while its triggers were missing.
+ */
+function ftsNeedsRebuild(db: Database.Database, index: FtsIndex): boolean {
+    const messages = (db.prepare('SELECT COUNT(*) AS c FROM messages').get() as { c: number }).c
+    const indexed = (db.prepare(`SELECT COUNT(*) AS c FROM ${index.table}_docsize`).get() as { c: number }).c
+    return indexed !== messages
+}
 
 // ── Migrator ───────────────────────────────────────────────────────────────────
 
@@ -157,12 +355,20 @@ export function migrate(db: Database.Database, opts?: MigrateOptions): void {
     }
 
     // ── FTS verification / repair ──────────────────────────────────────────
-    // Always ensure FTS virtual table and triggers exist.
+    // Always ensure FTS virtual tables and triggers exist.
     // This is idempotent: IF NOT EXISTS handles the common case,
-    // and if triggers were dropped, they get recreated.
-    db.exec(FTS_DDL)
+    // and if triggers were dropped, they get recreated. An index that is
+    // missing messages (new, or out of sync) is rebuilt from the messages table.
+    const finalVersion = readSchemaVersion(db)
+    for (const index of ftsIndexesFor(finalVersion)) {
+        db.transaction(() => {
+            db.exec(ftsTableDdl(index) + ftsTriggerDdl(index))
+            if (ftsNeedsRebuild(db, index)) {
+                db.prepare(`INSERT INTO ${index.table}(${index.table}) VALUES('rebuild')`).run()
+            }
+        })()
+    }
 
     // Mirror to PRAGMA user_version for quick inspection
-    const finalVersion = readSchemaVersion(db)
     db.pragma(`user_version = ${finalVersion}`)
 }
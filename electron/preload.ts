@@ -1,14 +1,38 @@
-import { contextBridge, ipcRenderer } from 'electron'
+import { contextBridge, ipcRenderer, webUtils } from 'electron'
 
 contextBridge.exposeInMainWorld('electronAPI', {
     getVaultStatus: () => ipcRenderer.invoke('vault:status'),
-    search: (query: string) => ipcRenderer.invoke('vault:search', query),
+    search: (request: { query: string, [filter: string]: unknown }, options?: { includeThinking?: boolean, missingFromExport?: boolean, mode?: 'exact' | 'stemmed' | 'substring' }, page?: { cursor?: string | null, limit?: number }) =>
+        ipcRenderer.invoke('vault:search', request, options, page),
+    getAlternates: (messageId: number) => ipcRenderer.invoke('vault:message:alternates', messageId),
+    getHistory: (messageId: number) => ipcRenderer.invoke('vault:message:history', messageId),
     startIngest: (provider: string, label: string) => ipcRenderer.invoke('vault:ingest:start', provider, label),
     storeArtifact: (runId: number, provider: string, type: string, filename: string, buffer: Buffer) =>
         ipcRenderer.invoke('vault:artifact:store', runId, provider, type, filename, buffer),
     finalizeIngest: (runId: number, status: string, error?: string) =>
         ipcRenderer.invoke('vault:ingest:finalize', runId, status, error),
-    importFile: (provider: string) => ipcRenderer.invoke('vault:import:file', provider),
+    getImportProviders: () => ipcRenderer.invoke('vault:import:providers'),
+    chooseImportFiles: (options?: { folder?: boolean }) => ipcRenderer.invoke('vault:import:choose', options),
+    // Dropped File objects carry no path in the sandboxed renderer; resolve them here
+    getDroppedPaths: (files: File[]) => files.map(file => webUtils.getPathForFile(file)),
+    previewImport: (provider: string, filePaths: string[]) => ipcRenderer.invoke('vault:import:preview', provider, filePaths),
+    importPaths: (provider: string, filePaths: string[]) => ipcRenderer.invoke('vault:import:paths', provider, filePaths),
+    cancelImport: () => ipcRenderer.invoke('vault:import:cancel'),
+    onImportProgress: (callback: (progress: any) => void) => {
+        const listener = (_event: unknown, progress: any) => callback(progress)
+        ipcRenderer.on('vault:import:progress', listener)
+        return () => { ipcRenderer.removeListener('vault:import:progress', listener) }
+    },
     wipeVault: () => ipcRenderer.invoke('vault:wipe'),
+    getImportHistory: () => ipcRenderer.invoke('vault:history:list'),
+    revertImport: (runId: number) => ipcRenderer.invoke('vault:history:revert', runId),
+    getWatchedFolder: () => ipcRenderer.invoke('vault:watch:get'),
+    chooseWatchedFolder: () => ipcRenderer.invoke('vault:watch:choose'),
+    stopWatchingFolder: () => ipcRenderer.invoke('vault:watch:stop'),
+    onWatchEvent: (callback: (event: any) => void) => {
+        const listener = (_event: unknown, watchEvent: any) => callback(watchEvent)
+        ipcRenderer.on('vault:watch:event', listener)
+        return () => { ipcRenderer.removeListener('vault:watch:event', listener) }
+    },
     getDiagnostics: () => ipcRenderer.invoke('vault:diagnostics:get'),
 })
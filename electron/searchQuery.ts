@@ -0,0 +1,274 @@
+/**
+ * Search requests and inline filter syntax.
+ *
+ * A search is full-text query plus optional filters. Filters come from the
+ * request itself (the filter chips in the UI) or from `key:value` words typed
+ * in the search bar:
+ *   provider:claude        provider id; repeat it or use commas for several
+ *   role:user              message role (user, assistant, system, tool)
+ *   after:2025-03-01       messages on or after that day (local time)
+ *   before:2025-04-01      messages before that day
+ *   thread:42  run:7       one conversation, or what one import first added
+ * A word with any other key, or a value that does not parse, stays in the
+ * full-text query.
+ *
+ * What is left is turned into an FTS5 expression by toFtsQuery(), never passed
+ * to MATCH as typed:
+ *   postgres index        both words
+ *   "query planner"       the exact phrase (an unclosed quote runs to the end)
+ *   vacuum OR analyze     either word
+ *   -mysql                leave out messages with the word (or -"a phrase")
+ *   NOT mysql             the same as -mysql
+ *   index*                words starting with index
+ * AND between two words changes nothing: every word must match anyway.
+ * In substring mode every word or phrase needs 3+ characters (the trigram
+ * index matches nothing shorter), so a shorter one is reported instead.
+ * Everything else is searched for literally, so `c++`, `don't` or `node.js`
+ * never reach FTS5 as syntax.
+ */
+
+import { ErrorCodes, VaultError } from './errors'
+
+export interface SearchFilters {
+    /** Provider ids (chatgpt, claude, ...); any of them matches */
+    providers?: string[]
+    role?: string
+    /** Message time in ms: from is inclusive, to is exclusive */
+    from?: number
+    to?: number
+    threadId?: number
+    /** Ingestion run that first imported the message */
+    runId?: number
+}
+
+/**
+ * Full-text index a search uses (see FTS_INDEXES in migrations.ts): whole
+ * words, English word forms with accents ignored, or any part of a word
+ * (3+ characters, also for languages written without spaces).
+ */
+export type SearchMode = 'exact' | 'stemmed' | 'substring'
+
+export interface SearchRequest extends SearchFilters {
+    query: string
+}
+
+export type InlineFilterKey = 'provider' | 'role' | 'after' | 'before' | 'thread' | 'run'
+
+/** One filter typed in the search bar; `text` is the word as typed, so the UI can remove it */
+export interface InlineFilter {
+    key: InlineFilterKey
+    value: string
+    text: string
+}
+
+export interface ParsedSearchText {
+    /** The query with the filter words taken out */
+    query: string
+    filters: SearchFilters
+    inline: InlineFilter[]
+}
+
+const INLINE_FILTER = /(^|\s)(provider|role|after|before|thread|run):("[^"]*"|\S+)/gi
+
+/** `2025-03-01` as local midnight in ms, or null */
+export function parseDay(value: string): number | null {
+    const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value)
+    if (!match) return null
+    const [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])]
+    const date = new Date(year, month - 1, day)
+    return date.getMonth() === month - 1 && date.getDate() === day ? date.getTime() : null
+}
+
+function parseId(value: string): number | null {
+    return /^\d+$/.test(value) ? Number(value) : null
+}
+
+/** Apply one inline filter; false when its value does not parse */
+function applyInline(filters: SearchFilters, key: InlineFilterKey, value: string): boolean {
+    switch (key) {
+        case 'provider': {
+            const providers = value.toLowerCase().split(',').filter(Boolean)
+            if (providers.length === 0) return false
+            filters.providers = [...(filters.providers || []), ...providers]
+            return true
+        }
+        case 'role':
+            filters.role = value.toLowerCase()
+            return true
+        case 'after': {
+            const day = parseDay(value)
+            if (day === null) return false
+            filters.from = Math.max(filters.from ?? day, day)
+            return true
+        }
+        case 'before': {
+            const day = parseDay(value)
+            if (day === null) return false
+            filters.to = Math.min(filters.to ?? day, day)
+            return true
+        }
+        case 'thread':
+        case 'run': {
+            const id = parseId(value)
+            if (id === null) return false
+            if (key === 'thread') filters.threadId = id
+            else filters.runId = id
+            return true
+        }
+    }
+}
+
+/** Take the inline filters out of what was typed in the search bar */
+export function parseSearchText(text: string): ParsedSearchText {
+    const filters: SearchFilters = {}
+    const inline: InlineFilter[] = []
+    const query = text.replace(INLINE_FILTER, (word, space: string, rawKey: string, rawValue: string) => {
+        const key = rawKey.toLowerCase() as InlineFilterKey
+        const value = rawValue.replace(/^"(.*)"$/, '$1')
+        if (!applyInline(filters, key, value)) return word
+        inline.push({ key, value, text: word.trim() })
+        return space
+    })
+    return { query: query.replace(/\s+/g, ' ').trim(), filters, inline }
+}
+
+/**
+ * A request with its inline filters applied: the typed query is stripped of
+ * them, and each one narrows the request's own filters (providers are merged,
+ * date bounds tightened, the rest replaced).
+ */
+export function resolveSearchRequest(request: SearchRequest): SearchRequest {
+    const { query, filters } = parseSearchText(request.query || '')
+    const providers = [...new Set([...(request.providers || []), ...(filters.providers || [])])]
+    const bound = (a: number | undefined, b: number | undefined, pick: (x: number, y: number) => number) =>
+        a === undefined ? b : b === undefined ? a : pick(a, b)
+    return {
+        query,
+        providers: providers.length > 0 ? providers : undefined,
+        role: filters.role ?? request.role,
+        from: bound(request.from, filters.from, Math.max),
+        to: bound(request.to, filters.to, Math.min),
+        threadId: filters.threadId ?? request.threadId,
+        runId: filters.runId ?? request.runId,
+    }
+}
+
+export function hasFilters(request: SearchFilters): boolean {
+    return Boolean(request.providers?.length || request.role || request.from !== undefined || request.to !== undefined
+        || request.threadId !== undefined || request.runId !== undefined)
+}
+
+/** One search term: a word or phrase, quoted for FTS5 */
+interface QueryTerm {
+    fts: string
+    exclude: boolean
+    /** Characters in the word or phrase as typed (code points, not UTF-16 units) */
+    length: number
+}
+
+/** Shortest term the trigram index (substring mode) can match */
+export const SUBSTRING_MIN_CHARS = 3
+
+// A quoted phrase (optionally -excluded, or followed by * as a prefix), or any other word
+const QUERY_TOKEN = /(-?)"([^"]*)("?)(\*?)|(\S+)/g
+
+/** A word or phrase as an FTS5 string; FTS5 itself splits it into tokens */
+function quoteTerm(text: string, prefix: boolean): string {
+    return `"${text.replace(/"/g, '""')}"${prefix ? '*' : ''}`
+}
+
+/** Letters or digits: anything else (`++`, `-`) is not indexed, so is not a term */
+function hasTokens(text: string): boolean {
+    return /[\p{L}\p{N}]/u.test(text)
+}
+
+/** Operators typed as whole upper-case words; lower-case `and`, `or`, `not` are words */
+type QueryOperator = 'OR' | 'AND' | 'NOT'
+type QueryToken = QueryTerm | QueryOperator
+
+const isOperator = (word: string | undefined): word is QueryOperator => word === 'OR' || word === 'AND' || word === 'NOT'
+
+function isTerm(token: QueryToken | undefined): token is QueryTerm {
+    return typeof token === 'object'
+}
+
+function isIncluded(token: QueryToken | undefined): token is QueryTerm {
+    return isTerm(token) && !token.exclude
+}
+
+/** An operator with no term on one side, searched for as a word */
+const literal = (operator: QueryOperator): QueryTerm => ({ fts: quoteTerm(operator, false), exclude: false, length: operator.length })
+
+function tokenizeQuery(query: string): QueryToken[] {
+    const tokens: QueryToken[] = []
+    for (const match of query.matchAll(QUERY_TOKEN)) {
+        const [, minus, phrase, , star, word] = match
+        if (isOperator(word)) {
+            tokens.push(word)
+            continue
+        }
+        let text = phrase ?? word
+        let exclude = minus === '-'
+        let prefix = star === '*'
+        if (word !== undefined) {
+            exclude = word.length > 1 && word.startsWith('-')
+            prefix = /[^*]\*+$/.test(word)
+            text = word.slice(exclude ? 1 : 0).replace(/\*+$/, '')
+        }
+        if (hasTokens(text)) tokens.push({ fts: quoteTerm(text, prefix), exclude, length: [...text].length })
+    }
+    // NOT excludes the term after it, like a leading -
+    return tokens.flatMap((token, i): QueryToken[] => {
+        if (token !== 'NOT') return isTerm(token) && tokens[i - 1] === 'NOT' ? [] : [token]
+        const next = tokens[i + 1]
+        return [isTerm(next) ? { ...next, exclude: true } : literal('NOT')]
+    })
+}
+
+export interface FtsQuery {
+    /** The FTS5 MATCH expression; null when there is no full-text query */
+    match: string | null
+    /** Set when text was typed but nothing in it can be searched for */
+    error?: VaultError
+}
+
+/**
+ * The search text (inline filters already taken out) as a valid FTS5
+ * expression. Words and phrases must all match; `OR` between two of them
+ * makes either one enough; excluded ones are left out with NOT. `AND`, and
+ * `OR` next to an excluded word, are dropped: excluded words are always left
+ * out together. An operator with nothing on one side is searched for as a word.
+ * In substring mode a term shorter than SUBSTRING_MIN_CHARS is an error.
+ */
+export function toFtsQuery(query: string, mode: SearchMode = 'exact'): FtsQuery {
+    if (!query.trim()) return { match: null }
+    const tokens = tokenizeQuery(query)
+    if (mode === 'substring' && tokens.some(token => isTerm(token) && token.length < SUBSTRING_MIN_CHARS)) {
+        return {
+            match: null,
+            error: new VaultError(ErrorCodes.SEARCH_TERM_TOO_SHORT, `Substring search needs ${SUBSTRING_MIN_CHARS}+ characters per word or phrase`),
+        }
+    }
+    const groups: string[][] = []
+    const excluded: string[] = []
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i]
+        if (!isTerm(token)) {
+            const [prev, next] = [tokens[i - 1], tokens[i + 1]]
+            if (token === 'OR' && isIncluded(prev) && isIncluded(next)) {
+                groups[groups.length - 1].push(next.fts)
+                i++
+            } else if (!isTerm(prev) || !isTerm(next)) groups.push([literal(token).fts])
+        } else if (token.exclude) excluded.push(token.fts)
+        else groups.push([token.fts])
+    }
+
+    if (groups.length === 0) {
+        return excluded.length > 0
+            ? { match: null, error: new VaultError(ErrorCodes.SEARCH_ONLY_EXCLUDED, 'The query only has words to leave out') }
+            : { match: null, error: new VaultError(ErrorCodes.SEARCH_QUERY_INVALID, `Nothing to search for in "${query}"`) }
+    }
+    // FTS5 needs AND spelled out next to a parenthesized group
+    const match = groups.map(group => group.length > 1 ? `(${group.join(' OR ')})` : group[0]).join(' AND ')
+    return { match: excluded.length > 0 ? `(${match}) NOT (${excluded.join(' OR ')})` : match }
+}
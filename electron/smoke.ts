@@ -16,9 +16,10 @@ import { app } from 'electron'
 import path from 'node:path'
 import fs from 'node:fs'
 import { execSync } from 'node:child_process'
-import { importFileHeadless } from './ipcHandlers'
+import { importFileHeadless } from './importPipeline'
 import { searchMessages } from './db'
 import { wipeVault } from './vault'
+import { VaultError } from './errors'
 
 interface SmokeArgs {
     vaultDir: string
@@ -129,7 +130,8 @@ export async function runSmoke(args: SmokeArgs): Promise<void> {
         // Exit 0 is implicit — main.ts calls app.quit() after this returns
 
     } catch (err: any) {
-        report.error_code = 'SMOKE_EXCEPTION'
+        // Import failures carry their own code (see errors.ts)
+        report.error_code = err instanceof VaultError ? err.code : 'SMOKE_EXCEPTION'
         report.error_message = err.message
         writeReport(report, args.smokeOut, true)
         process.exit(1)
@@ -3,6 +3,7 @@ import fs from 'node:fs'
 import path from 'node:path'
 import crypto from 'node:crypto'
 import { paths } from './paths'
+import { ErrorCodes, VaultError } from './errors'
 
 export interface IngestionRun {
   id: number
@@ -26,13 +27,134 @@ export function createIngestionRun(provider: string, sourceLabel?: string): Inge
   }
 }
 
-export function finalizeIngestionRun(runId: number, status: 'complete' | 'failed', errorMessage?: string) {
+export function finalizeIngestionRun(runId: number, status: 'complete' | 'failed' | 'cancelled', error?: VaultError | null, report?: object) {
   const db = getDb()
   db.prepare(`
     UPDATE ingestion_runs
-    SET status = ?, completed_at = ?, error_message = ?
+    SET status = ?, completed_at = ?, error_code = ?, error_message = ?, report = ?
     WHERE id = ?
-  `).run(status, Date.now(), errorMessage || null, runId)
+  `).run(status, Date.now(), error?.code || null, error?.message || null, report ? JSON.stringify(report) : null, runId)
+}
+
+/** The report stored when the run finished (see RunReport in importPipeline.ts), or null */
+export function getRunReport(runId: number): any | null {
+  const db = getDb()
+  const row = db.prepare('SELECT report FROM ingestion_runs WHERE id = ?').get(runId) as { report: string | null } | undefined
+  return row?.report ? JSON.parse(row.report) : null
+}
+
+export interface RunReconciliation {
+  threadsAdded: number
+  threadsUpdated: number
+  messagesAdded: number
+  messagesUpdated: number
+}
+
+/**
+ * What a run changed: records it first inserted vs existing records it matched
+ * and re-stamped (a newer export repeating earlier conversations).
+ */
+export function getRunReconciliation(runId: number): RunReconciliation {
+  const db = getDb()
+  const count = (sql: string) => (db.prepare(sql).get(runId, runId) as { c: number }).c
+  return {
+    threadsAdded: count('SELECT COUNT(*) as c FROM threads WHERE ingestion_run_id = ? AND last_ingestion_run_id = ?'),
+    threadsUpdated: count('SELECT COUNT(*) as c FROM threads WHERE ingestion_run_id != ? AND last_ingestion_run_id = ?'),
+    messagesAdded: count('SELECT COUNT(*) as c FROM messages WHERE ingestion_run_id = ? AND last_ingestion_run_id = ? AND parent_message_id IS NULL'),
+    messagesUpdated: count('SELECT COUNT(*) as c FROM messages WHERE ingestion_run_id != ? AND last_ingestion_run_id = ? AND parent_message_id IS NULL'),
+  }
+}
+
+export interface RunContents {
+  /** Messages the run wrote or matched, by role */
+  messagesByRole: Record<string, number>
+  /** Earliest and latest message timestamps (ms), null when none are dated */
+  dateRange: { from: number | null, to: number | null }
+  /** Titles of existing threads the run matched by provider id (updated, not duplicated) */
+  matchedTitles: string[]
+  /** Titles of new threads that share a title with an existing thread of the same provider */
+  likelyDuplicateTitles: string[]
+}
+
+/** What a run wrote, as shown by an import preview */
+export function getRunContents(runId: number): RunContents {
+  const db = getDb()
+  const roles = db.prepare(
+    'SELECT role, COUNT(*) as c FROM messages WHERE last_ingestion_run_id = ? AND parent_message_id IS NULL GROUP BY role ORDER BY role'
+  ).all(runId) as { role: string, c: number }[]
+  const range = db.prepare(
+    'SELECT MIN(timestamp) as fromTs, MAX(timestamp) as toTs FROM messages WHERE last_ingestion_run_id = ?'
+  ).get(runId) as { fromTs: number | null, toTs: number | null }
+  const titles = (sql: string) => (db.prepare(sql).all(runId, runId) as { title: string }[]).map(r => r.title)
+
+  return {
+    messagesByRole: Object.fromEntries(roles.map(r => [r.role, r.c])),
+    dateRange: { from: range.fromTs, to: range.toTs },
+    matchedTitles: titles('SELECT title FROM threads WHERE ingestion_run_id != ? AND last_ingestion_run_id = ? ORDER BY title'),
+    likelyDuplicateTitles: titles(`
+      SELECT DISTINCT t.title FROM threads t
+      JOIN threads existing ON existing.provider = t.provider AND existing.title = t.title AND existing.id != t.id
+      WHERE t.ingestion_run_id = ? AND existing.ingestion_run_id IS NOT ?
+      ORDER BY t.title
+    `),
+  }
+}
+
+export interface ExportChanges {
+  /** Threads from earlier runs of this provider that the new export no longer contains */
+  threadsMissing: number
+  /** Messages whose content changed at the provider; the previous version is kept */
+  messagesChanged: number
+}
+
+/**
+ * Compare a completed run with everything earlier runs imported from the same
+ * provider. Threads (with a provider_thread_id) that this run did not touch are
+ * marked missing_since_run_id = runId; a later export containing them clears
+ * the mark again. Runs that touched no threads with a provider_thread_id are
+ * not compared, so a partial, empty or id-less import (a chat.html read from its
+ * page text) cannot mark a whole provider as removed.
+ */
+export function compareWithPreviousExports(runId: number, provider: string): ExportChanges {
+  const db = getDb()
+  const touched = (db.prepare(
+    'SELECT COUNT(*) as c FROM threads WHERE provider = ? AND last_ingestion_run_id = ? AND provider_thread_id IS NOT NULL'
+  ).get(provider, runId) as { c: number }).c
+
+  const threadsMissing = touched === 0 ? 0 : db.prepare(`
+    UPDATE threads SET missing_since_run_id = ?
+    WHERE provider = ?
+      AND provider_thread_id IS NOT NULL
+      AND missing_since_run_id IS NULL
+      AND last_ingestion_run_id IS NOT ?
+  `).run(runId, provider, runId).changes
+
+  return { threadsMissing, messagesChanged: countChangedMessages(runId) }
+}
+
+/** Messages whose earlier content a run kept in message_versions */
+export function countChangedMessages(runId: number): number {
+  const db = getDb()
+  return (db.prepare(
+    'SELECT COUNT(*) as c FROM message_versions WHERE replaced_by_run_id = ?'
+  ).get(runId) as { c: number }).c
+}
+
+/**
+ * Write an artifact's file into the vault; a full or read-only disk fails as
+ * FS_WRITE_FAILED. The message is stored with the run, so it names neither the
+ * file nor its path: the file is named in the run report's per-file outcome.
+ */
+function writeArtifactFile(write: () => void) {
+  try {
+    write()
+  } catch (err: any) {
+    throw new VaultError(
+      ErrorCodes.FS_WRITE_FAILED,
+      `Import failed: the export could not be saved in your vault (${err?.code || 'write error'}). Check that the disk has free space.`,
+      { cause: err }
+    )
+  }
 }
 
 export function storeRawArtifact(
@@ -48,9 +170,9 @@ export function storeRawArtifact(
   const sha256 = crypto.createHash('sha256').update(buffer).digest('hex')
 
   // Check for idempotency (Trust Moat #2)
-  const existing = db.prepare('SELECT id FROM raw_artifacts WHERE sha256 = ?').get(sha256) as { id: number } | undefined
+  const existing = db.prepare('SELECT id, stored_path FROM raw_artifacts WHERE sha256 = ?').get(sha256) as { id: number, stored_path: string } | undefined
   if (existing) {
-    return { id: existing.id as number, skipped: true }
+    return { id: existing.id as number, skipped: true, storedPath: existing.stored_path }
   }
 
   // Sanitize filename to prevent ZIP Slip / Path Traversal
@@ -58,7 +180,7 @@ export function storeRawArtifact(
   const storedFilename = `${sha256}-${safeFilename}`
   const storedPath = path.join(paths().artifactsDir, storedFilename)
 
-  fs.writeFileSync(storedPath, buffer)
+  writeArtifactFile(() => fs.writeFileSync(storedPath, buffer))
 
   const result = db.prepare(`
     INSERT INTO raw_artifacts (
@@ -70,7 +192,238 @@ export function storeRawArtifact(
     safeFilename, pathInArchive || null, buffer.length, sha256, storedPath, Date.now()
   )
 
-  return { id: result.lastInsertRowid as number, skipped: false }
+  return { id: result.lastInsertRowid as number, skipped: false, storedPath }
+}
+
+/**
+ * Same as storeRawArtifact, for a file on disk: hashed in chunks and copied,
+ * so multi-GB exports are never read into memory. With `move`, the source is a
+ * scratch file (an extracted ZIP entry) that is moved into place or removed.
+ * Returns the stored path so the caller can parse the artifact from disk.
+ */
+export function storeRawArtifactFile(
+  runId: number,
+  provider: string,
+  artifactType: string,
+  filename: string,
+  sourcePath: string,
+  parentArtifactId?: number,
+  pathInArchive?: string,
+  move = false
+) {
+  const db = getDb()
+  const hash = crypto.createHash('sha256')
+  const fd = fs.openSync(sourcePath, 'r')
+  let byteSize = 0
+  try {
+    const chunk = Buffer.alloc(1024 * 1024)
+    let read: number
+    while ((read = fs.readSync(fd, chunk, 0, chunk.length, null)) > 0) {
+      hash.update(chunk.subarray(0, read))
+      byteSize += read
+    }
+  } finally {
+    fs.closeSync(fd)
+  }
+  const sha256 = hash.digest('hex')
+
+  // Check for idempotency (Trust Moat #2)
+  const existing = db.prepare('SELECT id, stored_path FROM raw_artifacts WHERE sha256 = ?').get(sha256) as { id: number, stored_path: string } | undefined
+  if (existing) {
+    if (move) fs.rmSync(sourcePath, { force: true })
+    return { id: existing.id as number, skipped: true, storedPath: existing.stored_path }
+  }
+
+  // Sanitize filename to prevent ZIP Slip / Path Traversal
+  const safeFilename = path.basename(filename)
+  const storedPath = path.join(paths().artifactsDir, `${sha256}-${safeFilename}`)
+
+  writeArtifactFile(() => {
+    if (move) fs.renameSync(sourcePath, storedPath)
+    else fs.copyFileSync(sourcePath, storedPath)
+  })
+
+  const result = db.prepare(`
+    INSERT INTO raw_artifacts (
+      ingestion_run_id, parent_artifact_id, provider, artifact_type,
+      filename, path_in_archive, byte_size, sha256, stored_path, imported_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    runId, parentArtifactId || null, provider, artifactType,
+    safeFilename, pathInArchive || null, byteSize, sha256, storedPath, Date.now()
+  )
+
+  return { id: result.lastInsertRowid as number, skipped: false, storedPath }
+}
+
+export interface ImportHistoryEntry {
+  id: number
+  provider: string
+  source_label: string | null
+  status: string
+  started_at: number
+  completed_at: number | null
+  reverted_at: number | null
+  /** Why a failed or cancelled run stopped (see errors.ts) */
+  error_code: string | null
+  /** Threads and messages first imported by this run */
+  threads: number
+  messages: number
+}
+
+/** Ingestion runs, newest first, for the import history view */
+export function listIngestionRuns(): ImportHistoryEntry[] {
+  const db = getDb()
+  return db.prepare(`
+    SELECT r.id, r.provider, r.source_label, r.status, r.started_at, r.completed_at, r.reverted_at, r.error_code,
+      (SELECT COUNT(*) FROM threads t WHERE t.ingestion_run_id = r.id) as threads,
+      (SELECT COUNT(*) FROM messages m WHERE m.ingestion_run_id = r.id AND m.parent_message_id IS NULL) as messages
+    FROM ingestion_runs r
+    ORDER BY r.id DESC
+  `).all() as ImportHistoryEntry[]
+}
+
+export interface RevertResult {
+  runId: number
+  threadsRemoved: number
+  messagesRemoved: number
+  /** Messages whose content this run had replaced, put back from message_versions */
+  messagesRestored: number
+  artifactsRemoved: number
+  /** Artifacts still referenced by records of other runs */
+  artifactsKept: number
+}
+
+/**
+ * Undo one ingestion run without touching the others:
+ *   - messages and threads the run created are removed (FTS entries, assets and
+ *     versions go with them), unless a later run has seen them since
+ *   - messages whose content the run replaced get their previous version back
+ *     (content, role, branch fields, model and attachments; versions kept before
+ *     schema 14 restore the content and timestamp only)
+ *   - records it only matched are re-stamped with the run that created them,
+ *     and threads it marked as missing from the export are unmarked
+ *   - its artifacts are removed, except those other runs' records still point
+ *     to; a file on disk is kept while another artifact shares its SHA-256
+ * The run row stays, with status 'reverted', and the undo is written to audit_log.
+ */
+export function revertIngestionRun(runId: number): RevertResult {
+  const db = getDb()
+  const run = db.prepare('SELECT id, status FROM ingestion_runs WHERE id = ?').get(runId) as { id: number, status: string } | undefined
+  if (!run) throw new VaultError(ErrorCodes.UNDO_RUN_NOT_FOUND, 'Undo failed: this import is not in your vault.')
+  if (run.status === 'running') throw new VaultError(ErrorCodes.UNDO_RUN_IN_PROGRESS, 'Undo failed: this import is still running.')
+  if (run.status === 'reverted') throw new VaultError(ErrorCodes.UNDO_ALREADY_DONE, 'Undo failed: this import was already undone.')
+
+  const artifacts = db.prepare('SELECT id, sha256, stored_path FROM raw_artifacts WHERE ingestion_run_id = ? ORDER BY id DESC').all(runId) as { id: number, sha256: string, stored_path: string | null }[]
+  const removedFiles: string[] = []
+
+  const result = db.transaction((): RevertResult => {
+    // Messages this run replaced, unless a later run has replaced them again.
+    // Attachments first: the run cleared them when it replaced the message.
+    const snapshots = db.prepare(`
+      SELECT v.message_id, v.assets FROM message_versions v
+      JOIN messages m ON m.id = v.message_id
+      WHERE v.replaced_by_run_id = ? AND m.last_ingestion_run_id = ? AND v.assets IS NOT NULL
+    `).all(runId, runId) as { message_id: number, assets: string }[]
+    const clearAssets = db.prepare('DELETE FROM message_assets WHERE message_id = ?')
+    const restoreAssets = db.prepare(`
+      INSERT INTO message_assets (message_id, asset_pointer, content_type, width, height, size_bytes, position, file_name)
+      SELECT @messageId, json_extract(value, '$.asset_pointer'), json_extract(value, '$.content_type'),
+        json_extract(value, '$.width'), json_extract(value, '$.height'), json_extract(value, '$.size_bytes'),
+        json_extract(value, '$.position'), json_extract(value, '$.file_name')
+      FROM json_each(@assets)
+    `)
+    for (const { message_id, assets } of snapshots) {
+      clearAssets.run(message_id)
+      restoreAssets.run({ messageId: message_id, assets })
+    }
+    const restored = db.prepare(`
+      UPDATE messages SET
+        content = v.content, content_plain = v.content_plain, content_hash = v.content_hash,
+        timestamp = v.timestamp, last_ingestion_run_id = v.ingestion_run_id,
+        role = COALESCE(v.role, messages.role), position = COALESCE(v.position, messages.position),
+        parent_provider_message_id = CASE WHEN v.role IS NULL THEN messages.parent_provider_message_id ELSE v.parent_provider_message_id END,
+        is_canonical = COALESCE(v.is_canonical, messages.is_canonical),
+        branch_id = CASE WHEN v.role IS NULL THEN messages.branch_id ELSE v.branch_id END,
+        branch_depth = COALESCE(v.branch_depth, messages.branch_depth),
+        content_type = COALESCE(v.content_type, messages.content_type),
+        model = CASE WHEN v.role IS NULL THEN messages.model ELSE v.model END
+      FROM message_versions v
+      WHERE v.message_id = messages.id AND v.replaced_by_run_id = ? AND messages.last_ingestion_run_id = ?
+    `).run(runId, runId).changes
+    db.prepare('DELETE FROM message_versions WHERE replaced_by_run_id = ?').run(runId)
+
+    const messagesRemoved = db.prepare('DELETE FROM messages WHERE ingestion_run_id = ? AND last_ingestion_run_id = ?').run(runId, runId).changes
+    db.prepare('UPDATE messages SET last_ingestion_run_id = ingestion_run_id WHERE last_ingestion_run_id = ?').run(runId)
+
+    const threadsRemoved = db.prepare(`
+      DELETE FROM threads
+      WHERE ingestion_run_id = ? AND last_ingestion_run_id = ?
+        AND NOT EXISTS (SELECT 1 FROM messages m WHERE m.thread_id = threads.id)
+    `).run(runId, runId).changes
+    db.prepare('UPDATE threads SET last_ingestion_run_id = ingestion_run_id WHERE last_ingestion_run_id = ?').run(runId)
+    db.prepare('UPDATE threads SET missing_since_run_id = NULL WHERE missing_since_run_id = ?').run(runId)
+
+    // Children before parents (higher ids first); anything still referenced stays
+    const isReferenced = db.prepare(`
+      SELECT 1 FROM threads WHERE raw_artifact_id = @id
+      UNION ALL SELECT 1 FROM messages WHERE raw_artifact_id = @id
+      UNION ALL SELECT 1 FROM raw_artifacts WHERE parent_artifact_id = @id
+      LIMIT 1
+    `)
+    const sharesFile = db.prepare('SELECT 1 FROM raw_artifacts WHERE sha256 = ? AND id != ? LIMIT 1')
+    const deleteArtifact = db.prepare('DELETE FROM raw_artifacts WHERE id = ?')
+    let artifactsRemoved = 0
+    for (const artifact of artifacts) {
+      if (isReferenced.get({ id: artifact.id })) continue
+      deleteArtifact.run(artifact.id)
+      artifactsRemoved++
+      if (artifact.stored_path && !sharesFile.get(artifact.sha256, artifact.id)) removedFiles.push(artifact.stored_path)
+    }
+
+    const summary = {
+      runId,
+      threadsRemoved,
+      messagesRemoved,
+      messagesRestored: restored,
+      artifactsRemoved,
+      artifactsKept: artifacts.length - artifactsRemoved,
+    }
+    const now = Date.now()
+    db.prepare("UPDATE ingestion_runs SET status = 'reverted', reverted_at = ? WHERE id = ?").run(now, runId)
+    db.prepare(`
+      INSERT INTO audit_log (action, ingestion_run_id, created_at, details) VALUES ('revert_run', ?, ?, ?)
+    `).run(runId, now, JSON.stringify(summary))
+    return summary
+  })()
+
+  // Files go only once the rows are gone for good
+  for (const file of removedFiles) {
+    try { fs.unlinkSync(file) } catch { }
+  }
+  return result
+}
+
+/** True when an artifact with this SHA-256 is already in the vault */
+export function isArtifactStored(sha256: string): boolean {
+  const db = getDb()
+  return db.prepare('SELECT 1 FROM raw_artifacts WHERE sha256 = ?').get(sha256) !== undefined
+}
+
+export function getSetting(key: string): string | null {
+  const db = getDb()
+  const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key) as { value: string } | undefined
+  return row ? row.value : null
+}
+
+/** Store a setting; null removes it */
+export function setSetting(key: string, value: string | null) {
+  const db = getDb()
+  if (value === null) {
+    db.prepare('DELETE FROM settings WHERE key = ?').run(key)
+  } else {
+    db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)').run(key, value)
+  }
 }
 
 export function wipeVault() {
@@ -97,9 +450,13 @@ export function wipeVault() {
   }
 
   db.transaction(() => {
+    db.exec('DELETE FROM message_assets')
+    db.exec('DELETE FROM message_versions')
     db.exec('DELETE FROM messages')
     db.exec('DELETE FROM threads')
     db.exec('DELETE FROM raw_artifacts')
+    db.exec('DELETE FROM audit_log')
     db.exec('DELETE FROM ingestion_runs')
+    db.exec('DELETE FROM settings')
   })()
 }
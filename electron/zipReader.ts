@@ -0,0 +1,397 @@
+import fs from 'node:fs'
+import zlib from 'node:zlib'
+import { ErrorCodes, VaultError } from './errors'
+
+/**
+ * Streaming ZIP reader (Vault-Grade).
+ *
+ * Reads the central directory through a file descriptor and inflates one entry
+ * at a time from disk, so an export is never held in memory as a whole. Limits
+ * are enforced on the bytes actually produced by inflate, not on the sizes the
+ * archive claims in its headers:
+ *   - VAULT_ZIP_MAX_ENTRIES            entries in the central directory
+ *   - VAULT_ZIP_MAX_SINGLE_FILE_BYTES  inflated bytes of any one entry
+ *   - VAULT_ZIP_MAX_CONVERSATION_FILE_BYTES  the same, for conversations.json
+ *   - VAULT_ZIP_MAX_TOTAL_BYTES        inflated bytes across all entries read
+ *   - MAX_RATIO                        inflated / compressed bytes per entry
+ * Entry names with '..' segments, absolute paths, or symlink attributes are
+ * rejected before anything is inflated.
+ */
+
+export interface ZipLimits {
+    maxEntries: number
+    maxEntryBytes: number
+    /** Single-entry limit for known conversation files, which are streamed to disk */
+    maxConversationFileBytes: number
+    maxTotalBytes: number
+    maxRatio: number
+}
+
+export function zipLimitsFromEnv(): ZipLimits {
+    return {
+        maxEntries: parseInt(process.env.VAULT_ZIP_MAX_ENTRIES || '10000', 10),
+        maxEntryBytes: parseInt(process.env.VAULT_ZIP_MAX_SINGLE_FILE_BYTES || String(100 * 1024 * 1024), 10),
+        maxConversationFileBytes: parseInt(process.env.VAULT_ZIP_MAX_CONVERSATION_FILE_BYTES || String(1024 * 1024 * 1024), 10),
+        maxTotalBytes: parseInt(process.env.VAULT_ZIP_MAX_TOTAL_BYTES || String(1024 * 1024 * 1024), 10),
+        maxRatio: 100,
+    }
+}
+
+/**
+ * conversations.json (ChatGPT, Claude, Gemini Takeout) is imported from a stream,
+ * so it is held to VAULT_ZIP_MAX_CONVERSATION_FILE_BYTES instead of the
+ * single-file limit. The total limit still applies.
+ */
+export function isConversationFile(name: string): boolean {
+    return /(^|\/)conversations\.json$/i.test(name)
+}
+
+export interface ZipEntry {
+    /** Name as stored in the central directory ('/' separated) */
+    name: string
+    isDirectory: boolean
+    method: number
+    /** Sizes as declared by the archive; never trusted for limits */
+    compressedSize: number
+    declaredSize: number
+    localHeaderOffset: number
+    flags: number
+}
+
+const EOCD_SIG = 0x06054b50
+const EOCD64_LOCATOR_SIG = 0x07064b50
+const EOCD64_SIG = 0x06064b50
+const CENTRAL_SIG = 0x02014b50
+const LOCAL_SIG = 0x04034b50
+const MAX_COMMENT = 0xffff
+const READ_CHUNK = 64 * 1024
+
+function corrupt(detail: string): VaultError {
+    return new VaultError(ErrorCodes.ZIP_CORRUPT, `Import blocked: this ZIP file is damaged or incomplete (${detail}). Download the export again and retry.`)
+}
+
+export function tooManyEntries(count: number, limits: ZipLimits): VaultError {
+    return new VaultError(ErrorCodes.ZIP_TOO_MANY_ENTRIES, `Import blocked: this export contains too many files (${count} > ${limits.maxEntries}). Cognition Vault keeps imports local and safe.`)
+}
+
+export function entryTooLarge(maxBytes: number): VaultError {
+    return new VaultError(ErrorCodes.ZIP_ENTRY_TOO_LARGE, `Import blocked: one file in this export is larger than ${formatLimit(maxBytes)}. Cognition Vault keeps imports local and safe. Please remove the file or split the export and try again.`)
+}
+
+export function totalTooLarge(limits: ZipLimits): VaultError {
+    return new VaultError(ErrorCodes.ZIP_TOTAL_TOO_LARGE, `Import blocked: total uncompressed size exceeds ${formatLimit(limits.maxTotalBytes)} limit. Cognition Vault ensures your disk space is used safely.`)
+}
+
+function ratioBomb(): VaultError {
+    return new VaultError(ErrorCodes.ZIP_RATIO_BOMB, 'Import blocked: one file in this export has an extreme compression ratio. Cognition Vault protects against malicious archives.')
+}
+
+/** Reject traversal, absolute and symlink entries (checked on the raw stored name) */
+function checkEntryName(name: string, externalAttributes: number, madeBy: number) {
+    const normalized = name.replace(/\\/g, '/')
+    if (normalized.split('/').some(part => part === '..')) {
+        throw new VaultError(ErrorCodes.ZIP_SLIP_DETECTED, 'Import blocked: this export contains a file path that points outside the archive. Cognition Vault protects against malicious archives.')
+    }
+    if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) {
+        throw new VaultError(ErrorCodes.ZIP_ABSOLUTE_PATH, 'Import blocked: this export contains a file with an absolute path. Cognition Vault protects against malicious archives.')
+    }
+    // Unix mode lives in the high 16 bits when the entry was made on Unix (3) or macOS (19)
+    const host = madeBy >> 8
+    const mode = (externalAttributes >>> 16) & 0o170000
+    if ((host === 3 || host === 19) && mode === 0o120000) {
+        throw new VaultError(ErrorCodes.ZIP_SYMLINK_ENTRY, 'Import blocked: this export contains a symbolic link. Cognition Vault protects against malicious archives.')
+    }
+}
+
+export class ZipReader {
+    readonly entries: ZipEntry[]
+    private fd: number
+    private totalInflated = 0
+
+    private constructor(fd: number, entries: ZipEntry[], private limits: ZipLimits) {
+        this.fd = fd
+        this.entries = entries
+    }
+
+    /**
+     * Open an archive and read its central directory. Throws a ZIP_ VaultError for
+     * damaged archives, too many entries, or unsafe entry names.
+     */
+    static open(filePath: string, limits: ZipLimits = zipLimitsFromEnv()): ZipReader {
+        const fd = fs.openSync(filePath, 'r')
+        try {
+            return new ZipReader(fd, readCentralDirectory(fd, limits), limits)
+        } catch (err) {
+            fs.closeSync(fd)
+            throw err
+        }
+    }
+
+    close() {
+        if (this.fd >= 0) fs.closeSync(this.fd)
+        this.fd = -1
+    }
+
+    /**
+     * Cheap pre-scan on the declared sizes, so an honest oversized export fails
+     * before anything is stored. Reads still enforce the same limits on the
+     * real inflated bytes, which is what catches archives that lie.
+     */
+    checkDeclaredSizes() {
+        let total = 0
+        for (const entry of this.entries) {
+            if (entry.isDirectory) continue
+            if (entry.declaredSize > this.entryLimit(entry)) throw entryTooLarge(this.entryLimit(entry))
+            if (entry.declaredSize / Math.max(entry.compressedSize, 1) > this.limits.maxRatio) throw ratioBomb()
+            total += entry.declaredSize
+            if (total > this.limits.maxTotalBytes) throw totalTooLarge(this.limits)
+        }
+    }
+
+    /**
+     * Inflate one entry, counting real output bytes. Aborts as soon as a limit
+     * is crossed. With maxBytes set, stops early and returns only that prefix
+     * (used for sniffing; prefix reads do not count toward the total limit).
+     */
+    async read(entry: ZipEntry, maxBytes?: number): Promise<Buffer> {
+        const chunks: Buffer[] = []
+        let collected = 0
+        await this.inflateEntry(entry, chunk => {
+            chunks.push(chunk)
+            collected += chunk.length
+            return maxBytes !== undefined && collected >= maxBytes
+        }, maxBytes !== undefined)
+        const data = Buffer.concat(chunks)
+        return maxBytes !== undefined ? data.subarray(0, maxBytes) : data
+    }
+
+    /**
+     * Inflate one entry straight into a file, under the same limits as read().
+     * Used for conversation files, which may be far larger than memory allows.
+     */
+    async extractTo(entry: ZipEntry, destPath: string): Promise<number> {
+        const fd = fs.openSync(destPath, 'w')
+        let written = 0
+        try {
+            await this.inflateEntry(entry, chunk => {
+                fs.writeSync(fd, chunk)
+                written += chunk.length
+                return false
+            }, false)
+        } catch (err) {
+            fs.closeSync(fd)
+            fs.rmSync(destPath, { force: true })
+            throw err
+        }
+        fs.closeSync(fd)
+        return written
+    }
+
+    /** Single-entry limit: known conversation files get the larger allowance */
+    entryLimit(entry: ZipEntry): number {
+        return isConversationFile(entry.name) ? this.limits.maxConversationFileBytes : this.limits.maxEntryBytes
+    }
+
+    /**
+     * Feed inflated chunks of one entry to `consume`, which returns true to stop
+     * early (prefix reads). Limits are checked before each chunk is handed over.
+     */
+    private async inflateEntry(entry: ZipEntry, consume: (chunk: Buffer) => boolean, prefixOnly: boolean): Promise<void> {
+        if (entry.isDirectory) return
+        if (entry.flags & 0x1) {
+            throw new VaultError(ErrorCodes.ZIP_UNSUPPORTED, 'Import blocked: this export contains encrypted files, which Cognition Vault cannot read.')
+        }
+        if (entry.method !== 0 && entry.method !== 8) {
+            throw new VaultError(ErrorCodes.ZIP_UNSUPPORTED, `Import blocked: this export uses an unsupported compression method (${entry.method}).`)
+        }
+
+        const dataStart = this.dataOffset(entry)
+        if (entry.compressedSize === 0) {
+            if (entry.declaredSize !== 0) throw corrupt('entry has no data')
+            return
+        }
+        const limits = this.limits
+        const maxEntryBytes = this.entryLimit(entry)
+
+        let inflated = 0
+        let compressedRead = 0
+
+        // Returns an error once a limit is crossed, true once the consumer has enough
+        const accept = (chunk: Buffer): VaultError | boolean => {
+            inflated += chunk.length
+            if (!prefixOnly) {
+                if (inflated > maxEntryBytes) return entryTooLarge(maxEntryBytes)
+                if (this.totalInflated + inflated > limits.maxTotalBytes) return totalTooLarge(limits)
+                if (entry.method === 8 && inflated / Math.max(compressedRead, 1) > limits.maxRatio) return ratioBomb()
+            }
+            return consume(chunk)
+        }
+
+        const end = dataStart + entry.compressedSize
+        const buffer = Buffer.alloc(READ_CHUNK)
+        const readNext = (): Buffer | null => {
+            const position = dataStart + compressedRead
+            if (position >= end) return null
+            const read = fs.readSync(this.fd, buffer, 0, Math.min(READ_CHUNK, end - position), position)
+            if (read === 0) throw corrupt('entry data is truncated')
+            compressedRead += read
+            return Buffer.from(buffer.subarray(0, read))
+        }
+
+        if (entry.method === 0) {
+            let chunk: Buffer | null
+            while ((chunk = readNext())) {
+                const verdict = accept(chunk)
+                if (verdict instanceof Error) throw verdict
+                if (verdict) break
+            }
+        } else {
+            // Compressed bytes are fed from the descriptor one chunk at a time;
+            // inflate output is checked as it is produced
+            const inflate = zlib.createInflateRaw()
+            await new Promise<void>((resolve, reject) => {
+                let done = false
+                const finish = (err?: Error) => {
+                    if (done) return
+                    done = true
+                    inflate.destroy()
+                    err ? reject(err) : resolve()
+                }
+                inflate.on('data', (chunk: Buffer) => {
+                    if (done) return
+                    let verdict: VaultError | boolean
+                    try {
+                        verdict = accept(chunk)
+                    } catch (err) {
+                        return finish(err as Error)
+                    }
+                    if (verdict instanceof Error) finish(verdict)
+                    else if (verdict) finish()
+                })
+                inflate.on('error', err => finish(corrupt(err.message)))
+                inflate.on('end', () => finish())
+
+                const pump = () => {
+                    try {
+                        let chunk: Buffer | null
+                        while (!done && (chunk = readNext())) {
+                            if (!inflate.write(chunk)) return inflate.once('drain', pump)
+                        }
+                        if (!done) inflate.end()
+                    } catch (err) {
+                        finish(err as Error)
+                    }
+                }
+                pump()
+            })
+        }
+
+        if (prefixOnly) return
+        if (inflated !== entry.declaredSize) {
+            throw new VaultError(ErrorCodes.ZIP_SIZE_MISMATCH, 'Import blocked: a file in this export is not the size its archive header claims. Cognition Vault protects against malicious archives.')
+        }
+        this.totalInflated += inflated
+    }
+
+    private dataOffset(entry: ZipEntry): number {
+        const header = Buffer.alloc(30)
+        if (fs.readSync(this.fd, header, 0, 30, entry.localHeaderOffset) !== 30 || header.readUInt32LE(0) !== LOCAL_SIG) {
+            throw corrupt('missing local file header')
+        }
+        return entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28)
+    }
+}
+
+function formatLimit(bytes: number): string {
+    if (bytes >= 1024 * 1024 * 1024 && bytes % (1024 * 1024 * 1024) === 0) return `${bytes / (1024 * 1024 * 1024)}GB`
+    if (bytes >= 1024 * 1024 && bytes % (1024 * 1024) === 0) return `${bytes / (1024 * 1024)}MB`
+    return `${bytes} bytes`
+}
+
+function readCentralDirectory(fd: number, limits: ZipLimits): ZipEntry[] {
+    const fileSize = fs.fstatSync(fd).size
+    if (fileSize < 22) throw corrupt('file too small')
+
+    // End of central directory: last 22 bytes plus an optional comment
+    const tailSize = Math.min(fileSize, 22 + MAX_COMMENT + 20)
+    const tail = Buffer.alloc(tailSize)
+    fs.readSync(fd, tail, 0, tailSize, fileSize - tailSize)
+
+    let eocd = -1
+    for (let i = tailSize - 22; i >= 0; i--) {
+        if (tail.readUInt32LE(i) === EOCD_SIG) { eocd = i; break }
+    }
+    if (eocd < 0) throw corrupt('no end of central directory')
+
+    let entryCount = tail.readUInt16LE(eocd + 10)
+    let cdSize = tail.readUInt32LE(eocd + 12)
+    let cdOffset = tail.readUInt32LE(eocd + 16)
+
+    // ZIP64: real values live in the ZIP64 end of central directory record
+    if (entryCount === 0xffff || cdSize === 0xffffffff || cdOffset === 0xffffffff) {
+        const locator = eocd - 20
+        if (locator < 0 || tail.readUInt32LE(locator) !== EOCD64_LOCATOR_SIG) throw corrupt('missing ZIP64 locator')
+        const record = Buffer.alloc(56)
+        fs.readSync(fd, record, 0, 56, Number(tail.readBigUInt64LE(locator + 8)))
+        if (record.readUInt32LE(0) !== EOCD64_SIG) throw corrupt('missing ZIP64 directory')
+        entryCount = Number(record.readBigUInt64LE(32))
+        cdSize = Number(record.readBigUInt64LE(40))
+        cdOffset = Number(record.readBigUInt64LE(48))
+    }
+
+    if (entryCount > limits.maxEntries) {
+        throw tooManyEntries(entryCount, limits)
+    }
+    if (cdOffset + cdSize > fileSize) throw corrupt('central directory out of range')
+
+    const cd = Buffer.alloc(cdSize)
+    fs.readSync(fd, cd, 0, cdSize, cdOffset)
+
+    const entries: ZipEntry[] = []
+    let offset = 0
+    for (let i = 0; i < entryCount; i++) {
+        if (offset + 46 > cd.length || cd.readUInt32LE(offset) !== CENTRAL_SIG) throw corrupt('bad central directory entry')
+
+        const madeBy = cd.readUInt16LE(offset + 4)
+        const flags = cd.readUInt16LE(offset + 8)
+        const method = cd.readUInt16LE(offset + 10)
+        let compressedSize = cd.readUInt32LE(offset + 20)
+        let declaredSize = cd.readUInt32LE(offset + 24)
+        const nameLength = cd.readUInt16LE(offset + 28)
+        const extraLength = cd.readUInt16LE(offset + 30)
+        const commentLength = cd.readUInt16LE(offset + 32)
+        const externalAttributes = cd.readUInt32LE(offset + 38)
+        let localHeaderOffset = cd.readUInt32LE(offset + 42)
+
+        const name = cd.subarray(offset + 46, offset + 46 + nameLength).toString(flags & 0x800 ? 'utf-8' : 'latin1')
+
+        // ZIP64 extended information extra field (0x0001): only the saturated fields, in order
+        let extra = offset + 46 + nameLength
+        const extraEnd = extra + extraLength
+        while (extra + 4 <= extraEnd) {
+            const id = cd.readUInt16LE(extra)
+            const size = cd.readUInt16LE(extra + 2)
+            if (id === 0x0001) {
+                let p = extra + 4
+                if (declaredSize === 0xffffffff) { declaredSize = Number(cd.readBigUInt64LE(p)); p += 8 }
+                if (compressedSize === 0xffffffff) { compressedSize = Number(cd.readBigUInt64LE(p)); p += 8 }
+                if (localHeaderOffset === 0xffffffff) { localHeaderOffset = Number(cd.readBigUInt64LE(p)); p += 8 }
+            }
+            extra += 4 + size
+        }
+
+        checkEntryName(name, externalAttributes, madeBy)
+        entries.push({
+            name,
+            isDirectory: name.endsWith('/'),
+            method,
+            compressedSize,
+            declaredSize,
+            localHeaderOffset,
+            flags,
+        })
+        offset += 46 + nameLength + extraLength + commentLength
+    }
+
+    return entries
+}
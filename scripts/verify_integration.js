@@ -36,6 +36,8 @@ const electronStub = {
             return VAULT_TEST_DIR;
         },
         isReady: () => true,
+        getVersion: () => '0.0.0-test',
+        isPackaged: false,
     },
     ipcMain: { handle: () => { } },
     dialog: { showOpenDialog: async () => ({ canceled: true, filePaths: [] }) },
@@ -57,12 +59,27 @@ if (!fs.existsSync(DIST)) {
 }
 
 const { initPaths } = require(path.join(DIST, 'paths.js'));
-const { initDb, getDb } = require(path.join(DIST, 'db.js'));
+const { initDb, getDb, searchMessages, searchMessagePage, getMessageAlternates, getMessageHistory } = require(path.join(DIST, 'db.js'));
 const { createIngestionRun,
     storeRawArtifact,
     finalizeIngestionRun,
     wipeVault } = require(path.join(DIST, 'vault.js'));
-const { importChatGPT } = require(path.join(DIST, 'importers', 'chatgpt.js'));
+const { importChatGPT, importChatGPTfromHTML } = require(path.join(DIST, 'importers', 'chatgpt.js'));
+const { importClaude } = require(path.join(DIST, 'importers', 'claude.js'));
+const { importGemini } = require(path.join(DIST, 'importers', 'gemini.js'));
+const { importGeminiActivityHTML } = require(path.join(DIST, 'importers', 'geminiActivity.js'));
+const { detectProvider } = require(path.join(DIST, 'importers', 'detect.js'));
+const { parseJsonArray } = require(path.join(DIST, 'importers', 'jsonStream.js'));
+const { listImporters, getImporter } = require(path.join(DIST, 'importers', 'registry.js'));
+const { writeThreads } = require(path.join(DIST, 'importers', 'writer.js'));
+const { importFileHeadless, importFilesHeadless } = require(path.join(DIST, 'importPipeline.js'));
+const { runImportInWorker, cancelActiveImport, isImportRunning } = require(path.join(DIST, 'importRunner.js'));
+const { getRunReconciliation, compareWithPreviousExports, revertIngestionRun, listIngestionRuns, getRunReport } = require(path.join(DIST, 'vault.js'));
+const { getDiagnostics } = require(path.join(DIST, 'diagnostics.js'));
+const { VaultError } = require(path.join(DIST, 'errors.js'));
+const { parseSearchText, toFtsQuery } = require(path.join(DIST, 'searchQuery.js'));
+const { getWatchedFolder, setWatchedFolder, startImportWatcher, scanWatchedFolder } = require(path.join(DIST, 'importWatcher.js'));
+const AdmZip = require('adm-zip');
 
 // ─── Test DB Init ─────────────────────────────────────────────────────────────
 initPaths(VAULT_TEST_DIR);
@@ -99,6 +116,28 @@ const FIXTURES_DIR = path.join(__dirname, '../tests/fixtures');
 const SENTINEL = 'SENTINEL_CHATGPT_001';
 const chatgptJson = fs.readFileSync(
     path.join(FIXTURES_DIR, 'chatgpt', 'conversations.json'), 'utf-8');
+const chatgptBranchingJson = fs.readFileSync(
+    path.join(FIXTURES_DIR, 'chatgpt', 'branching.json'), 'utf-8');
+const chatgptContentTypesJson = fs.readFileSync(
+    path.join(FIXTURES_DIR, 'chatgpt', 'content_types.json'), 'utf-8');
+const chatgptChatHtml = fs.readFileSync(
+    path.join(FIXTURES_DIR, 'chatgpt', 'chat.html'), 'utf-8');
+const claudeBlocksJson = fs.readFileSync(
+    path.join(FIXTURES_DIR, 'claude', 'content_blocks.json'), 'utf-8');
+const geminiActivityJson = fs.readFileSync(
+    path.join(FIXTURES_DIR, 'gemini', 'MyActivity.json'), 'utf-8');
+const geminiActivityHtml = fs.readFileSync(
+    path.join(FIXTURES_DIR, 'gemini', 'MyActivity.html'), 'utf-8');
+const geminiJson = fs.readFileSync(
+    path.join(FIXTURES_DIR, 'gemini', 'conversations.json'), 'utf-8');
+const deepseekJson = fs.readFileSync(
+    path.join(FIXTURES_DIR, 'deepseek', 'conversations.json'), 'utf-8');
+const compatJson = fs.readFileSync(
+    path.join(FIXTURES_DIR, 'chatgpt_compatible', 'conversations.json'), 'utf-8');
+const openWebUIJson = fs.readFileSync(
+    path.join(FIXTURES_DIR, 'openwebui', 'chat-export.json'), 'utf-8');
+const libreChatJson = fs.readFileSync(
+    path.join(FIXTURES_DIR, 'librechat', 'conversation.json'), 'utf-8');
 
 // ─── Main (async IIFE so all awaits resolve before cleanup) ───────────────────
 (async () => {
@@ -165,6 +204,1392 @@ const chatgptJson = fs.readFileSync(
         assert(threw, 'Expected importChatGPT to throw on malformed JSON');
     });
 
+    // Case 6: Branch-aware ChatGPT import (current_node, regenerations, abandoned branches)
+    console.log('\n[Conversation Branches]');
+    await assertCase('Canonical path first, regenerations kept as alternates', async () => {
+        const run = createIngestionRun('chatgpt', 'branching-test');
+        const art = storeRawArtifact(run.id, 'chatgpt', 'json', 'branching.json',
+            Buffer.from(chatgptBranchingJson));
+        await importChatGPT(run.id, art.id, chatgptBranchingJson);
+
+        const rows = db.prepare(`
+            SELECT provider_message_id AS id, is_canonical, branch_id, branch_depth
+            FROM messages WHERE ingestion_run_id = ? ORDER BY position
+        `).all(run.id);
+        const order = rows.map(r => r.id).join(',');
+        assert(order === 'msg_b_user,msg_b_asst_3,msg_b_asst_1,msg_b_asst_2,msg_b_user_followup',
+            `Unexpected position order: ${order}`);
+        assert(rows[0].is_canonical === 1 && rows[1].is_canonical === 1, 'Canonical path not marked');
+        assert(rows.slice(2).every(r => r.is_canonical === 0), 'Alternates marked canonical');
+
+        const followup = rows.find(r => r.id === 'msg_b_user_followup');
+        assert(followup.branch_id === 'msg_b_asst_2' && followup.branch_depth === 1,
+            `Follow-up should continue branch msg_b_asst_2 at depth 1 (got ${followup.branch_id}/${followup.branch_depth})`);
+    });
+
+    await assertCase('Search ranks canonical first and counts other versions', async () => {
+        const hits = searchMessages('answer');
+        assert(hits.length === 3, `Expected 3 answer hits, got ${hits.length}`);
+        assert(hits[0].is_canonical === 1, 'First hit should be the canonical answer');
+        assert(hits[0].alternate_count === 2, `Expected 2 other versions, got ${hits[0].alternate_count}`);
+
+        const versions = getMessageAlternates(hits[0].id);
+        assert(versions.length === 3, `Expected 3 versions, got ${versions.length}`);
+        assert(versions[0].id === hits[0].id, 'Canonical version should be listed first');
+    });
+
+    // Case 7: Non-text ChatGPT content types are normalized, not dropped
+    console.log('\n[Content Types]');
+    await assertCase('Code, output, multimodal, browsing, quote and error nodes imported', async () => {
+        const run = createIngestionRun('chatgpt', 'content-types-test');
+        const art = storeRawArtifact(run.id, 'chatgpt', 'json', 'content_types.json',
+            Buffer.from(chatgptContentTypesJson));
+        const report = await importChatGPT(run.id, art.id, chatgptContentTypesJson);
+
+        for (const type of ['multimodal_text', 'code', 'execution_output', 'tether_browsing_display', 'tether_quote', 'system_error']) {
+            assert(report.kept[type] === 1, `Expected 1 kept ${type}, got ${report.kept[type]}`);
+        }
+        assert(report.skipped.some_future_type === 1, 'Unknown content type should be counted as skipped');
+
+        for (const sentinel of ['TYPES_MULTIMODAL', 'TYPES_CODE', 'TYPES_EXECUTION', 'TYPES_BROWSING', 'TYPES_QUOTE', 'TYPES_ERROR']) {
+            const hits = db.prepare(`SELECT COUNT(*) as c FROM messages_fts WHERE content_plain MATCH ?`).get(sentinel);
+            assert(hits.c === 1, `${sentinel} not searchable (got ${hits.c})`);
+        }
+
+        const code = db.prepare(`SELECT content_type, content FROM messages WHERE provider_message_id = 'msg_t_code'`).get();
+        assert(code.content_type === 'code' && code.content.startsWith('```python'), 'Code node not stored as fenced code');
+    });
+
+    await assertCase('Image parts stored as asset pointer references', async () => {
+        const asset = db.prepare(`
+            SELECT a.asset_pointer, a.width, a.size_bytes
+            FROM message_assets a JOIN messages m ON a.message_id = m.id
+            WHERE m.provider_message_id = 'msg_t_image'
+        `).get();
+        assert(asset && asset.asset_pointer === 'file-service://file-TYPES001', 'Asset pointer not recorded');
+        assert(asset.width === 640 && asset.size_bytes === 12345, 'Asset metadata not recorded');
+    });
+
+    // Case 8: chat.html with embedded jsonData → one thread per conversation
+    console.log('\n[chat.html Fallback]');
+    await assertCase('Embedded jsonData parsed through the mapping import', async () => {
+        const run = createIngestionRun('chatgpt', 'chat-html-test');
+        const art = storeRawArtifact(run.id, 'chatgpt', 'html', 'chat.html', Buffer.from(chatgptChatHtml));
+        const result = await importChatGPTfromHTML(run.id, art.id, chatgptChatHtml);
+        assert(result.strategy === 'embedded_json', `Expected embedded_json strategy, got ${result.strategy}`);
+
+        const threads = db.prepare(`SELECT provider_thread_id, created_at FROM threads WHERE ingestion_run_id = ? ORDER BY id`).all(run.id);
+        assert(threads.length === 2, `Expected 2 threads, got ${threads.length}`);
+        assert(threads[0].provider_thread_id === 'thread_html_001', 'Real thread id not preserved');
+        assert(threads[0].created_at === 1708262400500, `Real timestamp not preserved (got ${threads[0].created_at})`);
+
+        const fts = db.prepare(`SELECT COUNT(*) as c FROM messages_fts WHERE content_plain MATCH ?`).get('SENTINEL_CHATHTML_001');
+        assert(fts.c === 1, `Sentinel with brackets/quotes not searchable (got ${fts.c})`);
+    });
+
+    await assertCase('DOM parsing used only without embedded data; empty page throws', async () => {
+        const run = createIngestionRun('chatgpt', 'chat-html-dom-test');
+        const html = '<title>Legacy</title><div class="message"><div class="author">User</div><div class="content">DOM_FALLBACK_SENTINEL</div></div>';
+        const art = storeRawArtifact(run.id, 'chatgpt', 'html', 'legacy.html', Buffer.from(html));
+        const result = await importChatGPTfromHTML(run.id, art.id, html);
+        assert(result.strategy === 'dom', `Expected dom strategy, got ${result.strategy}`);
+        const row = db.prepare(`SELECT role FROM messages WHERE ingestion_run_id = ?`).get(run.id);
+        assert(row && row.role === 'user', 'DOM fallback did not extract the message');
+
+        let threw = false;
+        try {
+            await importChatGPTfromHTML(run.id, art.id, '<html><body>nothing here</body></html>');
+        } catch { threw = true; }
+        assert(threw, 'Expected a page with no conversations to throw');
+    });
+
+    // Case 9: Claude content blocks, attachments, files and thinking
+    console.log('\n[Claude Content Blocks]');
+    await assertCase('Blocks ordered into content; attachments searchable as sub-records', async () => {
+        const run = createIngestionRun('claude', 'claude-blocks-test');
+        const art = storeRawArtifact(run.id, 'claude', 'json', 'content_blocks.json', Buffer.from(claudeBlocksJson));
+        await importClaude(run.id, art.id, claudeBlocksJson);
+
+        const reply = db.prepare(`SELECT id, content FROM messages WHERE provider_message_id = 'msg_claude_blocks_002'`).get();
+        const order = ['Let me look that up.', 'CLAUDE_TOOL_USE_SENTINEL', 'CLAUDE_TOOL_RESULT_SENTINEL', 'Here is the summary.']
+            .map(t => reply.content.indexOf(t));
+        assert(order.every((i, k) => i >= 0 && (k === 0 || i > order[k - 1])), `Blocks out of order: ${order.join(',')}`);
+        assert(!reply.content.includes('CLAUDE_THINKING_SENTINEL'), 'Thinking leaked into message content');
+
+        const hits = searchMessages('CLAUDE_ATTACHMENT_SENTINEL');
+        assert(hits.length === 1 && hits[0].content_type === 'attachment', 'Attachment text not searchable as a sub-record');
+        const parent = db.prepare(`SELECT provider_message_id FROM messages WHERE id = ?`).get(hits[0].parent_message_id);
+        assert(parent && parent.provider_message_id === 'msg_claude_blocks_001', 'Attachment not linked to its message');
+
+        const assets = db.prepare(`
+            SELECT a.content_type, a.file_name FROM message_assets a JOIN messages m ON a.message_id = m.id
+            WHERE m.provider_message_id = 'msg_claude_blocks_001' ORDER BY a.position
+        `).all();
+        assert(assets.map(a => `${a.content_type}:${a.file_name}`).join(',') === 'attachment:notes.txt,file:diagram.png',
+            'Attachment/file metadata not recorded');
+    });
+
+    await assertCase('Thinking stored but excluded from default search', async () => {
+        const stored = db.prepare(`SELECT COUNT(*) as c FROM messages WHERE content_type = 'thinking'`).get();
+        assert(stored.c === 1, `Expected 1 thinking sub-record, got ${stored.c}`);
+        assert(searchMessages('CLAUDE_THINKING_SENTINEL').length === 0, 'Thinking returned by default search');
+        assert(searchMessages('CLAUDE_THINKING_SENTINEL', { includeThinking: true }).length === 1, 'Thinking not searchable on request');
+    });
+
+    // Case 10: Gemini My Activity (Takeout) — JSON and HTML
+    console.log('\n[Gemini My Activity]');
+    await assertCase('MyActivity.json grouped by conversation link and time proximity', async () => {
+        const run = createIngestionRun('gemini', 'gemini-activity-test');
+        const art = storeRawArtifact(run.id, 'gemini', 'json', 'MyActivity.json', Buffer.from(geminiActivityJson));
+        await importGemini(run.id, art.id, geminiActivityJson);
+
+        const threads = db.prepare(`SELECT id, provider_thread_id, created_at FROM threads WHERE ingestion_run_id = ? ORDER BY created_at`).all(run.id);
+        assert(threads.length === 2, `Expected 2 threads, got ${threads.length}`);
+        assert(threads[0].created_at === Date.parse('2025-03-01T10:00:00.000Z'), 'Original timestamp not preserved');
+        assert(threads[1].provider_thread_id === 'abc123def', 'Conversation link not used as thread id');
+
+        const first = db.prepare(`SELECT role, content FROM messages WHERE thread_id = ? ORDER BY position`).all(threads[0].id);
+        assert(first.map(m => m.role).join(',') === 'user,assistant,user,assistant', `Unexpected turns: ${first.map(m => m.role)}`);
+        assert(first[1].content === 'The paper argues three points.', `Response HTML not converted: ${first[1].content}`);
+        assert(first[3].content === 'Use the author & year.', 'Entities not decoded');
+
+        const fts = db.prepare(`SELECT COUNT(*) as c FROM messages_fts WHERE content_plain MATCH ?`).get('SENTINEL_GEMINI_ACTIVITY_002');
+        assert(fts.c === 1, 'Activity prompt not searchable');
+    });
+
+    await assertCase('MyActivity.html prompts, responses and dates parsed', async () => {
+        const run = createIngestionRun('gemini', 'gemini-activity-html-test');
+        const art = storeRawArtifact(run.id, 'gemini', 'html', 'MyActivity.html', Buffer.from(geminiActivityHtml));
+        await importGeminiActivityHTML(run.id, art.id, geminiActivityHtml);
+
+        const rows = db.prepare(`SELECT role, content, timestamp FROM messages WHERE ingestion_run_id = ? ORDER BY position`).all(run.id);
+        assert(rows.length === 2, `Expected prompt + response only, got ${rows.length}`);
+        assert(rows[0].content === 'what is a monad? SENTINEL_GEMINI_HTML_001', `Prompt not extracted: ${rows[0].content}`);
+        assert(rows[1].content === 'A monad is a design pattern & abstraction.', `Response not extracted: ${rows[1].content}`);
+        assert(rows[0].timestamp === Date.parse('2025-01-05T10:00:00Z'), `Date not parsed (got ${rows[0].timestamp})`);
+    });
+
+    // Case 11: Provider auto-detection
+    console.log('\n[Provider Detection]');
+    const writeTemp = (name, content) => {
+        const file = path.join(VAULT_TEST_DIR, name);
+        fs.writeFileSync(file, content);
+        return file;
+    };
+
+    await assertCase('Detects ChatGPT, Claude and Gemini exports from content', async () => {
+        const chatgpt = await detectProvider(writeTemp('detect_chatgpt.json', chatgptJson));
+        assert(chatgpt && chatgpt.provider === 'chatgpt' && chatgpt.confidence === 'high', `ChatGPT: ${JSON.stringify(chatgpt)}`);
+        const claude = await detectProvider(writeTemp('detect_claude.json', claudeBlocksJson));
+        assert(claude && claude.provider === 'claude' && claude.confidence === 'high', `Claude: ${JSON.stringify(claude)}`);
+        const activity = await detectProvider(writeTemp('MyActivity.html', geminiActivityHtml));
+        assert(activity && activity.provider === 'gemini', `Gemini: ${JSON.stringify(activity)}`);
+        assert(await detectProvider(writeTemp('notes.json', '[{"foo": 1}]')) === null, 'Unrelated JSON was recognized');
+    });
+
+    await assertCase('Detects provider inside a ZIP by entry contents', async () => {
+        const zip = new AdmZip();
+        zip.addFile('Takeout/My Activity/Gemini Apps/MyActivity.json', Buffer.from(geminiActivityJson));
+        const result = await detectProvider(writeTemp('takeout.zip', zip.toBuffer()));
+        assert(result && result.provider === 'gemini' && result.confidence === 'high', `Got ${JSON.stringify(result)}`);
+    });
+
+    await assertCase('Auto import of an unrecognized file fails instead of completing empty', async () => {
+        const file = path.join(VAULT_TEST_DIR, 'unrelated.json');
+        fs.writeFileSync(file, '[{"foo": 1}]');
+        let error = null;
+        try { await importFileHeadless('auto', file); } catch (e) { error = e; }
+        assert(error && error.message.includes('no importer recognizes'), `Expected not-recognized error, got ${error && error.message}`);
+        const run = db.prepare(`SELECT status FROM ingestion_runs ORDER BY id DESC LIMIT 1`).get();
+        assert(run.status === 'failed', `Expected failed run, got ${run.status}`);
+    });
+
+    await assertCase('Wrong provider choice is blocked; auto picks the right importer', async () => {
+        const file = path.join(VAULT_TEST_DIR, 'conversations.json');
+        fs.writeFileSync(file, claudeBlocksJson);
+        let error = null;
+        try { await importFileHeadless('chatgpt', file); } catch (e) { error = e; }
+        assert(error && error.message.includes('looks like a Claude export'), `Expected mismatch error, got ${error && error.message}`);
+
+        const result = await importFileHeadless('auto', file);
+        assert(result.success && result.detection.provider === 'claude', `Auto import did not use Claude: ${JSON.stringify(result.detection)}`);
+        const run = db.prepare(`SELECT provider, status FROM ingestion_runs WHERE id = ?`).get(result.runId);
+        assert(run.provider === 'claude' && run.status === 'complete', `Unexpected run: ${JSON.stringify(run)}`);
+    });
+
+    // Case 12: Incremental re-import reconciles instead of duplicating
+    console.log('\n[Incremental Re-import]');
+    await assertCase('Newer ChatGPT export adds only new threads and messages', async () => {
+        const base = JSON.parse(chatgptJson);
+        const newer = JSON.parse(chatgptJson);
+        newer[0].mapping.msg_chatgpt_003 = {
+            message: {
+                id: 'msg_chatgpt_003', author: { role: 'user' },
+                content: { content_type: 'text', parts: ['Follow-up REIMPORT_APPENDED_001'] }, create_time: 1708262500,
+            },
+            parent: 'msg_chatgpt_002',
+        };
+        newer[0].mapping.msg_chatgpt_002.children = ['msg_chatgpt_003'];
+        newer[0].current_node = 'msg_chatgpt_003';
+        newer.push({
+            id: 'thread_reimport_new', title: 'Added later', create_time: 1708300000,
+            mapping: { n1: { message: { id: 'n1', author: { role: 'user' }, content: { content_type: 'text', parts: ['REIMPORT_NEW_THREAD_001'] } }, parent: null } },
+        });
+
+        const run1 = createIngestionRun('chatgpt', 'reimport-1');
+        const art1 = storeRawArtifact(run1.id, 'chatgpt', 'json', 'conversations.json', Buffer.from(JSON.stringify(base)));
+        await importChatGPT(run1.id, art1.id, JSON.stringify(base));
+        const threadsBefore = db.prepare(`SELECT COUNT(*) as c FROM threads WHERE provider_thread_id = 'thread_chatgpt_001'`).get().c;
+
+        const run2 = createIngestionRun('chatgpt', 'reimport-2');
+        const art2 = storeRawArtifact(run2.id, 'chatgpt', 'json', 'conversations.json', Buffer.from(JSON.stringify(newer)));
+        await importChatGPT(run2.id, art2.id, JSON.stringify(newer));
+
+        const threadsAfter = db.prepare(`SELECT COUNT(*) as c FROM threads WHERE provider_thread_id = 'thread_chatgpt_001'`).get().c;
+        assert(threadsAfter === threadsBefore && threadsAfter === 1, `Thread duplicated (${threadsBefore} → ${threadsAfter})`);
+        const sentinelRows = db.prepare(`SELECT COUNT(*) as c FROM messages WHERE provider_message_id = 'msg_chatgpt_001'`).get().c;
+        assert(sentinelRows === 1, `Message duplicated (${sentinelRows} rows)`);
+        assert(searchMessages('REIMPORT_APPENDED_001').length === 1, 'Appended message not imported');
+
+        const thread = db.prepare(`SELECT ingestion_run_id, last_ingestion_run_id FROM threads WHERE provider_thread_id = 'thread_chatgpt_001'`).get();
+        assert(thread.last_ingestion_run_id === run2.id && thread.ingestion_run_id !== run2.id, 'Existing thread not stamped with the newer run');
+
+        const stats = getRunReconciliation(run2.id);
+        assert(stats.threadsAdded === 1 && stats.threadsUpdated === 1, `Unexpected thread stats: ${JSON.stringify(stats)}`);
+        assert(stats.messagesAdded === 2 && stats.messagesUpdated === 2, `Unexpected message stats: ${JSON.stringify(stats)}`);
+    });
+
+    await assertCase('Newer export on another branch moves the canonical path of unchanged messages', async () => {
+        const node = (id, role, text, parent, children) => ({
+            message: { id, author: { role }, content: { content_type: 'text', parts: [text] }, create_time: 1708270000 },
+            parent, children,
+        });
+        const exportOn = (currentNode) => JSON.stringify([{
+            id: 'thread_branch_switch', title: 'Branch switch', create_time: 1708270000, current_node: currentNode,
+            mapping: {
+                bs_user: node('bs_user', 'user', 'BRANCH_SWITCH_QUESTION', null, ['bs_a1', 'bs_a2']),
+                bs_a1: node('bs_a1', 'assistant', 'BRANCH_SWITCH_ANSWER one', 'bs_user', []),
+                bs_a2: node('bs_a2', 'assistant', 'BRANCH_SWITCH_ANSWER two', 'bs_user', []),
+            },
+        }]);
+        for (const [label, json] of [['branch-switch-1', exportOn('bs_a1')], ['branch-switch-2', exportOn('bs_a2')]]) {
+            const run = createIngestionRun('chatgpt', label);
+            const art = storeRawArtifact(run.id, 'chatgpt', 'json', 'conversations.json', Buffer.from(json));
+            await importChatGPT(run.id, art.id, json);
+            finalizeIngestionRun(run.id, 'complete');
+        }
+
+        const rows = db.prepare(`
+            SELECT provider_message_id AS id, is_canonical, branch_id FROM messages
+            WHERE provider_message_id IN ('bs_a1', 'bs_a2') ORDER BY provider_message_id
+        `).all();
+        assert(rows.length === 2, `Expected the 2 answers once each, got ${rows.length}`);
+        assert(rows[0].is_canonical === 0 && rows[1].is_canonical === 1,
+            `Canonical flags not moved to the new branch: ${JSON.stringify(rows)}`);
+        const hits = searchMessages('BRANCH_SWITCH_ANSWER');
+        assert(hits[0].content === 'BRANCH_SWITCH_ANSWER two' && hits.every(h => h.alternate_count === 1),
+            `Search follows stale flags: ${JSON.stringify(hits.map(h => [h.content, h.is_canonical]))}`);
+    });
+
+    await assertCase('Exports without ids fall back to content hash + position', async () => {
+        const run1 = createIngestionRun('gemini', 'reimport-gemini-1');
+        const art1 = storeRawArtifact(run1.id, 'gemini', 'json', 'conversations.json', Buffer.from(geminiJson));
+        await importGemini(run1.id, art1.id, geminiJson);
+        const before = db.prepare(`SELECT COUNT(*) as c FROM messages WHERE provider = 'gemini' AND content LIKE '%SENTINEL_GEMINI_001%'`).get().c;
+
+        const run2 = createIngestionRun('gemini', 'reimport-gemini-2');
+        // Unchanged messages are only stamped, not re-indexed (FTS trigger writes count in total_changes)
+        const totalChanges = () => db.prepare('SELECT total_changes() AS c').get().c;
+        const changesBefore = totalChanges();
+        await importGemini(run2.id, art1.id, geminiJson);
+        const changes = totalChanges() - changesBefore;
+        assert(changes === 3, `Expected 1 thread and 2 message rows touched, got ${changes} changes`);
+        const after = db.prepare(`SELECT COUNT(*) as c FROM messages WHERE provider = 'gemini' AND content LIKE '%SENTINEL_GEMINI_001%'`).get().c;
+        assert(before === 2 && after === 2, `Expected 2 messages before and after, got ${before} → ${after}`);
+        const stats = getRunReconciliation(run2.id);
+        assert(stats.threadsAdded === 0 && stats.messagesAdded === 0 && stats.messagesUpdated === 2, `Unexpected stats: ${JSON.stringify(stats)}`);
+    });
+
+    // Case 13: Conversations removed or edited at the provider between exports
+    console.log('\n[Provider Export Changes]');
+    await assertCase('Missing threads marked, changed messages keep prior versions', async () => {
+        const thread = (id, text) => ({
+            id, title: `Export diff ${id}`, create_time: 1709000000,
+            mapping: { [`${id}_m1`]: { message: { id: `${id}_m1`, author: { role: 'user' }, content: { content_type: 'text', parts: [text] } }, parent: null } },
+        });
+        const importRun = async (label, data) => {
+            const json = JSON.stringify(data);
+            const run = createIngestionRun('chatgpt', label);
+            const art = storeRawArtifact(run.id, 'chatgpt', 'json', 'conversations.json', Buffer.from(json));
+            await importChatGPT(run.id, art.id, json);
+            const changes = compareWithPreviousExports(run.id, 'chatgpt');
+            finalizeIngestionRun(run.id, 'complete');
+            return changes;
+        };
+
+        await importRun('diff-1', [thread('diff_kept', 'EXPORT_DIFF_ORIGINAL_001'), thread('diff_removed', 'EXPORT_DIFF_REMOVED_001')]);
+        const changes = await importRun('diff-2', [thread('diff_kept', 'EXPORT_DIFF_EDITED_001')]);
+
+        assert(changes.messagesChanged === 1, `Expected 1 changed message, got ${changes.messagesChanged}`);
+        assert(changes.threadsMissing >= 1, 'Removed thread not reported');
+        const removed = db.prepare(`SELECT missing_since_run_id FROM threads WHERE provider_thread_id = 'diff_removed'`).get();
+        assert(removed.missing_since_run_id !== null, 'Removed thread not marked missing');
+        const kept = db.prepare(`SELECT missing_since_run_id FROM threads WHERE provider_thread_id = 'diff_kept'`).get();
+        assert(kept.missing_since_run_id === null, 'Present thread marked missing');
+
+        const [hit] = searchMessages('EXPORT_DIFF_EDITED_001');
+        assert(hit && hit.previous_version_count === 1, 'Edited message has no previous version');
+        const history = getMessageHistory(hit.id);
+        assert(history[0].content === 'EXPORT_DIFF_ORIGINAL_001', `Previous content not kept: ${history[0] && history[0].content}`);
+        assert(searchMessages('EXPORT_DIFF_ORIGINAL_001').length === 0, 'Superseded content still searchable as current');
+
+        assert(searchMessages('EXPORT_DIFF_REMOVED_001', { missingFromExport: true }).length === 1, 'Missing filter hides removed thread');
+        assert(searchMessages('EXPORT_DIFF_EDITED_001', { missingFromExport: true }).length === 0, 'Missing filter returns present thread');
+
+        await importRun('diff-3', [thread('diff_kept', 'EXPORT_DIFF_EDITED_001'), thread('diff_removed', 'EXPORT_DIFF_REMOVED_001')]);
+        const restored = db.prepare(`SELECT missing_since_run_id FROM threads WHERE provider_thread_id = 'diff_removed'`).get();
+        assert(restored.missing_since_run_id === null, 'Thread back in export still marked missing');
+
+        // A chat.html read from its page text has no thread ids and says nothing about the rest
+        const domRun = createIngestionRun('chatgpt', 'diff-dom');
+        const html = '<title>Legacy diff</title><div class="message"><div class="author">User</div><div class="content">EXPORT_DIFF_DOM_001</div></div>';
+        const domArt = storeRawArtifact(domRun.id, 'chatgpt', 'html', 'chat.html', Buffer.from(html));
+        await importChatGPTfromHTML(domRun.id, domArt.id, html);
+        const domChanges = compareWithPreviousExports(domRun.id, 'chatgpt');
+        finalizeIngestionRun(domRun.id, 'complete');
+        assert(domChanges.threadsMissing === 0, `DOM-parsed chat.html marked ${domChanges.threadsMissing} threads missing`);
+        const stillKept = db.prepare(`SELECT COUNT(*) as c FROM threads WHERE provider = 'chatgpt' AND missing_since_run_id = ?`).get(domRun.id);
+        assert(stillKept.c === 0, 'Threads marked missing by a DOM-parsed chat.html');
+    });
+
+    // Case 14: Import worker, progress events and cancellation
+    console.log('\n[Import Worker]');
+    const workerExport = (id, text) => JSON.stringify([{
+        id, title: `Worker ${id}`, create_time: 1710000000,
+        mapping: { [`${id}_m1`]: { message: { id: `${id}_m1`, author: { role: 'user' }, content: { content_type: 'text', parts: [text] } }, parent: null } },
+    }]);
+
+    await assertCase('Cancelling mid-import rolls back the run and its artifacts', async () => {
+        const file = path.join(VAULT_TEST_DIR, 'cancel_me.json');
+        fs.writeFileSync(file, workerExport('cancel_thread', 'CANCELLED_IMPORT_SENTINEL_001'));
+        const events = [];
+        let error = null;
+        try {
+            await importFileHeadless('chatgpt', file, {
+                onProgress: p => events.push(p),
+                isCancelled: () => events.some(p => p.phase === 'importing'),
+            });
+        } catch (e) { error = e; }
+        assert(error && error.name === 'ImportCancelledError', `Expected cancellation, got ${error && error.message}`);
+
+        const run = db.prepare(`SELECT id, status FROM ingestion_runs ORDER BY id DESC LIMIT 1`).get();
+        assert(run.status === 'cancelled', `Expected cancelled run, got ${run.status}`);
+        const artifacts = db.prepare(`SELECT COUNT(*) as c FROM raw_artifacts WHERE ingestion_run_id = ?`).get(run.id).c;
+        assert(artifacts === 0, `Expected artifacts rolled back, got ${artifacts}`);
+        const sha = crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+        assert(!fs.readdirSync(ARTIFACTS_DIR).some(f => f.startsWith(sha)), 'Artifact file left on disk after cancel');
+        assert(searchMessages('CANCELLED_IMPORT_SENTINEL_001').length === 0, 'Cancelled import left searchable messages');
+    });
+
+    await assertCase('Worker import streams progress and commits the run', async () => {
+        const file = path.join(VAULT_TEST_DIR, 'worker_export.json');
+        fs.writeFileSync(file, workerExport('worker_thread', 'WORKER_IMPORT_SENTINEL_001'));
+        const events = [];
+        const result = await runImportInWorker('chatgpt', [file], p => events.push(p));
+        assert(result.success, 'Worker import did not succeed');
+        assert(events.some(p => p.phase === 'importing'), 'No importing progress event');
+        const last = events[events.length - 1];
+        assert(last.phase === 'finalizing' && last.entriesScanned === 1, `Unexpected last progress: ${JSON.stringify(last)}`);
+        assert(searchMessages('WORKER_IMPORT_SENTINEL_001').length === 1, 'Worker import not visible to main connection');
+    });
+
+    await assertCase('Worker import cancelled by user finalizes as cancelled', async () => {
+        const file = path.join(VAULT_TEST_DIR, 'worker_cancel.json');
+        fs.writeFileSync(file, workerExport('worker_cancel_thread', 'WORKER_CANCEL_SENTINEL_001'));
+        const pending = runImportInWorker('chatgpt', [file]);
+        assert(cancelActiveImport(), 'No active import to cancel');
+        const result = await pending;
+        assert(result.cancelled === true, `Expected cancelled result, got ${JSON.stringify(result)}`);
+        const run = db.prepare(`SELECT status FROM ingestion_runs ORDER BY id DESC LIMIT 1`).get();
+        assert(run.status === 'cancelled', `Expected cancelled run, got ${run.status}`);
+        assert(searchMessages('WORKER_CANCEL_SENTINEL_001').length === 0, 'Cancelled worker import left messages');
+        assert(!cancelActiveImport(), 'Import still registered as active');
+    });
+
+    // Case 15: Streaming ZIP extraction enforces limits on real inflated bytes
+    console.log('\n[Streaming ZIP]');
+    // Rewrite fields of every entry in a built archive: header sizes and names,
+    // so the archive can lie the way a malicious one would
+    const tamperZip = (buffer, { declaredSize, name, symlink } = {}) => {
+        const out = Buffer.from(buffer);
+        for (let i = 0; i <= out.length - 4; i++) {
+            const sig = out.readUInt32LE(i);
+            if (sig === 0x04034b50) {
+                if (declaredSize !== undefined) out.writeUInt32LE(declaredSize, i + 22);
+                if (name) out.write(name, i + 30, 'utf-8');
+            } else if (sig === 0x02014b50) {
+                if (declaredSize !== undefined) out.writeUInt32LE(declaredSize, i + 24);
+                if (name) out.write(name, i + 46, 'utf-8');
+                if (symlink) {
+                    out.writeUInt16LE((3 << 8) | 20, i + 4);
+                    out.writeUInt32LE((0o120777 << 16) >>> 0, i + 38);
+                }
+            }
+        }
+        return out;
+    };
+    const exportZip = (entryName, content) => {
+        const zip = new AdmZip();
+        zip.addFile(entryName, Buffer.from(content));
+        return zip.toBuffer();
+    };
+    const expectZipBlocked = async (label, buffer, code, env = {}) => {
+        const file = writeTemp(`${label}.zip`, buffer);
+        const saved = {};
+        for (const key of Object.keys(env)) { saved[key] = process.env[key]; process.env[key] = env[key]; }
+        let error = null;
+        try { await importFileHeadless('chatgpt', file); } catch (e) { error = e; }
+        finally {
+            for (const key of Object.keys(env)) {
+                if (saved[key] === undefined) delete process.env[key]; else process.env[key] = saved[key];
+            }
+        }
+        assert(error && error.code === code, `${label}: expected ${code}, got ${error && (error.code || error.message)}`);
+        const run = db.prepare(`SELECT id, status FROM ingestion_runs ORDER BY id DESC LIMIT 1`).get();
+        assert(run.status === 'failed', `${label}: expected failed run, got ${run.status}`);
+        const artifacts = db.prepare(`SELECT COUNT(*) as c FROM raw_artifacts WHERE ingestion_run_id = ?`).get(run.id).c;
+        assert(artifacts === 0, `${label}: blocked archive left ${artifacts} artifacts`);
+    };
+    const noisyExport = (id) => JSON.stringify([{
+        id, title: 'Lying sizes', create_time: 1710000000,
+        mapping: { [`${id}_m1`]: { message: { id: `${id}_m1`, author: { role: 'user' }, content: { content_type: 'text', parts: [crypto.randomBytes(3000).toString('hex')] } }, parent: null } },
+    }]);
+
+    await assertCase('Limits apply to inflated bytes, not declared header sizes', async () => {
+        const lying = tamperZip(exportZip('conversations.json', noisyExport('lying_thread')), { declaredSize: 10 });
+        await expectZipBlocked('lying_single', lying, 'ZIP_ENTRY_TOO_LARGE', { VAULT_ZIP_MAX_CONVERSATION_FILE_BYTES: '1024' });
+        await expectZipBlocked('lying_total', lying, 'ZIP_TOTAL_TOO_LARGE', { VAULT_ZIP_MAX_TOTAL_BYTES: '2048' });
+        await expectZipBlocked('lying_mismatch', lying, 'ZIP_SIZE_MISMATCH');
+
+        const bomb = tamperZip(exportZip('conversations.json', JSON.stringify([{ title: 'a'.repeat(500000) }])), { declaredSize: 100 });
+        await expectZipBlocked('lying_ratio', bomb, 'ZIP_RATIO_BOMB');
+        const threads = db.prepare(`SELECT COUNT(*) as c FROM threads WHERE provider_thread_id = 'lying_thread'`).get().c;
+        assert(threads === 0, 'Blocked archive left threads behind');
+    });
+
+    await assertCase('Traversal, absolute and symlink entries are rejected by name', async () => {
+        const content = exportZip('xx/x.json', '[]');
+        await expectZipBlocked('slip', tamperZip(content, { name: '../x.json' }), 'ZIP_SLIP_DETECTED');
+        await expectZipBlocked('absolute', tamperZip(content, { name: '/x/x.json' }), 'ZIP_ABSOLUTE_PATH');
+        await expectZipBlocked('symlink', tamperZip(exportZip('conversations.json', '/etc/passwd'), { symlink: true }), 'ZIP_SYMLINK_ENTRY');
+    });
+
+    await assertCase('Well-formed export ZIP imports through the streaming reader', async () => {
+        const file = writeTemp('streamed_export.zip', exportZip('conversations.json', workerExport('streamed_thread', 'STREAMED_ZIP_SENTINEL_001')));
+        const result = await importFileHeadless('auto', file);
+        assert(result.success && result.detection.provider === 'chatgpt', `Unexpected result: ${JSON.stringify(result.detection)}`);
+        assert(searchMessages('STREAMED_ZIP_SENTINEL_001').length === 1, 'Streamed ZIP message not searchable');
+        const parent = db.prepare(`SELECT byte_size, stored_path FROM raw_artifacts WHERE id = ?`).get(result.artifactId);
+        assert(parent.byte_size === fs.statSync(file).size, 'Parent artifact size does not match the archive');
+        assert(fs.readFileSync(parent.stored_path).equals(fs.readFileSync(file)), 'Stored archive differs from the original');
+    });
+
+    // Case 16: conversations.json is parsed as a stream and written in batches
+    console.log('\n[Streaming JSON]');
+    await assertCase('Array elements parsed across arbitrary chunk boundaries', async () => {
+        const text = '﻿[{"title":"a]},\\"b","nested":[1,[2,{"x":"}"}]]}, "ünï😀", 3, null, [], {}]';
+        const bytes = Buffer.from(text);
+        const parse = async (input, size) => {
+            const items = [];
+            async function* chunks() { for (let i = 0; i < input.length; i += size) yield input.subarray(i, i + size); }
+            for await (const item of parseJsonArray(chunks())) items.push(item);
+            return items;
+        };
+        const expected = JSON.stringify(JSON.parse(text.slice(1)));
+        for (const size of [1, 2, 3, 7, bytes.length]) {
+            const got = JSON.stringify(await parse(bytes, size));
+            assert(got === expected, `Chunk size ${size}: ${got}`);
+        }
+        for (const bad of ['{"a": 1}', '[1,]', '[{"a": 1}', '[1] 2']) {
+            let error = null;
+            try { await parse(Buffer.from(bad), 2); } catch (e) { error = e; }
+            assert(error, `Malformed input accepted: ${bad}`);
+        }
+    });
+
+    await assertCase('Large conversations.json imports in batches from a stream', async () => {
+        const conversations = [];
+        for (let i = 0; i < 250; i++) {
+            conversations.push({
+                id: `stream_thread_${i}`, title: `Stream ${i}`, create_time: 1710000000 + i,
+                mapping: { [`stream_${i}_m1`]: { message: { id: `stream_${i}_m1`, author: { role: 'user' }, content: { content_type: 'text', parts: [`STREAM_JSON_SENTINEL_${i}`] } }, parent: null } },
+            });
+        }
+        const file = writeTemp('conversations.json', JSON.stringify(conversations, null, 2));
+        const result = await importFileHeadless('chatgpt', file);
+        assert(result.success, 'Streamed import failed');
+        const threads = db.prepare(`SELECT COUNT(*) as c FROM threads WHERE ingestion_run_id = ?`).get(result.runId).c;
+        assert(threads === 250, `Expected 250 threads, got ${threads}`);
+        assert(searchMessages('STREAM_JSON_SENTINEL_249').length === 1, 'Last conversation not searchable');
+    });
+
+    await assertCase('conversations.json in a ZIP gets the larger single-file limit', async () => {
+        const big = workerExport('big_zip_thread', 'BIG_CONVERSATIONS_SENTINEL_001 ' + 'x'.repeat(4000));
+        const zip = new AdmZip();
+        zip.addFile('conversations.json', Buffer.from(big));
+        const limit = { VAULT_ZIP_MAX_SINGLE_FILE_BYTES: '1024' };
+        const saved = process.env.VAULT_ZIP_MAX_SINGLE_FILE_BYTES;
+        process.env.VAULT_ZIP_MAX_SINGLE_FILE_BYTES = limit.VAULT_ZIP_MAX_SINGLE_FILE_BYTES;
+        try {
+            const result = await importFileHeadless('chatgpt', writeTemp('big_conversations.zip', zip.toBuffer()));
+            assert(result.success, 'Large conversations.json was blocked');
+        } finally {
+            if (saved === undefined) delete process.env.VAULT_ZIP_MAX_SINGLE_FILE_BYTES; else process.env.VAULT_ZIP_MAX_SINGLE_FILE_BYTES = saved;
+        }
+        assert(searchMessages('BIG_CONVERSATIONS_SENTINEL_001').length === 1, 'Large conversations.json not imported');
+
+        zip.addFile('message_feedback.json', Buffer.from(big));
+        await expectZipBlocked('big_other_file', zip.toBuffer(), 'ZIP_ENTRY_TOO_LARGE', limit);
+    });
+
+    // Case 17: Importers are registered in one place and share one writer
+    console.log('\n[Importer Registry]');
+    await assertCase('Registry lists importers; shared writer normalizes every provider alike', async () => {
+        const providers = listImporters().map(i => i.provider);
+        for (const p of ['chatgpt', 'claude', 'gemini', 'deepseek', 'chatgpt_compatible', 'openwebui', 'librechat', 'generic']) {
+            assert(providers.includes(p), `${p} not registered`);
+            const importer = getImporter(p);
+            assert(importer.label && typeof importer.parse === 'function', `${p} importer incomplete`);
+        }
+        assert(getImporter('chatgpt').selectEntries(['a/conversations.json', 'a/chat.html', 'a/user.json']).join() === 'a/conversations.json',
+            'chat.html selected although conversations.json is present');
+        assert(getImporter('claude').selectEntries(['c/conversations.json', 'c/users.json', 'c/projects.json', 'c/my-conversations.json']).join() === 'c/conversations.json',
+            'Claude account files selected as conversations');
+        const claudeZip = new AdmZip();
+        claudeZip.addFile('data-2026/conversations.json', Buffer.from(claudeBlocksJson));
+        claudeZip.addFile('data-2026/users.json', Buffer.from(JSON.stringify([{ uuid: 'user_1', full_name: 'Someone' }])));
+        claudeZip.addFile('data-2026/projects.json', Buffer.from(JSON.stringify([{ uuid: 'project_1', name: 'Project' }])));
+        const claudeResult = await importFileHeadless('claude', writeTemp('claude_account.zip', claudeZip.toBuffer()));
+        assert(claudeResult.files[0].entriesParsed === 1 && claudeResult.files[0].threads === 1,
+            `Claude ZIP: ${JSON.stringify(claudeResult.files[0])}`);
+
+        const run = createIngestionRun('claude', 'writer-test');
+        const art = storeRawArtifact(run.id, 'claude', 'json', 'writer.json', Buffer.from('writer-test'));
+        const stats = await writeThreads(run.id, art.id, 'claude', [{
+            providerThreadId: 'writer_thread', title: 'Writer', createdAt: null,
+            messages: [
+                { providerMessageId: 'w1', role: 'user', content: '# **WRITER_SENTINEL_001**', timestamp: null,
+                    assets: [{ assetPointer: 'notes.txt', contentType: 'attachment', fileName: 'notes.txt' }],
+                    subRecords: [{ providerMessageId: 'w1:thinking:0', role: 'assistant', content: 'hidden', timestamp: null, contentType: 'thinking' }] },
+                { providerMessageId: 'w2', role: 'assistant', content: 'reply', timestamp: null },
+            ],
+        }]);
+        assert(stats.threads === 1 && stats.messages === 2 && stats.subRecords === 1, `Unexpected stats: ${JSON.stringify(stats)}`);
+        const reconciliation = getRunReconciliation(run.id);
+        assert(reconciliation.messagesAdded === 2, `Sub-record counted as a new message: ${JSON.stringify(reconciliation)}`);
+        assert(stats.contentTypes.kept.text === 2 && stats.contentTypes.kept.thinking === 1, 'Content types not counted');
+
+        const rows = db.prepare(`SELECT provider_message_id, content_plain, content_hash, position, parent_message_id FROM messages WHERE ingestion_run_id = ? ORDER BY id`).all(run.id);
+        assert(rows[0].content_plain === 'WRITER_SENTINEL_001', `Plain text not normalized: ${rows[0].content_plain}`);
+        assert(rows[0].content_hash === crypto.createHash('sha256').update('# **WRITER_SENTINEL_001**').digest('hex'), 'Content hash not computed');
+        assert(rows[1].position === 0 && rows[1].parent_message_id !== null, 'Sub-record not linked at parent position');
+        assert(rows[2].position === 1, 'Positions not assigned in order');
+        const asset = db.prepare(`SELECT file_name FROM message_assets a JOIN messages m ON a.message_id = m.id WHERE m.provider_message_id = 'w1'`).get();
+        assert(asset && asset.file_name === 'notes.txt', 'Asset not written');
+    });
+
+    // Case 18: DeepSeek and other ChatGPT-style mapping exports
+    console.log('\n[Mapping-Compatible Exports]');
+    await assertCase('DeepSeek export: detected, stored under its own provider, branches and thinking kept', async () => {
+        const file = writeTemp('conversations.json', deepseekJson);
+        const detection = await detectProvider(file);
+        assert(detection && detection.provider === 'deepseek' && detection.confidence === 'high', `Got ${JSON.stringify(detection)}`);
+
+        let error = null;
+        try { await importFileHeadless('chatgpt', file); } catch (e) { error = e; }
+        assert(error && error.message.includes('looks like a DeepSeek export'), `Expected mismatch error, got ${error && error.message}`);
+
+        const result = await importFileHeadless('auto', file);
+        assert(result.success, 'Auto import failed');
+        assert(result.contentTypes.skipped.search === 1, `Search fragment not counted as skipped: ${JSON.stringify(result.contentTypes)}`);
+
+        const thread = db.prepare(`SELECT id, provider, created_at FROM threads WHERE provider_thread_id = 'ds_thread_001'`).get();
+        assert(thread && thread.provider === 'deepseek', `Thread provider: ${thread && thread.provider}`);
+        assert(thread.created_at === Date.parse('2025-02-10T04:00:00Z'), `Thread date not parsed (got ${thread.created_at})`);
+
+        const rows = db.prepare(`SELECT provider_message_id, role, is_canonical, content_type FROM messages WHERE thread_id = ? ORDER BY position, id`).all(thread.id);
+        const byId = Object.fromEntries(rows.map(r => [r.provider_message_id, r]));
+        assert(byId['1'].role === 'user' && byId['3'].role === 'assistant', 'Roles not taken from fragment types');
+        assert(byId['3'].is_canonical === 1 && byId['2'].is_canonical === 0, 'Latest response not on the canonical path');
+        assert(byId['2:thinking:0'] && byId['2:thinking:0'].content_type === 'thinking', 'THINK fragment not stored as thinking');
+
+        assert(searchMessages('DEEPSEEK_PROMPT_SENTINEL')[0].provider === 'deepseek', 'DeepSeek message not searchable');
+        assert(searchMessages('DEEPSEEK_THINKING_SENTINEL').length === 0, 'Thinking returned by default search');
+        // A sub-record sharing its message's parent is not another version of the reply
+        db.prepare(`UPDATE messages SET parent_provider_message_id = '1' WHERE thread_id = ? AND provider_message_id = '2:thinking:0'`).run(thread.id);
+        const [regen] = searchMessages('DEEPSEEK_REGEN_TWO');
+        assert(regen.alternate_count === 1 && getMessageAlternates(regen.id).length === 2,
+            `Other versions counted ${regen.alternate_count}, listed ${getMessageAlternates(regen.id).length - 1}`);
+        const asset = db.prepare(`SELECT file_name FROM message_assets a JOIN messages m ON a.message_id = m.id WHERE m.thread_id = ?`).get(thread.id);
+        assert(asset && asset.file_name === 'notes.pdf', 'Uploaded file not recorded');
+    });
+
+    await assertCase('ChatGPT-compatible export: untyped content read, kept apart from ChatGPT', async () => {
+        const file = writeTemp('conversations.json', compatJson);
+        const detection = await detectProvider(file);
+        assert(detection && detection.provider === 'chatgpt_compatible', `Got ${JSON.stringify(detection)}`);
+        const chatgpt = await detectProvider(writeTemp('detect_chatgpt.json', chatgptJson));
+        assert(chatgpt && chatgpt.provider === 'chatgpt' && chatgpt.confidence === 'high', `ChatGPT now detected as ${JSON.stringify(chatgpt)}`);
+
+        const result = await importFileHeadless('auto', file);
+        assert(result.success, 'Auto import failed');
+        for (const sentinel of ['COMPAT_STRING_SENTINEL', 'COMPAT_PARTS_SENTINEL', 'COMPAT_TEXT_SENTINEL']) {
+            const hits = searchMessages(sentinel);
+            assert(hits.length === 1 && hits[0].provider === 'chatgpt_compatible', `${sentinel} not imported as chatgpt_compatible`);
+        }
+        const rows = db.prepare(`SELECT role, timestamp FROM messages m JOIN threads t ON m.thread_id = t.id WHERE t.provider_thread_id = 'compat_thread_001' ORDER BY position`).all();
+        assert(rows.map(r => r.role).join() === 'user,assistant,user', `Roles: ${rows.map(r => r.role).join()}`);
+        assert(rows[1].timestamp === Date.parse('2025-01-01T00:00:05Z'), `ISO timestamp not parsed (got ${rows[1].timestamp})`);
+    });
+
+    // Case 19: Self-hosted chat UIs keep model names, parent links and timestamps
+    console.log('\n[Self-Hosted Chat Exports]');
+    await assertCase('Open WebUI export: history tree walked from currentId, model per message', async () => {
+        const file = writeTemp('chat-export.json', openWebUIJson);
+        const detection = await detectProvider(file);
+        assert(detection && detection.provider === 'openwebui' && detection.confidence === 'high', `Got ${JSON.stringify(detection)}`);
+
+        const result = await importFileHeadless('auto', file);
+        assert(result.success, 'Auto import failed');
+        const rows = db.prepare(`
+            SELECT m.provider_message_id, m.role, m.model, m.timestamp, m.is_canonical, m.parent_provider_message_id, t.provider, t.created_at
+            FROM messages m JOIN threads t ON m.thread_id = t.id WHERE t.provider_thread_id = 'owui_chat_001'
+        `).all();
+        const byId = Object.fromEntries(rows.map(r => [r.provider_message_id, r]));
+        assert(rows.length === 3 && rows[0].provider === 'openwebui', `Unexpected rows: ${JSON.stringify(rows)}`);
+        assert(rows[0].created_at === 1740000000 * 1000, `Thread date not kept (got ${rows[0].created_at})`);
+        assert(byId.owui_a1.is_canonical === 1 && byId.owui_a2.is_canonical === 0, 'currentId branch not canonical');
+        assert(byId.owui_a1.model === 'llama3.1:8b' && byId.owui_a2.model === 'qwen2.5:14b', 'Model names not kept per message');
+        assert(byId.owui_a2.parent_provider_message_id === 'owui_u1' && byId.owui_u1.parent_provider_message_id === null, 'Parent links not kept');
+        assert(byId.owui_a1.timestamp === 1740000020 * 1000, `Message timestamp not kept (got ${byId.owui_a1.timestamp})`);
+
+        const hit = searchMessages('OWUI_SELECTED_SENTINEL')[0];
+        assert(hit && hit.model === 'llama3.1:8b', 'Model not returned with search results');
+    });
+
+    await assertCase('LibreChat export: single conversation object, flat or recursive messages', async () => {
+        const file = writeTemp('librechat.json', libreChatJson);
+        const detection = await detectProvider(file);
+        assert(detection && detection.provider === 'librechat' && detection.confidence === 'high', `Got ${JSON.stringify(detection)}`);
+
+        const result = await importFileHeadless('auto', file);
+        assert(result.success, 'Auto import failed');
+        const rows = db.prepare(`
+            SELECT m.provider_message_id, m.role, m.model, m.timestamp, m.content_type, m.parent_provider_message_id
+            FROM messages m JOIN threads t ON m.thread_id = t.id WHERE t.provider_thread_id = 'lc_conv_001' ORDER BY m.position, m.id
+        `).all();
+        assert(rows.map(r => r.provider_message_id).join() === 'lc_m1,lc_m2,lc_m2:thinking:0,lc_m3', `Order: ${rows.map(r => r.provider_message_id).join()}`);
+        assert(rows[0].role === 'user' && rows[1].role === 'assistant' && rows[1].model === 'deepseek-r1:7b', 'Role or model not kept');
+        assert(rows[0].parent_provider_message_id === null && rows[3].parent_provider_message_id === 'lc_m2', 'Parent links not kept');
+        assert(rows[1].timestamp === Date.parse('2025-03-01T10:00:07.000Z'), 'Timestamp not kept');
+        assert(rows[2].content_type === 'thinking' && searchMessages('LIBRECHAT_THINKING_SENTINEL').length === 0, 'Thinking not stored as a hidden sub-record');
+        assert(searchMessages('LIBRECHAT_ANSWER_SENTINEL')[0].provider === 'librechat', 'Answer not searchable');
+
+        // The "recursive" export option nests replies under children
+        const nested = JSON.parse(libreChatJson);
+        const [m1, m2, m3] = nested.messages;
+        nested.conversationId = 'lc_conv_recursive';
+        nested.messages = [{ ...m1, children: [{ ...m2, children: [m3] }] }];
+        await importFileHeadless('librechat', writeTemp('librechat_recursive.json', JSON.stringify(nested)));
+        const count = db.prepare(`SELECT COUNT(*) AS c FROM messages m JOIN threads t ON m.thread_id = t.id WHERE t.provider_thread_id = 'lc_conv_recursive'`).get().c;
+        assert(count === 4, `Recursive export imported ${count} rows`);
+    });
+
+    // Case 20: Markdown / JSONL transcripts from a file, a folder or a ZIP
+    console.log('\n[Generic Transcripts]');
+    const genericDir = path.join(FIXTURES_DIR, 'generic');
+    const threadsOf = (provider) => db.prepare(`SELECT id, provider_thread_id, title, created_at FROM threads WHERE provider = ? ORDER BY title`).all(provider);
+
+    await assertCase('Folder of transcripts: detected, one thread per file, titles from front-matter and title lines', async () => {
+        const folder = path.join(VAULT_TEST_DIR, 'transcripts');
+        fs.mkdirSync(path.join(folder, 'nested'), { recursive: true });
+        fs.copyFileSync(path.join(genericDir, 'transcript.md'), path.join(folder, 'transcript.md'));
+        fs.copyFileSync(path.join(genericDir, 'api-session.jsonl'), path.join(folder, 'nested', 'api-session.jsonl'));
+        fs.writeFileSync(path.join(folder, 'nested', 'Untitled Notes.md'), '## Human\nGENERIC_FILENAME_SENTINEL\n\n## AI\nNoted.\n');
+        fs.writeFileSync(path.join(folder, 'README.md'), '# Readme\nNo conversation here.\n');
+        fs.writeFileSync(path.join(folder, '.DS_Store'), 'ignored');
+
+        const detection = await detectProvider(folder);
+        assert(detection && detection.provider === 'generic', `Got ${JSON.stringify(detection)}`);
+        const result = await importFileHeadless('auto', folder);
+        assert(result.success, 'Folder import failed');
+
+        const threads = threadsOf('generic');
+        assert(threads.map(t => t.title).join('|') === 'API Script Session|Saved Markdown Transcript|Untitled Notes', `Titles: ${threads.map(t => t.title).join('|')}`);
+        const md = threads.find(t => t.provider_thread_id === 'md-transcript-001');
+        assert(md && md.created_at === Date.parse('2025-04-02T09:30:00Z'), 'Front-matter id/date not used');
+
+        const mdRows = db.prepare(`SELECT role, content FROM messages WHERE thread_id = ? ORDER BY position`).all(md.id);
+        assert(mdRows.length === 2 && mdRows[1].role === 'assistant' && mdRows[1].content.includes('## User\nitems[::-1]'), 'Heading inside a code fence split the turn');
+        const jsonl = db.prepare(`SELECT m.role, m.timestamp, m.model FROM messages m JOIN threads t ON m.thread_id = t.id WHERE t.provider_thread_id = 'jsonl-session-001' ORDER BY position`).all();
+        assert(jsonl.map(r => r.role).join() === 'system,user,assistant', `JSONL roles: ${jsonl.map(r => r.role).join()}`);
+        assert(jsonl[2].timestamp === 1743667205000 && jsonl[2].model === 'gpt-4o-mini', 'JSONL timestamp/model not kept');
+        assert(searchMessages('GENERIC_FILENAME_SENTINEL')[0].role === 'user', 'Human heading not mapped to user');
+
+        // Provenance: the folder manifest is the parent, every file a child artifact
+        const parent = db.prepare(`SELECT id, artifact_type FROM raw_artifacts WHERE id = ?`).get(result.artifactId);
+        assert(parent.artifact_type === 'folder', `Parent artifact type ${parent.artifact_type}`);
+        const children = db.prepare(`SELECT path_in_archive FROM raw_artifacts WHERE parent_artifact_id = ? ORDER BY path_in_archive`).all(parent.id).map(r => r.path_in_archive);
+        assert(children.join() === 'README.md,nested/Untitled Notes.md,nested/api-session.jsonl,transcript.md', `Children: ${children.join()}`);
+
+        await importFileHeadless('generic', folder);
+        assert(threadsOf('generic').length === 3, 'Re-importing the folder duplicated threads');
+    });
+
+    await assertCase('Single JSONL file and a ZIP of Markdown files import as generic', async () => {
+        const jsonlDetection = await detectProvider(path.join(genericDir, 'api-session.jsonl'));
+        assert(jsonlDetection && jsonlDetection.provider === 'generic', `JSONL: ${JSON.stringify(jsonlDetection)}`);
+
+        const zip = new AdmZip();
+        zip.addFile('chats/zip-transcript.md', Buffer.from('# Zipped Chat\n\n### User\nGENERIC_ZIP_SENTINEL\n\n### Assistant\nDone.\n'));
+        const result = await importFileHeadless('auto', writeTemp('transcripts.zip', zip.toBuffer()));
+        assert(result.success && result.detection.provider === 'generic', 'ZIP of transcripts not detected');
+        const hit = searchMessages('GENERIC_ZIP_SENTINEL')[0];
+        assert(hit && hit.provider === 'generic' && hit.thread_title === 'Zipped Chat', `Hit: ${JSON.stringify(hit)}`);
+    });
+
+    // Case 21: Several files and folders in one run, with an outcome per file
+    console.log('\n[Multi-File Import]');
+    const runArtifacts = (runId) => db.prepare(`SELECT id, artifact_type, stored_path FROM raw_artifacts WHERE ingestion_run_id = ? AND parent_artifact_id IS NULL ORDER BY id`).all(runId);
+
+    await assertCase('ZIP, JSON file and folder import as one run with per-file outcomes', async () => {
+        const folder = path.join(VAULT_TEST_DIR, 'multi_transcripts');
+        fs.mkdirSync(folder, { recursive: true });
+        fs.writeFileSync(path.join(folder, 'multi.md'), '# Multi Folder Chat\n\n## User\nMULTI_FOLDER_SENTINEL\n\n## Assistant\nOk.\n');
+        const zipFile = writeTemp('multi_export.zip', exportZip('conversations.json', workerExport('multi_zip_thread', 'MULTI_ZIP_SENTINEL')));
+        const libreFile = writeTemp('multi_librechat.json', JSON.stringify({
+            conversationId: 'multi-libre-001', title: 'Multi Libre',
+            messages: [{ messageId: 'ml1', parentMessageId: '00000000-0000-0000-0000-000000000000', isCreatedByUser: true, text: 'MULTI_LIBRE_SENTINEL', createdAt: '2025-05-01T10:00:00Z' }],
+        }));
+
+        const result = await importFilesHeadless('auto', [zipFile, libreFile, folder]);
+        assert(result.success && result.detection === null, 'Multi-file import failed');
+        assert(result.files.map(f => `${f.name}:${f.provider}:${f.status}:${f.threads}`).join() ===
+            'multi_export.zip:chatgpt:imported:1,multi_librechat.json:librechat:imported:1,multi_transcripts:generic:imported:1',
+            `Outcomes: ${JSON.stringify(result.files)}`);
+        for (const sentinel of ['MULTI_ZIP_SENTINEL', 'MULTI_LIBRE_SENTINEL', 'MULTI_FOLDER_SENTINEL']) {
+            assert(searchMessages(sentinel).length === 1, `${sentinel} not searchable`);
+        }
+        const run = db.prepare(`SELECT provider, source_label, status FROM ingestion_runs WHERE id = ?`).get(result.runId);
+        assert(run.provider === 'mixed' && run.source_label === 'Import: 3 files' && run.status === 'complete', `Run: ${JSON.stringify(run)}`);
+        assert(runArtifacts(result.runId).map(a => a.artifact_type).join() === 'zip,json,folder', 'Each source should be a parent artifact of the run');
+        assert(result.reconciliation.threadsAdded === 3, `Reconciliation: ${JSON.stringify(result.reconciliation)}`);
+    });
+
+    await assertCase('An unsafe ZIP is rolled back alone; the other files still import', async () => {
+        const unsafe = writeTemp('multi_slip.zip', tamperZip(exportZip('xx/x.json', '[]'), { name: '../x.json' }));
+        const good = writeTemp('multi_good.md', '## User\nMULTI_SURVIVOR_SENTINEL\n\n## Assistant\nStill here.\n');
+        const result = await importFilesHeadless('auto', [unsafe, good]);
+        const [blocked, kept] = result.files;
+        assert(blocked.status === 'failed' && /Import blocked/.test(blocked.error), `Unsafe ZIP outcome: ${JSON.stringify(blocked)}`);
+        assert(kept.status === 'imported' && searchMessages('MULTI_SURVIVOR_SENTINEL').length === 1, 'Safe file not imported');
+        const artifacts = runArtifacts(result.runId);
+        assert(artifacts.length === 1 && artifacts[0].artifact_type === 'md', `Artifacts left: ${JSON.stringify(artifacts)}`);
+        const stored = fs.readdirSync(ARTIFACTS_DIR).filter(f => f.endsWith('multi_slip.zip'));
+        assert(stored.length === 0, 'Unsafe ZIP left its stored copy on disk');
+        assert(db.prepare(`SELECT status FROM ingestion_runs WHERE id = ?`).get(result.runId).status === 'complete', 'Run should complete');
+    });
+
+    await assertCase('Folders are held to the ZIP limits and never follow symlinks', async () => {
+        const crowded = path.join(VAULT_TEST_DIR, 'crowded_folder');
+        fs.mkdirSync(crowded, { recursive: true });
+        for (let i = 0; i < 4; i++) fs.writeFileSync(path.join(crowded, `chat${i}.md`), `## User\nCROWDED_${i}\n`);
+        const linked = path.join(VAULT_TEST_DIR, 'linked_folder');
+        fs.mkdirSync(linked, { recursive: true });
+        fs.writeFileSync(path.join(linked, 'chat.md'), '## User\nLINKED_FOLDER_SENTINEL\n');
+        fs.symlinkSync(path.join(FIXTURES_DIR, 'generic', 'transcript.md'), path.join(linked, 'outside.md'));
+
+        const expectFolderBlocked = async (folder, code, env = {}) => {
+            Object.assign(process.env, env);
+            let error = null;
+            try { await importFileHeadless('generic', folder); } catch (e) { error = e; }
+            finally { for (const key of Object.keys(env)) delete process.env[key]; }
+            assert(error && error.code === code, `${path.basename(folder)}: expected ${code}, got ${error && (error.code || error.message)}`);
+            const run = db.prepare(`SELECT id, status FROM ingestion_runs ORDER BY id DESC LIMIT 1`).get();
+            assert(run.status === 'failed' && runArtifacts(run.id).length === 0, `${path.basename(folder)}: blocked folder left artifacts`);
+        };
+        await expectFolderBlocked(crowded, 'ZIP_TOO_MANY_ENTRIES', { VAULT_ZIP_MAX_ENTRIES: '3' });
+        await expectFolderBlocked(crowded, 'ZIP_TOTAL_TOO_LARGE', { VAULT_ZIP_MAX_TOTAL_BYTES: '20' });
+        await expectFolderBlocked(linked, 'ZIP_SYMLINK_ENTRY');
+        assert(searchMessages('LINKED_FOLDER_SENTINEL').length === 0, 'Blocked folder left messages behind');
+    });
+
+    await assertCase('Partial exports (one LibreChat file, transcripts) never mark other threads missing', async () => {
+        const before = db.prepare(`SELECT COUNT(*) as c FROM threads WHERE missing_since_run_id IS NOT NULL`).get().c;
+        const libreFile = writeTemp('partial_librechat.json', JSON.stringify({
+            conversationId: 'partial-libre-001', title: 'Partial Libre',
+            messages: [{ messageId: 'pl1', parentMessageId: '00000000-0000-0000-0000-000000000000', isCreatedByUser: true, text: 'Only this one' }],
+        }));
+        const result = await importFilesHeadless('auto', [libreFile, path.join(FIXTURES_DIR, 'generic', 'api-session.jsonl')]);
+        assert(result.exportChanges.threadsMissing === 0, `threadsMissing: ${result.exportChanges.threadsMissing}`);
+        const after = db.prepare(`SELECT COUNT(*) as c FROM threads WHERE missing_since_run_id IS NOT NULL`).get().c;
+        assert(after === before, `${after - before} threads newly marked missing`);
+    });
+
+    // Case 22: Watched import folder picks up new exports on its own
+    console.log('\n[Watched Folder]');
+    const waitFor = async (label, condition, timeoutMs = 30000) => {
+        const start = Date.now();
+        while (!condition()) {
+            if (Date.now() - start > timeoutMs) throw new Error(`Timed out waiting for ${label}`);
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    };
+    const watcherRuns = () => db.prepare(`SELECT id, provider, source_label, status FROM ingestion_runs WHERE source_label LIKE 'Watched folder:%' ORDER BY id`).all();
+
+    await assertCase('Exports already in the folder: imported, deduplicated by SHA-256, unknown files skipped', async () => {
+        const watched = path.join(VAULT_TEST_DIR, 'watched');
+        fs.mkdirSync(watched, { recursive: true });
+        fs.writeFileSync(path.join(watched, 'existing.json'), workerExport('watched_existing', 'WATCHED_EXISTING_SENTINEL'));
+        fs.copyFileSync(path.join(VAULT_TEST_DIR, 'multi_export.zip'), path.join(watched, 'already_imported.zip'));
+        fs.writeFileSync(path.join(watched, 'unknown.json'), JSON.stringify({ hello: 'world' }));
+        fs.writeFileSync(path.join(watched, 'notes.txt'), 'not an export');
+
+        const events = [];
+        assert(setWatchedFolder(watched, e => events.push(e)) === true, 'Watcher did not start');
+        assert(getWatchedFolder() === watched, 'Watched folder not saved');
+        await waitFor('three watch events', () => events.length === 3);
+
+        const statuses = events.map(e => `${e.fileName}:${e.status}`).sort().join();
+        assert(statuses === 'already_imported.zip:duplicate,existing.json:imported,unknown.json:unrecognized', `Events: ${statuses}`);
+        const runs = watcherRuns();
+        assert(runs.length === 1 && runs[0].source_label === 'Watched folder: existing.json', `Runs: ${JSON.stringify(runs)}`);
+        assert(runs[0].provider === 'chatgpt' && runs[0].status === 'complete', `Run: ${JSON.stringify(runs[0])}`);
+        assert(searchMessages('WATCHED_EXISTING_SENTINEL').length === 1, 'Watched export not searchable');
+    });
+
+    await assertCase('A new file is imported once it is complete; restarting and stopping do not re-import', async () => {
+        const watched = getWatchedFolder();
+        const events = [];
+        assert(startImportWatcher(e => events.push(e)) === true, 'Watcher did not restart');
+        await waitFor('rescan of existing files', () => events.length === 3);
+        assert(events.every(e => e.status !== 'imported'), `Restart re-imported: ${JSON.stringify(events)}`);
+
+        fs.writeFileSync(path.join(watched, 'new-export.json'), workerExport('watched_new', 'WATCHED_NEW_SENTINEL'));
+        await waitFor('new file import', () => events.some(e => e.fileName === 'new-export.json'));
+        const event = events.find(e => e.fileName === 'new-export.json');
+        assert(event.status === 'imported', `New file: ${JSON.stringify(event)}`);
+        assert(searchMessages('WATCHED_NEW_SENTINEL').length === 1, 'New watched export not searchable');
+        assert(watcherRuns().length === 2, `Expected 2 watcher runs, got ${watcherRuns().length}`);
+
+        setWatchedFolder(null);
+        assert(getWatchedFolder() === null, 'Watched folder not cleared');
+        fs.writeFileSync(path.join(watched, 'after-stop.json'), workerExport('watched_after_stop', 'WATCHED_AFTER_STOP'));
+        await new Promise(resolve => setTimeout(resolve, 2500));
+        assert(watcherRuns().length === 2 && searchMessages('WATCHED_AFTER_STOP').length === 0, 'Stopped watcher still imported');
+    });
+
+    await assertCase('A watched import the user cancels is reported as cancelled, not imported', async () => {
+        const watched = path.join(VAULT_TEST_DIR, 'watched_cancel');
+        fs.mkdirSync(watched, { recursive: true });
+        const events = [];
+        assert(setWatchedFolder(watched, e => events.push(e)) === true, 'Watcher did not start');
+        fs.writeFileSync(path.join(watched, 'cancel-me.json'), workerExport('watched_cancel', 'WATCHED_CANCEL_SENTINEL'));
+        // The worker takes a moment to start; cancel as soon as it is registered
+        const start = Date.now();
+        while (!isImportRunning()) {
+            if (Date.now() - start > 30000) throw new Error('Timed out waiting for the watched import');
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        assert(cancelActiveImport(), 'No watched import to cancel');
+        await waitFor('cancelled watch event', () => events.length === 1);
+        assert(events[0].status === 'cancelled' && events[0].runId === undefined, `Event: ${JSON.stringify(events[0])}`);
+        assert(searchMessages('WATCHED_CANCEL_SENTINEL').length === 0, 'Cancelled watched import left messages');
+        setWatchedFolder(null);
+    });
+
+    await assertCase('A watched folder removed before it is scanned stops the watcher', async () => {
+        const watched = path.join(VAULT_TEST_DIR, 'watched_removed');
+        fs.mkdirSync(watched, { recursive: true });
+        assert(setWatchedFolder(watched) === true, 'Watcher did not start');
+        fs.rmSync(watched, { recursive: true });
+        const events = await scanWatchedFolder();
+        assert(events.length === 0, `Events: ${JSON.stringify(events)}`);
+        assert((await scanWatchedFolder()).length === 0, 'Watcher still active after its folder went away');
+        setWatchedFolder(null);
+    });
+
+    // Case 23: Dry-run preview parses in a transaction that is always rolled back
+    console.log('\n[Import Preview]');
+    const vaultSnapshot = () => JSON.stringify({
+        runs: db.prepare('SELECT COUNT(*) as c FROM ingestion_runs').get().c,
+        artifacts: db.prepare('SELECT COUNT(*) as c FROM raw_artifacts').get().c,
+        threads: db.prepare('SELECT COUNT(*) as c FROM threads').get().c,
+        messages: db.prepare('SELECT COUNT(*) as c FROM messages').get().c,
+        missing: db.prepare('SELECT COUNT(*) as c FROM threads WHERE missing_since_run_id IS NOT NULL').get().c,
+        files: fs.readdirSync(ARTIFACTS_DIR).length,
+    });
+    const previewFile = writeTemp('preview_export.json', JSON.stringify([{
+        id: 'preview_thread_1', title: 'Preview One', create_time: 1700000000, current_node: 'pv3',
+        mapping: {
+            pv1: { message: { id: 'pv1', author: { role: 'user' }, create_time: 1700000000, content: { content_type: 'text', parts: ['PREVIEW_SENTINEL question'] } }, parent: null, children: ['pv2'] },
+            pv2: { message: { id: 'pv2', author: { role: 'assistant' }, create_time: 1700000100, content: { content_type: 'text', parts: ['Preview answer'] } }, parent: 'pv1', children: ['pv3'] },
+            pv3: { message: { id: 'pv3', author: { role: 'assistant' }, create_time: 1700000200, content: { content_type: 'some_future_type' } }, parent: 'pv2', children: [] },
+        },
+    }]));
+
+    await assertCase('Preview reports counts, roles, dates, skipped types and warnings, then leaves no trace', async () => {
+        const before = vaultSnapshot();
+        const result = await importFileHeadless('auto', previewFile, {}, { dryRun: true });
+        const preview = result.preview;
+        assert(result.success && result.dryRun && result.detection.provider === 'chatgpt', `Result: ${JSON.stringify(result.detection)}`);
+        assert(preview.threads === 1 && preview.messages === 2, `Counts: ${preview.threads}/${preview.messages}`);
+        assert(JSON.stringify(preview.messagesByRole) === '{"assistant":1,"user":1}', `Roles: ${JSON.stringify(preview.messagesByRole)}`);
+        assert(preview.dateRange.from === 1700000000000 && preview.dateRange.to === 1700000100000, `Dates: ${JSON.stringify(preview.dateRange)}`);
+        assert(preview.skipped.some_future_type === 1, `Skipped: ${JSON.stringify(preview.skipped)}`);
+        assert(preview.reconciliation.threadsAdded === 1 && preview.duplicates.matched === 0, 'Should be a new conversation');
+        // Earlier ChatGPT imports are not in this export: warned about, but not marked
+        assert(preview.warnings.some(w => /not in this export/.test(w)), `Warnings: ${preview.warnings.join(' | ')}`);
+        assert(vaultSnapshot() === before, `Preview changed the vault: ${before} -> ${vaultSnapshot()}`);
+        assert(searchMessages('PREVIEW_SENTINEL').length === 0, 'Previewed message is searchable');
+    });
+
+    await assertCase('Preview of a known file flags matched and likely duplicates', async () => {
+        await importFileHeadless('auto', previewFile);
+        const before = vaultSnapshot();
+        const again = await importFileHeadless('auto', previewFile, {}, { dryRun: true });
+        const { duplicates, reconciliation, warnings } = again.preview;
+        assert(duplicates.matched === 1 && duplicates.matchedTitles.join() === 'Preview One', `Duplicates: ${JSON.stringify(duplicates)}`);
+        assert(reconciliation.threadsAdded === 0 && reconciliation.threadsUpdated === 1, `Reconciliation: ${JSON.stringify(reconciliation)}`);
+        assert(warnings.some(w => /preview_export\.json is identical to a file imported before/.test(w)), `Warnings: ${warnings.join(' | ')}`);
+
+        // A transcript without an id cannot be matched, but its title gives it away
+        const notes = writeTemp('notes-copy.md', '# Untitled Notes\n\n## User\nA different copy of the notes\n');
+        const likely = await importFileHeadless('generic', notes, {}, { dryRun: true });
+        assert(likely.preview.duplicates.likely === 1 && likely.preview.duplicates.likelyTitles.join() === 'Untitled Notes', `Likely: ${JSON.stringify(likely.preview.duplicates)}`);
+        assert(vaultSnapshot() === before, 'Previews changed the vault');
+    });
+
+    await assertCase('A preview that fails leaves no ingestion run behind', async () => {
+        const before = vaultSnapshot();
+        let error = null;
+        try { await importFileHeadless('auto', writeTemp('preview_unknown.json', '{"hello": 1}'), {}, { dryRun: true }); } catch (e) { error = e; }
+        assert(error && /no importer recognizes/.test(error.message), `Expected not-recognized, got ${error && error.message}`);
+        assert(vaultSnapshot() === before, 'Failed preview left records behind');
+    });
+
+    // Case 24: Undoing one ingestion run leaves every other run intact
+    console.log('\n[Undo Import]');
+    const undoExport = (threads) => JSON.stringify(threads.map(([id, messages]) => ({
+        id, title: `Undo ${id}`, create_time: 1710000000,
+        mapping: Object.fromEntries(messages.map(([mid, text], i) => [mid, {
+            message: { id: mid, author: { role: i % 2 ? 'assistant' : 'user' }, content: { content_type: 'text', parts: [text] } },
+            parent: i ? messages[i - 1][0] : null,
+        }])),
+    })));
+    const runArtifactFiles = (runId) => db.prepare(`SELECT stored_path FROM raw_artifacts WHERE ingestion_run_id = ?`).all(runId).map(r => r.stored_path);
+
+    await assertCase('Undoing a new import removes its threads, messages, FTS rows and artifacts only', async () => {
+        const othersBefore = db.prepare(`SELECT COUNT(*) as c FROM messages`).get().c;
+        const result = await importFileHeadless('chatgpt', writeTemp('undo_fresh.json', undoExport([['undo_fresh', [['uf1', 'UNDO_FRESH_SENTINEL'], ['uf2', 'Reply']]]])));
+        const files = runArtifactFiles(result.runId);
+        assert(searchMessages('UNDO_FRESH_SENTINEL').length === 1, 'Import not searchable');
+
+        const summary = revertIngestionRun(result.runId);
+        assert(summary.threadsRemoved === 1 && summary.messagesRemoved === 2 && summary.artifactsRemoved === 1, `Summary: ${JSON.stringify(summary)}`);
+        assert(searchMessages('UNDO_FRESH_SENTINEL').length === 0, 'FTS still returns the undone message');
+        assert(db.prepare(`SELECT COUNT(*) as c FROM messages`).get().c === othersBefore, 'Other runs lost or kept messages');
+        assert(files.every(f => !fs.existsSync(f)), 'Artifact file left on disk');
+
+        const run = listIngestionRuns().find(r => r.id === result.runId);
+        assert(run.status === 'reverted' && run.reverted_at > 0, `Run: ${JSON.stringify(run)}`);
+        const audit = db.prepare(`SELECT action, details FROM audit_log WHERE ingestion_run_id = ?`).all(result.runId);
+        assert(audit.length === 1 && audit[0].action === 'revert_run' && JSON.parse(audit[0].details).messagesRemoved === 2, `Audit: ${JSON.stringify(audit)}`);
+
+        let error = null;
+        try { revertIngestionRun(result.runId); } catch (e) { error = e; }
+        assert(error instanceof VaultError && error.code === 'UNDO_ALREADY_DONE', 'Undoing twice should fail with its code');
+        error = null;
+        try { revertIngestionRun(999999); } catch (e) { error = e; }
+        assert(error instanceof VaultError && error.code === 'UNDO_RUN_NOT_FOUND', 'Undoing an unknown run should fail with its code');
+    });
+
+    await assertCase('Undoing a re-import restores replaced content and missing marks, keeps the first import', async () => {
+        const v1 = await importFileHeadless('chatgpt', writeTemp('undo_v1.json', undoExport([
+            ['undo_kept', [['uk1', 'UNDO_ORIGINAL_TEXT']]],
+            ['undo_dropped', [['ud1', 'UNDO_DROPPED_TEXT']]],
+        ])));
+        const v2 = await importFileHeadless('chatgpt', writeTemp('undo_v2.json', undoExport([
+            ['undo_kept', [['uk1', 'UNDO_EDITED_TEXT'], ['uk2', 'UNDO_APPENDED_TEXT']]],
+            ['undo_new', [['un1', 'UNDO_NEW_THREAD_TEXT']]],
+        ])));
+        const dropped = () => db.prepare(`SELECT missing_since_run_id FROM threads WHERE provider_thread_id = 'undo_dropped'`).get().missing_since_run_id;
+        assert(dropped() === v2.runId, 'Re-import did not mark the dropped thread');
+
+        const summary = revertIngestionRun(v2.runId);
+        assert(summary.messagesRestored === 1 && summary.threadsRemoved === 1 && summary.messagesRemoved === 2, `Summary: ${JSON.stringify(summary)}`);
+        assert(searchMessages('UNDO_ORIGINAL_TEXT').length === 1 && searchMessages('UNDO_EDITED_TEXT').length === 0, 'Replaced content not restored');
+        assert(searchMessages('UNDO_APPENDED_TEXT').length === 0 && searchMessages('UNDO_NEW_THREAD_TEXT').length === 0, 'Re-import additions left behind');
+        assert(dropped() === null, 'Missing mark from the undone run not cleared');
+        const kept = db.prepare(`SELECT last_ingestion_run_id FROM threads WHERE provider_thread_id = 'undo_kept'`).get();
+        assert(kept.last_ingestion_run_id === v1.runId, 'Matched thread not re-stamped with the first import');
+        assert(runArtifactFiles(v1.runId).every(f => fs.existsSync(f)), 'First import lost its artifact');
+    });
+
+    await assertCase('Undoing a re-import puts back the attachments, model and branch of a replaced message', async () => {
+        const exportWith = (ua1, extra = {}) => JSON.stringify([{
+            id: 'undo_assets', title: 'Undo assets', create_time: 1710000000,
+            mapping: {
+                ua0: { message: { id: 'ua0', author: { role: 'user' }, content: { content_type: 'text', parts: ['UNDO_ASSET_PROMPT'] } }, parent: null, children: ['ua1'] },
+                ua1: { message: { id: 'ua1', author: { role: 'assistant' }, ...ua1 }, parent: 'ua0' },
+                ...extra,
+            },
+            current_node: extra.ua2 ? 'ua2' : 'ua1',
+        }]);
+        await importFileHeadless('chatgpt', writeTemp('undo_assets_v1.json', exportWith({
+            metadata: { model_slug: 'gpt-4o' },
+            content: { content_type: 'multimodal_text', parts: ['UNDO_ASSET_ORIGINAL', { asset_pointer: 'file-service://file-UNDO001', width: 10 }] },
+        })));
+        const row = () => db.prepare(`SELECT id, content_plain, model, is_canonical, content_type FROM messages WHERE provider_message_id = 'ua1'`).get();
+        const before = row();
+        // The re-import edits the reply, drops its image and moves it off the selected branch
+        const v2 = await importFileHeadless('chatgpt', writeTemp('undo_assets_v2.json', exportWith({
+            metadata: { model_slug: 'gpt-5' },
+            content: { content_type: 'text', parts: ['UNDO_ASSET_EDITED'] },
+        }, {
+            ua2: { message: { id: 'ua2', author: { role: 'assistant' }, content: { content_type: 'text', parts: ['UNDO_ASSET_REGENERATED'] } }, parent: 'ua0' },
+        })));
+        const assets = () => db.prepare(`SELECT asset_pointer, width FROM message_assets WHERE message_id = ?`).all(before.id);
+        assert(row().model === 'gpt-5' && row().is_canonical === 0 && assets().length === 0, `Re-import: ${JSON.stringify(row())}`);
+
+        revertIngestionRun(v2.runId);
+        const after = row();
+        assert(after.content_plain === before.content_plain && after.model === 'gpt-4o' && after.is_canonical === before.is_canonical && after.content_type === before.content_type,
+            `Restored: ${JSON.stringify(after)} vs ${JSON.stringify(before)}`);
+        const restored = assets();
+        assert(restored.length === 1 && restored[0].asset_pointer === 'file-service://file-UNDO001' && restored[0].width === 10, `Assets: ${JSON.stringify(restored)}`);
+    });
+
+    await assertCase('Artifacts still referenced by a later run are kept', async () => {
+        const content = undoExport([['undo_shared', [['us1', 'UNDO_SHARED_TEXT']]]]);
+        const first = await importFileHeadless('chatgpt', writeTemp('undo_shared_a.json', content));
+        // Same conversations in a different file: matched by the later run, not copied
+        await importFileHeadless('chatgpt', writeTemp('undo_shared_b.json', content + '\n'));
+        const summary = revertIngestionRun(first.runId);
+        assert(summary.threadsRemoved === 0 && summary.messagesRemoved === 0, `Summary: ${JSON.stringify(summary)}`);
+        assert(summary.artifactsKept === 1 && runArtifactFiles(first.runId).every(f => fs.existsSync(f)), 'Referenced artifact removed');
+        assert(searchMessages('UNDO_SHARED_TEXT').length === 1, 'Later run lost its messages');
+    });
+
+    // Case 25: Each finished run keeps a report of what it read and wrote
+    console.log('\n[Run Report]');
+
+    await assertCase('A complete run stores entries parsed per importer, skipped nodes and warnings', async () => {
+        const zip = new AdmZip();
+        zip.addFile('conversations.json', Buffer.from(chatgptContentTypesJson));
+        zip.addFile('user.json', Buffer.from('{}'));
+        const zipFile = writeTemp('report_export.zip', zip.toBuffer());
+        const transcript = writeTemp('report_transcript.md', '# Report Chat\n\n## User\nREPORT_SENTINEL\n\n## Assistant\nOk.\n');
+        const broken = writeTemp('report_broken.json', '{ not json');
+
+        const result = await importFilesHeadless('auto', [zipFile, transcript, broken]);
+        const report = getRunReport(result.runId);
+        assert(JSON.stringify(report) === JSON.stringify(result.report), 'Stored report differs from the returned one');
+        // The broken file is rejected by detection, so none of its entries are read
+        assert(report.entries.seen === 3 && report.entries.parsed === 2, `Entries: ${JSON.stringify(report.entries)}`);
+        assert(report.entries.parsedBy.chatgpt === 1 && report.entries.parsedBy.generic === 1, `Parsed by: ${JSON.stringify(report.entries.parsedBy)}`);
+        const { threadsAdded, threadsUpdated } = report.reconciliation;
+        assert(threadsAdded + threadsUpdated === report.threads && threadsAdded >= 1, `Report: ${JSON.stringify(report.reconciliation)}`);
+        assert(Object.keys(report.contentTypes.skipped).length > 0, 'Skipped content types not reported');
+        assert(report.files.map(f => f.status).join() === 'imported,imported,failed', `Files: ${JSON.stringify(report.files)}`);
+        assert(report.warnings.some(w => /^report_broken\.json could not be imported/.test(w)), `Warnings: ${report.warnings.join(' | ')}`);
+    });
+
+    await assertCase('A failed run keeps the report of what it read; diagnostics show counts only', async () => {
+        const first = writeTemp('report_fail_a.json', '{ not json');
+        const second = writeTemp('report_fail_b.json', '[1, 2');
+        let error = null;
+        try { await importFilesHeadless('chatgpt', [first, second]); } catch (e) { error = e; }
+        assert(error, 'Import of two broken files should fail');
+        const run = db.prepare(`SELECT id, status FROM ingestion_runs ORDER BY id DESC LIMIT 1`).get();
+        const report = getRunReport(run.id);
+        assert(run.status === 'failed' && report && report.entries.seen === 2 && report.entries.parsed === 0, `Failed report: ${JSON.stringify(report)}`);
+        assert(report.warnings.length === 2, `Warnings: ${report.warnings.join(' | ')}`);
+
+        const diagnostics = getDiagnostics();
+        const recent = diagnostics.ingestion.recent_runs[0];
+        assert(recent.report && recent.report.entries_seen === 2 && recent.report.files_failed === 2 && recent.report.warnings_count === 2, `Diagnostics: ${JSON.stringify(recent)}`);
+        const text = JSON.stringify(diagnostics);
+        assert(!/report_fail|report_broken|REPORT_SENTINEL|Report Chat|could not be imported/.test(text), 'Diagnostics leak names or warning text');
+    });
+
+    // Case 26: Import failures carry a typed error code, kept with the run
+    console.log('\n[Typed Errors]');
+    const failedImport = async (run) => {
+        let error = null;
+        try { await run(); } catch (e) { error = e; }
+        const row = db.prepare(`SELECT status, error_code, error_message FROM ingestion_runs ORDER BY id DESC LIMIT 1`).get();
+        return { error, row };
+    };
+
+    await assertCase('Importer, detection and archive failures are stored with their code', async () => {
+        const cases = [
+            ['chatgpt', writeTemp('typed_broken.json', '[{"id": "x", '), 'PARSE_JSON_FAILED'],
+            ['chatgpt', writeTemp('typed_object.json', '{"id": "not an array"}'), 'EXPORT_FORMAT_INVALID'],
+            ['generic', writeTemp('typed_lines.jsonl', '{"role": "user", "content": "hi"}\nnot json\n'), 'PARSE_JSON_FAILED'],
+            ['auto', writeTemp('typed_unknown.json', '{"hello": "world"}'), 'PROVIDER_NOT_DETECTED'],
+            ['chatgpt', writeTemp('typed_claude.json', claudeBlocksJson), 'PROVIDER_MISMATCH'],
+            ['chatgpt', writeTemp('typed_slip.zip', tamperZip(exportZip('xx/x.json', '[]'), { name: '../x.json' })), 'ZIP_SLIP_DETECTED'],
+            ['auto', path.join(VAULT_TEST_DIR, 'typed_missing.json'), 'FILE_NOT_FOUND'],
+            ['chatgpt', path.join(VAULT_TEST_DIR, 'typed_dangling.json'), 'FILE_NOT_FOUND'],
+        ];
+        fs.symlinkSync(path.join(VAULT_TEST_DIR, 'typed_nowhere.json'), path.join(VAULT_TEST_DIR, 'typed_dangling.json'));
+        for (const [provider, file, code] of cases) {
+            const { error, row } = await failedImport(() => importFileHeadless(provider, file));
+            assert(error instanceof VaultError && error.code === code, `${path.basename(file)}: expected ${code}, got ${error && (error.code || error.message)}`);
+            assert(row.status === 'failed' && row.error_code === code, `${path.basename(file)}: run ${JSON.stringify(row)}`);
+            assert(!row.error_message.includes(path.basename(file)), `${path.basename(file)}: file name stored in the run message`);
+        }
+    });
+
+    await assertCase('A file that cannot be written to the vault fails as FS_WRITE_FAILED', async () => {
+        const content = workerExport('typed_fs', 'TYPED_FS_SENTINEL');
+        const file = writeTemp('typed_fs.json', content);
+        // A folder where the artifact file should go makes the write fail
+        const sha = crypto.createHash('sha256').update(content).digest('hex');
+        const blocker = path.join(ARTIFACTS_DIR, `${sha}-typed_fs.json`);
+        fs.mkdirSync(blocker);
+        try {
+            const { error, row } = await failedImport(() => importFileHeadless('chatgpt', file));
+            assert(error && error.code === 'FS_WRITE_FAILED' && row.error_code === 'FS_WRITE_FAILED', `Got ${error && (error.code || error.message)}`);
+            // The file is named in the run's per-file outcome only, never in the stored message or diagnostics
+            const run = db.prepare(`SELECT id, error_message FROM ingestion_runs ORDER BY id DESC LIMIT 1`).get();
+            assert(!run.error_message.includes('typed_fs'), `File name stored in the run message: ${run.error_message}`);
+            const [outcome] = getRunReport(run.id).files;
+            assert(outcome.name === 'typed_fs.json' && outcome.errorCode === 'FS_WRITE_FAILED', `Per-file outcome: ${JSON.stringify(outcome)}`);
+            assert(!JSON.stringify(getDiagnostics()).includes('typed_fs'), 'File name reached the diagnostics report');
+        } finally {
+            fs.rmdirSync(blocker);
+        }
+    });
+
+    await assertCase('Codes cross the import worker; cancelled runs and diagnostics use them too', async () => {
+        const { error } = await failedImport(() => runImportInWorker('chatgpt', [writeTemp('typed_worker.json', '[{"id": ')]));
+        assert(error instanceof VaultError && error.code === 'PARSE_JSON_FAILED', `Worker: ${error && (error.code || error.message)}`);
+
+        const { row: cancelled } = await failedImport(() => importFileHeadless('chatgpt', writeTemp('typed_cancel.json', workerExport('typed_cancel', 'x')), { isCancelled: () => true }));
+        assert(cancelled.status === 'cancelled' && cancelled.error_code === 'IMPORT_CANCELLED', `Cancelled run: ${JSON.stringify(cancelled)}`);
+
+        // A run that failed before codes were recorded is reported as unknown
+        const legacy = createIngestionRun('chatgpt', 'Legacy');
+        db.prepare(`UPDATE ingestion_runs SET status = 'failed', error_message = 'old failure' WHERE id = ?`).run(legacy.id);
+        const recent = getDiagnostics().ingestion.recent_runs;
+        assert(recent[0].error_code === 'UNKNOWN_ERROR' && recent[1].error_code === 'IMPORT_CANCELLED' && recent[2].error_code === 'PARSE_JSON_FAILED',
+            `Diagnostics: ${JSON.stringify(recent.map(r => r.error_code))}`);
+    });
+
+    // Case 27: Search narrowed by provider, role, dates, thread and run
+    console.log('\n[Search Filters]');
+    const march = Date.UTC(2025, 2, 15, 12) / 1000;
+    const may = Date.UTC(2025, 4, 15, 12) / 1000;
+    const filterChatGPT = await importFileHeadless('chatgpt', writeTemp('filter_chatgpt.json', JSON.stringify([{
+        id: 'filter_gpt', title: 'Filter GPT', create_time: march,
+        mapping: {
+            fg1: { message: { id: 'fg1', author: { role: 'user' }, create_time: march, content: { content_type: 'text', parts: ['FILTERWORD postgres question'] } }, parent: null },
+            fg2: { message: { id: 'fg2', author: { role: 'assistant' }, create_time: may, content: { content_type: 'text', parts: ['FILTERWORD postgres answer'] } }, parent: 'fg1' },
+        },
+    }])));
+    const filterLibre = await importFileHeadless('librechat', writeTemp('filter_librechat.json', JSON.stringify({
+        conversationId: 'filter-libre', title: 'Filter Libre',
+        messages: [
+            { messageId: 'fl1', parentMessageId: '00000000-0000-0000-0000-000000000000', isCreatedByUser: true, text: 'FILTERWORD postgres prompt', createdAt: '2025-03-10T10:00:00Z' },
+            { messageId: 'fl2', parentMessageId: 'fl1', isCreatedByUser: false, text: 'FILTERWORD postgres reply', createdAt: '2025-03-10T10:01:00Z' },
+        ],
+    })));
+    const contents = (results) => results.map(r => r.content).sort().join(' | ');
+
+    await assertCase('A structured request filters by providers, role, dates, thread and run', async () => {
+        assert(searchMessages('FILTERWORD').length === 4, 'Fixture not searchable');
+        assert(contents(searchMessages({ query: 'FILTERWORD', providers: ['librechat'] })) === 'FILTERWORD postgres prompt | FILTERWORD postgres reply', 'Provider filter');
+        assert(searchMessages({ query: 'FILTERWORD', providers: ['librechat', 'chatgpt'] }).length === 4, 'Provider list should match any');
+        assert(contents(searchMessages({ query: 'FILTERWORD', role: 'assistant' })) === 'FILTERWORD postgres answer | FILTERWORD postgres reply', 'Role filter');
+        const april = new Date(2025, 3, 1).getTime();
+        assert(contents(searchMessages({ query: 'FILTERWORD', from: april })) === 'FILTERWORD postgres answer', 'From filter');
+        assert(searchMessages({ query: 'FILTERWORD', to: april }).length === 3, 'To filter');
+        const thread = searchMessages({ query: 'FILTERWORD', providers: ['chatgpt'] })[0].thread_id;
+        assert(searchMessages({ query: 'FILTERWORD', threadId: thread }).every(r => r.thread_id === thread), 'Thread filter');
+        assert(contents(searchMessages({ query: 'FILTERWORD', runId: filterLibre.runId, role: 'user' })) === 'FILTERWORD postgres prompt', 'Run filter');
+        assert(searchMessages({ query: 'FILTERWORD', runId: filterChatGPT.runId, providers: ['librechat'] }).length === 0, 'Filters should combine');
+    });
+
+    await assertCase('Inline filter syntax is taken out of the query and applied', async () => {
+        const results = searchMessages('postgres provider:claude,librechat role:user after:2025-03-01 FILTERWORD');
+        assert(contents(results) === 'FILTERWORD postgres prompt', `Inline: ${contents(results)}`);
+        assert(contents(searchMessages('FILTERWORD before:2025-04-01 provider:chatgpt')) === 'FILTERWORD postgres question', 'before: filter');
+        // Typed filters narrow the request's own filters
+        assert(searchMessages({ query: 'FILTERWORD role:user', providers: ['chatgpt'] }).length === 1, 'Inline and structured filters combined');
+
+        const parsed = parseSearchText('ROLE:User postgres after:2025-02-30 topic:db run:x provider:claude');
+        assert(parsed.query === 'postgres after:2025-02-30 topic:db run:x', `Query left: ${parsed.query}`);
+        assert(parsed.filters.role === 'user' && parsed.filters.providers.join() === 'claude' && parsed.filters.from === undefined, `Filters: ${JSON.stringify(parsed.filters)}`);
+        assert(parsed.inline.map(f => f.text).join() === 'ROLE:User,provider:claude', `Inline: ${JSON.stringify(parsed.inline)}`);
+    });
+
+    await assertCase('Filters without words list the newest matching messages', async () => {
+        const results = searchMessages({ query: '', providers: ['librechat'], runId: filterLibre.runId });
+        assert(results.map(r => r.content).join(' | ') === 'FILTERWORD postgres reply | FILTERWORD postgres prompt', `Filter-only: ${contents(results)}`);
+        assert(searchMessages('provider:librechat role:assistant').some(r => r.content === 'FILTERWORD postgres reply'), 'Inline filter-only search');
+        assert(searchMessages({ query: '   ' }).length === 0, 'An empty request should return nothing');
+    });
+
+    // Case 28: Search results come a page at a time, as excerpts with the matches marked
+    console.log('\n[Search Pages]');
+    const filler = 'lorem ipsum dolor sit amet '.repeat(40);
+    const pageMapping = {};
+    for (let i = 0; i < 120; i++) {
+        const id = `pg${i}`;
+        const text = i % 3 === 0 ? `${filler}PAGEWORD number ${i} ${filler}` : `PAGEWORD short ${i}`;
+        pageMapping[id] = { message: { id, author: { role: i % 2 ? 'assistant' : 'user' }, create_time: 1735689600 + i, content: { content_type: 'text', parts: [text] } }, parent: i ? `pg${i - 1}` : null };
+    }
+    const pageImport = await importFileHeadless('chatgpt', writeTemp('search_pages.json', JSON.stringify([{ id: 'search_pages', title: 'Search Pages', create_time: 1735689600, mapping: pageMapping }])));
+
+    await assertCase('Pages follow each other by cursor until every match is listed once', async () => {
+        const first = searchMessagePage('PAGEWORD', {}, { limit: 50 });
+        assert(first.total === 120 && first.results.length === 50 && first.nextCursor, `First page: ${first.total}, ${first.results.length}`);
+        const ids = first.results.map(r => r.id);
+        let page = first;
+        while (page.nextCursor) {
+            page = searchMessagePage('PAGEWORD', {}, { cursor: page.nextCursor, limit: 50 });
+            assert(page.total === null, 'Total should only be counted on the first page');
+            ids.push(...page.results.map(r => r.id));
+        }
+        assert(ids.join() === searchMessages('PAGEWORD').map(r => r.id).join(), 'Pages out of rank order or overlapping');
+
+        // Filters alone page newest first
+        const byRun = [];
+        let cursor = null;
+        do {
+            const next = searchMessagePage({ query: '', runId: pageImport.runId }, {}, { cursor, limit: 40 });
+            byRun.push(...next.results.map(r => r.timestamp));
+            cursor = next.nextCursor;
+        } while (cursor);
+        assert(byRun.length === 120 && byRun.every((t, i) => i === 0 || byRun[i - 1] >= t), `Filter-only pages: ${byRun.length}`);
+    });
+
+    await assertCase('Results carry an excerpt around the match with its offsets, not the full message', async () => {
+        const { results } = searchMessagePage('PAGEWORD', {}, { limit: 120 });
+        assert(results.every(r => r.content === undefined), 'Full content sent with a search page');
+        for (const r of results) {
+            assert(r.highlights.length === 1 && r.excerpt.slice(...r.highlights[0]) === 'PAGEWORD', `Highlight: ${JSON.stringify(r.highlights)} in ${r.excerpt}`);
+        }
+        const long = results.find(r => r.excerpt.includes('number 0 '));
+        assert(long && long.excerpt.length < 400 && long.excerpt.startsWith('…'), `Long message excerpt: ${long && long.excerpt.length}`);
+
+        const filtered = searchMessagePage({ query: '', runId: pageImport.runId }).results;
+        assert(filtered.every(r => r.highlights.length === 0 && r.excerpt.length <= 201), 'Filter-only excerpts');
+        assert(searchMessagePage({ query: ' ' }).total === 0, 'An empty request should return nothing');
+    });
+
+    // Case 29: Whatever is typed becomes a valid FTS5 query
+    console.log('\n[Search Query Syntax]');
+    const syntaxTexts = ['QSYN c++ templates', "QSYN don't panic", 'QSYN node.js runtime', 'QSYN nodejs rocks',
+        'QSYN query planner tuning', 'QSYN planner query mix', 'QSYN vacuum', 'QSYN analyze', 'QSYN mysql index'];
+    const syntaxMapping = {};
+    syntaxTexts.forEach((text, i) => {
+        syntaxMapping[`qs${i}`] = { message: { id: `qs${i}`, author: { role: 'user' }, create_time: 1735689600 + i, content: { content_type: 'text', parts: [text] } }, parent: i ? `qs${i - 1}` : null };
+    });
+    await importFileHeadless('chatgpt', writeTemp('query_syntax.json', JSON.stringify([{ id: 'query_syntax', title: 'Query Syntax', create_time: 1735689600, mapping: syntaxMapping }])));
+    const matched = (query) => searchMessages(query).map(r => r.content).sort().join(' | ');
+
+    await assertCase('Symbols, apostrophes and stray quotes are searched literally', async () => {
+        for (const query of ['c++', "don't", 'node.js', '"unclosed', 'AND', 'x NOT', 'NEAR(a b', 'col:x', '(a', 'a*b', '"a""b"', 'x -']) {
+            searchMessagePage(query);
+        }
+        assert(matched('QSYN c++') === 'QSYN c++ templates', `c++: ${matched('QSYN c++')}`);
+        assert(matched("QSYN don't") === "QSYN don't panic", "Apostrophe");
+        assert(matched('QSYN node.js') === 'QSYN node.js runtime', `node.js: ${matched('QSYN node.js')}`);
+        assert(matched('QSYN topic:db').length === 0, 'Unknown field filter should be searched as text');
+    });
+
+    await assertCase('Phrases, OR, -exclusion and prefix* are applied', async () => {
+        assert(matched('QSYN "query planner"') === 'QSYN query planner tuning', 'Phrase');
+        assert(matched('QSYN "query planner') === 'QSYN query planner tuning', 'Unclosed phrase');
+        assert(matched('QSYN vacuum OR analyze') === 'QSYN analyze | QSYN vacuum', 'OR');
+        assert(searchMessages('QSYN -mysql').length === syntaxTexts.length - 1, 'Exclusion');
+        assert(searchMessages('QSYN -"query planner" -planner').length === syntaxTexts.length - 2, 'Excluded phrase');
+        assert(matched('QSYN node*') === 'QSYN node.js runtime | QSYN nodejs rocks', 'Prefix');
+        assert(toFtsQuery('a OR b c -d').match === '(("a" OR "b") AND "c") NOT ("d")', `Expression: ${toFtsQuery('a OR b c -d').match}`);
+        assert(toFtsQuery('OR a OR').match === '"OR" AND "a" AND "OR"', 'A dangling OR is a word');
+    });
+
+    await assertCase('AND is ignored, NOT excludes, and OR next to an exclusion is dropped', async () => {
+        assert(toFtsQuery('a AND b').match === '"a" AND "b"', `AND: ${toFtsQuery('a AND b').match}`);
+        assert(matched('QSYN AND vacuum') === 'QSYN vacuum', `AND searched as a word: ${matched('QSYN AND vacuum')}`);
+        assert(toFtsQuery('a NOT b').match === '("a") NOT ("b")', `NOT: ${toFtsQuery('a NOT b').match}`);
+        assert(toFtsQuery('a NOT "b c"').match === '("a") NOT ("b c")', `NOT phrase: ${toFtsQuery('a NOT "b c"').match}`);
+        assert(searchMessages('QSYN NOT mysql').length === syntaxTexts.length - 1, 'NOT not applied as an exclusion');
+        assert(toFtsQuery('a -b OR c').match === '("a" AND "c") NOT ("b")', `OR after an exclusion: ${toFtsQuery('a -b OR c').match}`);
+        assert(toFtsQuery('a OR NOT b').match === '("a") NOT ("b")', `OR before NOT: ${toFtsQuery('a OR NOT b').match}`);
+        assert(toFtsQuery('a AND').match === '"a" AND "AND"' && toFtsQuery('a NOT').match === '"a" AND "NOT"', 'A dangling AND or NOT is a word');
+        assert(toFtsQuery('NOT b').error && toFtsQuery('NOT b').error.code === 'SEARCH_ONLY_EXCLUDED', 'NOT alone only leaves out');
+        assert(toFtsQuery('a and b not c').match === '"a" AND "and" AND "b" AND "not" AND "c"', 'Lower-case and/not are words');
+    });
+
+    await assertCase('A query with nothing to search for is reported as invalid', async () => {
+        const codeOf = (query) => {
+            try {
+                searchMessagePage(query);
+                return null;
+            } catch (err) {
+                return err instanceof VaultError ? err.code : err.message;
+            }
+        };
+        assert(codeOf('-mysql -"query planner"') === 'SEARCH_ONLY_EXCLUDED', `Only exclusions: ${codeOf('-mysql')}`);
+        assert(codeOf('++ -- "') === 'SEARCH_QUERY_INVALID', `Symbols only: ${codeOf('++ -- "')}`);
+        // Filters alone still list messages
+        assert(codeOf('role:user') === null && toFtsQuery('  ').match === null, 'Filter-only search');
+    });
+
+    // Case 30: Search modes match word forms and parts of words
+    console.log('\n[Search Modes]');
+    const modeTexts = ['MODEWORD deploying the café app', 'MODEWORD useEffect hook runs', 'MODEWORD 我们部署了应用程序'];
+    const modeMapping = {};
+    modeTexts.forEach((text, i) => {
+        modeMapping[`md${i}`] = { message: { id: `md${i}`, author: { role: 'user' }, create_time: 1735689600 + i, content: { content_type: 'text', parts: [text] } }, parent: i ? `md${i - 1}` : null };
+    });
+    await importFileHeadless('chatgpt', writeTemp('search_modes.json', JSON.stringify([{ id: 'search_modes', title: 'Search Modes', create_time: 1735689600, mapping: modeMapping }])));
+    const inMode = (query, mode) => searchMessages(query, { mode }).map(r => r.content).join(' | ');
+
+    await assertCase('Word forms and accents match in stemmed mode only', async () => {
+        assert(inMode('deploy cafe', 'exact') === '', 'Exact mode should not stem or drop accents');
+        assert(inMode('deploy cafe', 'stemmed') === modeTexts[0], `Stemmed: ${inMode('deploy cafe', 'stemmed')}`);
+        assert(inMode('MODEWORD', 'stemmed').split(' | ').length === 3, 'Stemmed index missing imported messages');
+        assert(inMode('deploy', 'unknown') === '', 'An unknown mode should fall back to exact words');
+    });
+
+    await assertCase('Parts of words and text without spaces match in substring mode', async () => {
+        assert(inMode('useEffe', 'exact') === '' && inMode('useEffe', 'substring') === modeTexts[1], 'Partial identifier');
+        assert(inMode('部署了', 'substring') === modeTexts[2], 'Chinese substring');
+        const [hit] = searchMessagePage('useEffe', { mode: 'substring' }).results;
+        assert(hit && hit.excerpt.slice(...hit.highlights[0]) === 'useEffe', `Substring highlight: ${hit && JSON.stringify(hit.highlights)}`);
+    });
+
+    await assertCase('Words too short for substring mode are reported instead of matching nothing', async () => {
+        const codeOf = (query, mode) => {
+            try {
+                searchMessagePage(query, { mode });
+                return null;
+            } catch (err) {
+                return err instanceof VaultError ? err.code : err.message;
+            }
+        };
+        assert(codeOf('部署', 'substring') === 'SEARCH_TERM_TOO_SHORT', `Two CJK characters: ${codeOf('部署', 'substring')}`);
+        assert(codeOf('MODEWORD db', 'substring') === 'SEARCH_TERM_TOO_SHORT', 'Short Latin word next to a long one');
+        assert(codeOf('MODEWORD -ab', 'substring') === 'SEARCH_TERM_TOO_SHORT', 'Short excluded word');
+        assert(codeOf('部署', 'exact') === null && codeOf('部署了', 'substring') === null, 'Other modes and 3+ characters still search');
+        assert(toFtsQuery('db', 'substring').error.code === 'SEARCH_TERM_TOO_SHORT' && toFtsQuery('db').match === '"db"', 'Mode check only in substring mode');
+    });
+
     // Case 5: Wipe removes disk artifacts and clears all DB tables
     console.log('\n[Vault Wipe]');
     await assertCase('Wipe clears disk artifacts and all DB rows', async () => {
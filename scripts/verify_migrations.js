@@ -2,11 +2,13 @@
  * scripts/verify_migrations.js — Phase 6: Migration Qualification
  *
  * Exercises the migration engine with 5 test cases:
- *   1. Fresh DB         — no schema_meta → migrator creates schema, sets version=1
- *   2. Existing v1 DB   — migrator is a no-op, idempotent
- *   3. Simulated v1→v2  — injected canary migration, existing rows preserved
+ *   1. Fresh DB         — no schema_meta → migrator creates schema, sets version=LATEST
+ *   2. Existing DB      — migrator is a no-op, idempotent
+ *   3. Simulated upgrade — injected canary migration (LATEST+1), existing rows preserved
  *   4. FTS sanity        — insert message after migration, FTS MATCH returns it
  *   5. FTS repair        — drop triggers, re-run migrator, verify triggers restored
+ *                          and an out-of-sync index rebuilt
+ *   6. v1 vault upgrade  — a v1.0.0 vault with data upgrades to LATEST with safe defaults
  *
  * Prerequisites: `tsc --project tsconfig.integration.json` must have run.
  *
@@ -92,17 +94,18 @@ function insertTestMessage(db) {
     return sentinel;
 }
 
-function ftsMatch(db, query) {
+function ftsMatch(db, query, table = 'messages_fts') {
     try {
-        return db.prepare("SELECT rowid FROM messages_fts WHERE messages_fts MATCH ?").all(query);
+        return db.prepare(`SELECT rowid FROM ${table} WHERE ${table} MATCH ?`).all(query);
     } catch {
         return [];
     }
 }
 
-// ── Canary v2 migration (test-only, never in production) ──────────────────────
-const CANARY_V2_MIGRATION = {
-    version: 2,
+// ── Canary migration (test-only, never in production) ────────────────────────
+const CANARY_VERSION = LATEST_SCHEMA_VERSION + 1;
+const CANARY_MIGRATION = {
+    version: CANARY_VERSION,
     description: 'Test-only canary: add __cv_test_pinned column to threads',
     sql: `ALTER TABLE threads ADD COLUMN __cv_test_pinned INTEGER NOT NULL DEFAULT 0;`
 };
@@ -114,7 +117,7 @@ const CANARY_V2_MIGRATION = {
 console.log('\n— Phase 6: Migration Qualification —\n');
 
 // ── Case 1: Fresh DB ──────────────────────────────────────────────────────────
-console.log('Case 1: Fresh DB (no schema → v1)');
+console.log(`Case 1: Fresh DB (no schema → v${LATEST_SCHEMA_VERSION})`);
 {
     const { db } = freshDb();
 
@@ -129,17 +132,18 @@ console.log('Case 1: Fresh DB (no schema → v1)');
     assert(tableExists(db, 'threads'), 'threads exists');
     assert(tableExists(db, 'messages'), 'messages exists');
     assert(ftsTableExists(db), 'messages_fts exists');
-    assert(getSchemaVersion(db) === 1, `schema_version = 1 (got ${getSchemaVersion(db)})`);
-    assert(db.pragma('user_version', { simple: true }) === 1, 'PRAGMA user_version = 1');
+    assert(tableExists(db, 'messages_fts_stem') && tableExists(db, 'messages_fts_trigram'), 'stemmed and trigram indexes exist');
+    assert(getSchemaVersion(db) === LATEST_SCHEMA_VERSION, `schema_version = ${LATEST_SCHEMA_VERSION} (got ${getSchemaVersion(db)})`);
+    assert(db.pragma('user_version', { simple: true }) === LATEST_SCHEMA_VERSION, `PRAGMA user_version = ${LATEST_SCHEMA_VERSION}`);
 
     db.close();
 }
 
-// ── Case 2: Existing v1 DB (idempotent) ───────────────────────────────────────
-console.log('\nCase 2: Existing v1 DB (idempotent no-op)');
+// ── Case 2: Existing DB (idempotent) ──────────────────────────────────────────
+console.log('\nCase 2: Existing DB (idempotent no-op)');
 {
     const { db } = freshDb();
-    migrate(db); // first run → v1
+    migrate(db); // first run → LATEST
 
     // Insert some data
     const sentinel = insertTestMessage(db);
@@ -148,7 +152,7 @@ console.log('\nCase 2: Existing v1 DB (idempotent no-op)');
     // Run migrator again — should be a no-op
     migrate(db);
 
-    assert(getSchemaVersion(db) === 1, `schema_version still 1 (got ${getSchemaVersion(db)})`);
+    assert(getSchemaVersion(db) === LATEST_SCHEMA_VERSION, `schema_version still ${LATEST_SCHEMA_VERSION} (got ${getSchemaVersion(db)})`);
     const countAfter = db.prepare("SELECT COUNT(*) as n FROM messages").get().n;
     assert(countBefore === countAfter, `row count preserved (${countBefore} → ${countAfter})`);
     assert(ftsMatch(db, sentinel).length > 0, 'FTS still returns sentinel after idempotent re-run');
@@ -156,22 +160,22 @@ console.log('\nCase 2: Existing v1 DB (idempotent no-op)');
     db.close();
 }
 
-// ── Case 3: Simulated v1→v2 upgrade ──────────────────────────────────────────
-console.log('\nCase 3: Simulated v1→v2 upgrade (test-injected canary)');
+// ── Case 3: Simulated upgrade ─────────────────────────────────────────────────
+console.log(`\nCase 3: Simulated v${LATEST_SCHEMA_VERSION}→v${CANARY_VERSION} upgrade (test-injected canary)`);
 {
     const { db } = freshDb();
-    migrate(db); // first run → v1
+    migrate(db); // first run → LATEST
 
     // Insert a thread before upgrade to prove existing rows survive
     db.prepare("INSERT INTO threads (provider, title) VALUES ('test', 'Pre-upgrade Thread')").run();
     const rowsBefore = db.prepare("SELECT COUNT(*) as n FROM threads").get().n;
 
-    // Extend migrations list with canary v2
-    const extendedMigrations = [...migrations, CANARY_V2_MIGRATION];
-    migrate(db, { migrations: extendedMigrations, latest: 2 });
+    // Extend migrations list with the canary
+    const extendedMigrations = [...migrations, CANARY_MIGRATION];
+    migrate(db, { migrations: extendedMigrations, latest: CANARY_VERSION });
 
-    assert(getSchemaVersion(db) === 2, `schema_version = 2 after upgrade (got ${getSchemaVersion(db)})`);
-    assert(db.pragma('user_version', { simple: true }) === 2, 'PRAGMA user_version = 2');
+    assert(getSchemaVersion(db) === CANARY_VERSION, `schema_version = ${CANARY_VERSION} after upgrade (got ${getSchemaVersion(db)})`);
+    assert(db.pragma('user_version', { simple: true }) === CANARY_VERSION, `PRAGMA user_version = ${CANARY_VERSION}`);
 
     // Verify canary column exists
     const info = db.prepare("PRAGMA table_info(threads)").all();
@@ -211,6 +215,16 @@ console.log('\nCase 4: FTS sanity after migration');
     `).all(sentinel);
     assert(fullHits.length > 0, `Full FTS JOIN query returns sentinel (${fullHits.length} hit(s))`);
 
+    // Only a change to content_plain re-indexes a message (total_changes counts trigger writes)
+    const totalChanges = () => db.prepare('SELECT total_changes() AS c').get().c;
+    let before = totalChanges();
+    db.prepare('UPDATE messages SET position = 5, last_ingestion_run_id = NULL WHERE content = ?').run(sentinel);
+    assert(totalChanges() - before === 1, `updating other columns leaves the FTS indexes alone (${totalChanges() - before} change(s))`);
+    before = totalChanges();
+    db.prepare("UPDATE messages SET content_plain = content_plain || ' edited' WHERE content = ?").run(sentinel);
+    assert(totalChanges() - before > 1, 'updating content_plain re-indexes the message');
+    assert(ftsMatch(db, 'edited').length === 1, 'FTS returns the edited text');
+
     db.close();
 }
 
@@ -259,6 +273,72 @@ console.log('\nCase 5: FTS Repair (trigger recreation)');
     const oldHits = ftsMatch(db, sentinel);
     assert(oldHits.length > 0, `Pre-repair sentinel still in FTS index (${oldHits.length} hit(s))`);
 
+    // A message written while an index's triggers were missing is picked up by a rebuild
+    db.exec("DROP TRIGGER IF EXISTS messages_fts_trigram_ai");
+    const thread = db.prepare("INSERT INTO threads (provider, title) VALUES ('test', 'Unindexed Thread')").run();
+    db.prepare(
+        `INSERT INTO messages (
+            thread_id, provider, role, content, content_plain, position, content_hash
+        ) VALUES (?, 'test', 'user', 'unindexedPartial', 'unindexedPartial', 0, 'unindexedhash')`
+    ).run(thread.lastInsertRowid);
+    assert(ftsMatch(db, '"indexedPart"', 'messages_fts_trigram').length === 0, 'trigram index misses the message while its trigger is gone');
+    migrate(db);
+    assert(triggerExists(db, 'messages_fts_trigram_ai'), 'messages_fts_trigram_ai restored by migrator');
+    assert(ftsMatch(db, '"indexedPart"', 'messages_fts_trigram').length === 1, 'out-of-sync trigram index rebuilt by migrator');
+
+    db.close();
+}
+
+// ── Case 6: v1.0.0 vault upgrade ─────────────────────────────────────────────
+console.log(`\nCase 6: v1 vault with data → v${LATEST_SCHEMA_VERSION}`);
+{
+    const { db } = freshDb();
+    migrate(db, { latest: 1 }); // a vault as created by v1.0.0
+    // v1.0.0 re-indexed a message on any update
+    db.exec(`DROP TRIGGER messages_au;
+        CREATE TRIGGER messages_au AFTER UPDATE ON messages BEGIN
+            INSERT INTO messages_fts(messages_fts, rowid, content_plain) VALUES('delete', old.id, old.content_plain);
+            INSERT INTO messages_fts(rowid, content_plain) VALUES (new.id, new.content_plain);
+        END;`);
+
+    const sentinel = insertTestMessage(db);
+    assert(getSchemaVersion(db) === 1, 'vault starts at schema_version 1');
+
+    migrate(db);
+
+    assert(getSchemaVersion(db) === LATEST_SCHEMA_VERSION, `schema_version = ${LATEST_SCHEMA_VERSION} after upgrade`);
+    const cols = db.prepare("PRAGMA table_info(messages)").all().map(c => c.name);
+    for (const col of ['is_canonical', 'branch_id', 'branch_depth', 'content_type', 'parent_message_id', 'last_ingestion_run_id', 'model']) {
+        assert(cols.includes(col), `messages.${col} added by upgrade`);
+    }
+    assert(tableExists(db, 'message_assets'), 'message_assets created by upgrade');
+    const threadCols = db.prepare("PRAGMA table_info(threads)").all().map(c => c.name);
+    assert(threadCols.includes('last_ingestion_run_id'), 'threads.last_ingestion_run_id added by upgrade');
+    assert(threadCols.includes('missing_since_run_id'), 'threads.missing_since_run_id added by upgrade');
+    assert(tableExists(db, 'message_versions'), 'message_versions created by upgrade');
+    assert(tableExists(db, 'settings'), 'settings created by upgrade');
+    assert(tableExists(db, 'audit_log'), 'audit_log created by upgrade');
+    const runCols = db.prepare("PRAGMA table_info(ingestion_runs)").all().map(c => c.name);
+    assert(runCols.includes('reverted_at'), 'ingestion_runs.reverted_at added by upgrade');
+    assert(runCols.includes('report'), 'ingestion_runs.report added by upgrade');
+    assert(runCols.includes('error_code'), 'ingestion_runs.error_code added by upgrade');
+    const versionCols = db.prepare("PRAGMA table_info(message_versions)").all().map(c => c.name);
+    for (const col of ['role', 'is_canonical', 'branch_id', 'model', 'assets']) {
+        assert(versionCols.includes(col), `message_versions.${col} added by upgrade`);
+    }
+    const stamped = db.prepare("SELECT COUNT(*) as c FROM messages WHERE last_ingestion_run_id IS NOT ingestion_run_id").get().c;
+    assert(stamped === 0, 'last_ingestion_run_id backfilled from ingestion_run_id');
+    const row = db.prepare("SELECT is_canonical, branch_depth, content_type FROM messages WHERE content = ?").get(sentinel);
+    assert(row && row.is_canonical === 1 && row.branch_depth === 0, 'pre-existing message defaults to canonical, depth 0');
+    assert(row && row.content_type === 'text', 'pre-existing message defaults to content_type text');
+    assert(ftsMatch(db, sentinel).length > 0, 'FTS still returns pre-upgrade sentinel');
+    assert(ftsMatch(db, sentinel, 'messages_fts_stem').length > 0, 'stemmed index built from pre-upgrade messages');
+    assert(ftsMatch(db, '"MIGRATION_TEST"', 'messages_fts_trigram').length > 0, 'trigram index built from pre-upgrade messages');
+    for (const name of ['messages_au', 'messages_fts_stem_au', 'messages_fts_trigram_au']) {
+        const sql = db.prepare("SELECT sql FROM sqlite_master WHERE type='trigger' AND name=?").get(name)?.sql || '';
+        assert(/AFTER UPDATE OF content_plain ON messages/.test(sql), `${name} only fires on content_plain changes`);
+    }
+
     db.close();
 }
 
@@ -4,17 +4,267 @@ import { FixedSizeList as List } from 'react-window'
 interface Message {
   id: number
   thread_id: number
-  content: string
   role: string
   timestamp: number
   thread_title: string
   provider: string
+  is_canonical: number
+  alternate_count: number
+  content_type: string
+  model: string | null
+  missing_from_export: number
+  previous_version_count: number
+  // The part of the message around the matched terms, and where they are in it
+  excerpt: string
+  highlights: [number, number][]
+}
+
+interface SearchPage {
+  results: Message[]
+  // Only counted for the first page
+  total: number | null
+  nextCursor: string | null
+  inline: InlineFilter[]
+  // Set when the query cannot be searched; there are no results then
+  errorCode?: string
+}
+
+// Search filters shown as chips; titles and labels are for the chips only
+interface SearchFilters {
+  providers?: string[]
+  role?: string
+  // Local midnight in ms: from is inclusive, to is exclusive
+  from?: number
+  to?: number
+  threadId?: number
+  threadTitle?: string
+  runId?: number
+  runLabel?: string
+}
+
+// A filter typed in the search bar (provider:claude), as parsed by the main process
+interface InlineFilter {
+  key: 'provider' | 'role' | 'after' | 'before' | 'thread' | 'run'
+  value: string
+  text: string
+}
+
+interface FilterChip {
+  label: string
+  onRemove: () => void
+  inline?: boolean
+}
+
+const MESSAGE_ROLES = ['user', 'assistant', 'system', 'tool']
+
+// Full-text index each search mode matches against (electron/migrations.ts FTS_INDEXES)
+type SearchMode = 'exact' | 'stemmed' | 'substring'
+const SEARCH_MODES: { mode: SearchMode; label: string }[] = [
+  { mode: 'exact', label: 'Exact words' },
+  { mode: 'stemmed', label: 'Word forms (deploy, deploying)' },
+  { mode: 'substring', label: 'Parts of words (3+ characters)' },
+]
+
+function savedSearchMode(): SearchMode {
+  const saved = localStorage.getItem('search_mode')
+  return SEARCH_MODES.some(m => m.mode === saved) ? saved as SearchMode : 'exact'
+}
+
+function dayStart(value: string) {
+  const [year, month, day] = value.split('-').map(Number)
+  return new Date(year, month - 1, day).getTime()
+}
+
+function formatDay(ts: number) {
+  const date = new Date(ts)
+  const pad = (n: number) => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+function hasSearchFilters(filters: SearchFilters) {
+  return Boolean(filters.providers?.length || filters.role || filters.from !== undefined || filters.to !== undefined ||
+    filters.threadId !== undefined || filters.runId !== undefined)
+}
+
+// Load the next page of results when the list is this many rows from its end
+const LOAD_MORE_THRESHOLD = 10
+
+function Excerpt({ text, highlights }: { text: string; highlights: [number, number][] }) {
+  const parts: React.ReactNode[] = []
+  let pos = 0
+  highlights.forEach(([start, end], i) => {
+    if (start < pos) return
+    parts.push(text.slice(pos, start), <mark key={i}>{text.slice(start, end)}</mark>)
+    pos = end
+  })
+  parts.push(text.slice(pos))
+  return <>{parts}</>
+}
+
+interface PreviousVersion {
+  id: number
+  content: string
+  timestamp: number | null
+  replaced_at: number | null
+  imported_at: number | null
+}
+
+interface MessageVersion {
+  id: number
+  content: string
+  role: string
+  timestamp: number
+  is_canonical: number
+}
+
+interface ImportProgress {
+  runId: number
+  phase: 'reading' | 'scanning' | 'importing' | 'finalizing'
+  sourceName: string | null
+  sourceIndex: number
+  sourcesTotal: number
+  entriesTotal: number
+  entriesScanned: number
+  threadsWritten: number
+  messagesWritten: number
+}
+
+const PHASE_LABELS: Record<ImportProgress['phase'], string> = {
+  reading: 'Reading export',
+  scanning: 'Checking archive',
+  importing: 'Importing',
+  finalizing: 'Finishing up',
 }
 
 interface ImportResult {
   success: boolean
+  // Set instead of the fields below when the import failed
+  errorCode?: string
+  error?: string
   runId: number
   artifactId: number
+  contentTypes?: {
+    kept: Record<string, number>
+    skipped: Record<string, number>
+  }
+  htmlStrategy?: 'embedded_json' | 'dom' | null
+  detection?: {
+    provider: string
+    confidence: 'high' | 'medium' | 'low'
+    signals: string[]
+  } | null
+  reconciliation?: {
+    threadsAdded: number
+    threadsUpdated: number
+    messagesAdded: number
+    messagesUpdated: number
+  }
+  exportChanges?: {
+    threadsMissing: number
+    messagesChanged: number
+  }
+  // One outcome per selected (or dropped) file or folder
+  files?: {
+    name: string
+    provider: string
+    status: 'imported' | 'failed'
+    threads: number
+    messages: number
+    error?: string
+    errorCode?: string
+  }[]
+  // Kept with the run; the same report is listed in diagnostics as counts only
+  report?: {
+    entries: { seen: number; parsed: number; parsedBy: Record<string, number> }
+    warnings: string[]
+  }
+}
+
+// A dry run of an import: what it would add, before anything is written
+interface ImportPreview {
+  threads: number
+  messages: number
+  messagesByRole: Record<string, number>
+  dateRange: { from: number | null; to: number | null }
+  skipped: Record<string, number>
+  duplicates: { matched: number; likely: number; matchedTitles: string[]; likelyTitles: string[] }
+  reconciliation: {
+    threadsAdded: number
+    threadsUpdated: number
+    messagesAdded: number
+    messagesUpdated: number
+  }
+  warnings: string[]
+}
+
+interface PendingImport {
+  provider: string
+  filePaths: string[]
+  detection?: ImportResult['detection']
+  preview: ImportPreview
+}
+
+// Reported by the watched import folder for each new file it handled
+interface WatchEvent {
+  fileName: string
+  status: 'imported' | 'duplicate' | 'unrecognized' | 'cancelled' | 'failed'
+  runId?: number
+  error?: string
+  errorCode?: string
+}
+
+// Registered importers, as listed by the main process
+interface ImportProvider {
+  provider: string
+  label: string
+}
+
+// User-facing copy for the error codes of electron/errors.ts; messages are never shown
+const IMPORT_ERROR_COPY: Record<string, string> = {
+  ZIP_TOO_MANY_ENTRIES: 'This export contains too many files to import safely.',
+  ZIP_ENTRY_TOO_LARGE: 'One file in this export is too large to import safely. Remove it or split the export, then try again.',
+  ZIP_TOTAL_TOO_LARGE: 'This export is too large to unpack safely.',
+  ZIP_RATIO_BOMB: 'This ZIP file is compressed in a way that could fill your disk, so it was not opened.',
+  ZIP_SLIP_DETECTED: 'This ZIP file contains paths that point outside it, so it was not opened.',
+  ZIP_ABSOLUTE_PATH: 'This ZIP file contains paths that point outside it, so it was not opened.',
+  ZIP_SYMLINK_ENTRY: 'This export contains links to other files on your computer, so it was not imported.',
+  ZIP_SIZE_MISMATCH: 'This ZIP file does not match its own table of contents. Download the export again and retry.',
+  ZIP_UNSUPPORTED: 'This ZIP file is encrypted or compressed in a way Cognition Vault cannot read.',
+  ZIP_CORRUPT: 'This ZIP file is damaged or incomplete. Download the export again and retry.',
+  PARSE_JSON_FAILED: 'This file is not valid JSON. It may be damaged or cut short; download the export again and retry.',
+  PARSE_CHAT_HTML_FAILED: 'No conversations could be read from chat.html. Import conversations.json from the same export instead.',
+  PARSE_ACTIVITY_HTML_FAILED: 'No Gemini prompts were found in MyActivity.html. Export My Activity as JSON and try again.',
+  EXPORT_FORMAT_INVALID: 'This file is not laid out like an export from the chosen provider. Check the provider, or choose Detect automatically.',
+  NO_FILES_SELECTED: 'No files were selected.',
+  FILE_NOT_FOUND: 'A selected file could not be found or opened. It may have been moved or deleted.',
+  PROVIDER_NOT_DETECTED: 'No importer recognizes this file. Choose the export ZIP or JSON file downloaded from your AI provider.',
+  PROVIDER_MISMATCH: 'This file looks like an export from a different provider. Choose that provider, or choose Detect automatically.',
+  IMPORT_BUSY: 'Another import is running. Wait for it to finish or cancel it first.',
+  IMPORT_CANCELLED: 'The import was cancelled.',
+  UNDO_RUN_NOT_FOUND: 'This import is no longer in your vault.',
+  UNDO_RUN_IN_PROGRESS: 'This import is still running. Wait for it to finish or cancel it first.',
+  UNDO_ALREADY_DONE: 'This import was already undone.',
+  DB_WRITE_FAILED: 'Your vault could not be updated. Check that the disk has free space, then try again.',
+  FS_WRITE_FAILED: 'The export could not be saved in your vault. Check that the disk has free space, then try again.',
+  UNKNOWN_ERROR: 'Something unexpected went wrong. The diagnostics report has details you can share.',
+}
+
+// Shown in place of results when the search bar holds nothing that can be searched for
+const SEARCH_ERROR_COPY: Record<string, string> = {
+  SEARCH_ONLY_EXCLUDED: 'Add a word to search for. Words starting with - or after NOT only leave results out.',
+  SEARCH_QUERY_INVALID: 'This search has no words to look for. Symbols on their own are not searchable.',
+  SEARCH_TERM_TOO_SHORT: 'Parts of words needs at least 3 characters in each word or phrase. Type a longer word or phrase.',
+}
+
+function importErrorCopy(code: string | null | undefined) {
+  return IMPORT_ERROR_COPY[code || ''] || IMPORT_ERROR_COPY.UNKNOWN_ERROR
+}
+
+function formatTypeCounts(counts: Record<string, number>) {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([type, n]) => `${n} ${type.replace(/_/g, ' ')}`)
+    .join(', ')
 }
 
 interface OnboardingProps {
@@ -98,7 +348,7 @@ function Onboarding({ onComplete, vaultPath, onWipe }: OnboardingProps) {
                   <li>Go to <strong>takeout.google.com</strong>.</li>
                   <li>Deselect all and check only <strong>Gemini Apps</strong> (within My Activity).</li>
                   <li>Create export and download the resulting ZIP.</li>
-                  <li>Import the ZIP or <code>conversations.json</code> here.</li>
+                  <li>Import the ZIP, or the <code>MyActivity.json</code> / <code>MyActivity.html</code> inside it, here.</li>
                 </ol>
               )}
             </div>
@@ -185,19 +435,294 @@ function DiagnosticsModal({ onClose }: DiagnosticsProps) {
   )
 }
 
+// One ingestion run, as listed in the import history
+interface HistoryEntry {
+  id: number
+  provider: string
+  source_label: string | null
+  status: string
+  started_at: number
+  completed_at: number | null
+  reverted_at: number | null
+  error_code: string | null
+  threads: number
+  messages: number
+}
+
+const RUN_STATUS_LABELS: Record<string, string> = {
+  complete: 'Imported',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+  running: 'In progress',
+  reverted: 'Undone',
+}
+
+interface ImportHistoryProps {
+  providerLabel: (provider: string) => string
+  onReverted: (runId: number) => void
+  onSearchRun: (entry: HistoryEntry) => void
+  onClose: () => void
+}
+
+function ImportHistoryModal({ providerLabel, onReverted, onSearchRun, onClose }: ImportHistoryProps) {
+  const [entries, setEntries] = useState<HistoryEntry[] | null>(null)
+  const [notice, setNotice] = useState<string | null>(null)
+
+  const load = () => {
+    // @ts-ignore
+    window.electronAPI.getImportHistory().then(setEntries)
+  }
+  useEffect(load, [])
+
+  const handleUndo = async (entry: HistoryEntry) => {
+    const what = entry.source_label || providerLabel(entry.provider)
+    if (!confirm(`Undo "${what}"? Conversations and messages that only this import added are removed from your vault. Everything else stays.`)) return
+    try {
+      // @ts-ignore
+      const result = await window.electronAPI.revertImport(entry.id)
+      if (!result.success) {
+        alert(importErrorCopy(result.errorCode))
+        load()
+        return
+      }
+      setNotice(`Undone: ${result.threadsRemoved} conversations and ${result.messagesRemoved} messages removed` +
+        (result.messagesRestored > 0 ? `, ${result.messagesRestored} messages restored to their earlier version.` : '.'))
+      onReverted(entry.id)
+      load()
+    } catch (err) {
+      console.error('Undo failed:', err)
+      alert(importErrorCopy(null))
+    }
+  }
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal alternates-modal">
+        <h2>Import History</h2>
+        <p className="onboarding-text">
+          Every import into your vault. Undo one to remove what it added without wiping anything else.
+        </p>
+        {notice && <p className="history-notice">{notice}</p>}
+
+        <div className="versions-list">
+          {entries ? entries.length > 0 ? entries.map(entry => (
+            <div key={entry.id} className={`version-item ${entry.status === 'reverted' ? 'history-reverted' : ''}`}>
+              <div className="result-meta">
+                <span className="result-provider">{providerLabel(entry.provider)}</span>
+                <span className="result-date">{new Date(entry.started_at).toLocaleString()}</span>
+              </div>
+              <div className="result-content">
+                {entry.source_label || 'Import'} · {RUN_STATUS_LABELS[entry.status] || entry.status}
+                {entry.status === 'reverted' && entry.reverted_at && ` on ${new Date(entry.reverted_at).toLocaleDateString()}`}
+                {entry.status !== 'reverted' && ` · ${entry.threads} conversations, ${entry.messages} messages`}
+              </div>
+              {entry.status === 'failed' && (
+                <div className="result-content import-file-failed">{importErrorCopy(entry.error_code)}</div>
+              )}
+              {entry.status !== 'reverted' && entry.messages > 0 && (
+                <button className="footer-link-btn" onClick={() => onSearchRun(entry)}>Search this import</button>
+              )}
+              {(entry.status === 'complete' || entry.status === 'failed') && (
+                <button className="footer-link-btn" onClick={() => handleUndo(entry)}>Undo this import</button>
+              )}
+            </div>
+          )) : (
+            <div className="no-results">No imports yet.</div>
+          ) : (
+            <div className="loading">Loading history...</div>
+          )}
+        </div>
+
+        <button className="close-modal-link" onClick={onClose}>Close</button>
+      </div>
+    </div>
+  )
+}
+
+interface AlternatesProps {
+  messageId: number
+  onClose: () => void
+}
+
+function AlternatesModal({ messageId, onClose }: AlternatesProps) {
+  const [versions, setVersions] = useState<MessageVersion[] | null>(null)
+
+  useEffect(() => {
+    // @ts-ignore
+    window.electronAPI.getAlternates(messageId).then(setVersions)
+  }, [messageId])
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal alternates-modal">
+        <h2>Other Versions</h2>
+        <p className="onboarding-text">
+          Edited prompts and regenerated replies from the same point in the conversation.
+        </p>
+
+        <div className="versions-list">
+          {versions ? versions.map((v, i) => (
+            <div key={v.id} className={`version-item ${v.id === messageId ? 'current' : ''}`}>
+              <div className="result-meta">
+                <span className="result-provider">
+                  {v.is_canonical ? 'Final version' : `Version ${i + 1}`}
+                </span>
+                <span className="result-date">
+                  {v.timestamp ? new Date(v.timestamp).toLocaleString() : 'No date'}
+                </span>
+              </div>
+              <div className="result-content">{v.content}</div>
+            </div>
+          )) : (
+            <div className="loading">Loading versions...</div>
+          )}
+        </div>
+
+        <button className="close-modal-link" onClick={onClose}>Close</button>
+      </div>
+    </div>
+  )
+}
+
+interface ImportPreviewProps {
+  pending: PendingImport
+  providerLabel: (provider: string) => string
+  onConfirm: () => void
+  onClose: () => void
+}
+
+function ImportPreviewModal({ pending, providerLabel, onConfirm, onClose }: ImportPreviewProps) {
+  const { preview, detection, filePaths } = pending
+  const formatDate = (ts: number | null) => ts ? new Date(ts).toLocaleDateString() : 'unknown'
+  const more = (shown: string[], total: number) => total > shown.length ? ` and ${total - shown.length} more` : ''
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal preview-modal">
+        <h2>Review Import</h2>
+        <p className="onboarding-text">
+          Nothing has been added to your vault yet. Check what this import contains, then confirm.
+        </p>
+
+        <div className="preview-details">
+          <p>{filePaths.length === 1 ? filePaths[0].split(/[\\/]/).pop() : `${filePaths.length} files`}
+            {detection && ` · ${providerLabel(detection.provider)} (${detection.confidence} confidence)`}</p>
+          <p>{preview.threads} conversations, {preview.messages} messages
+            {Object.keys(preview.messagesByRole).length > 0 && ` (${formatTypeCounts(preview.messagesByRole)})`}</p>
+          {preview.dateRange.from !== null && (
+            <p>From {formatDate(preview.dateRange.from)} to {formatDate(preview.dateRange.to)}</p>
+          )}
+          <p>
+            {preview.reconciliation.threadsAdded} new conversations, {preview.reconciliation.messagesAdded} new messages
+            {preview.duplicates.matched > 0 && ` · ${preview.duplicates.matched} conversations already in your vault will be updated, not duplicated`}
+          </p>
+          {Object.keys(preview.skipped).length > 0 && (
+            <p>Not imported (unsupported type): {formatTypeCounts(preview.skipped)}</p>
+          )}
+          {preview.duplicates.likely > 0 && (
+            <div className="preview-section">
+              <h4>Possible duplicates</h4>
+              <p>These new conversations have the same title as one already in your vault: {preview.duplicates.likelyTitles.join(', ')}{more(preview.duplicates.likelyTitles, preview.duplicates.likely)}.</p>
+            </div>
+          )}
+          {preview.warnings.length > 0 && (
+            <div className="preview-section preview-warnings">
+              <h4>Warnings</h4>
+              {preview.warnings.map((warning, i) => <p key={i}>{warning}</p>)}
+            </div>
+          )}
+        </div>
+
+        <div className="button-group-center">
+          <button className="primary-btn" onClick={onConfirm}>Import</button>
+          <button className="close-modal-link" onClick={onClose}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+interface HistoryProps {
+  messageId: number
+  onClose: () => void
+}
+
+function HistoryModal({ messageId, onClose }: HistoryProps) {
+  const [versions, setVersions] = useState<PreviousVersion[] | null>(null)
+
+  useEffect(() => {
+    // @ts-ignore
+    window.electronAPI.getHistory(messageId).then(setVersions)
+  }, [messageId])
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal alternates-modal">
+        <h2>Earlier Versions</h2>
+        <p className="onboarding-text">
+          This message changed between exports. Earlier wording is kept here.
+        </p>
+
+        <div className="versions-list">
+          {versions ? versions.map(v => (
+            <div key={v.id} className="version-item">
+              <div className="result-meta">
+                <span className="result-provider">
+                  {v.replaced_at ? `Replaced ${new Date(v.replaced_at).toLocaleDateString()}` : 'Earlier version'}
+                </span>
+                <span className="result-date">
+                  {v.imported_at ? `Imported ${new Date(v.imported_at).toLocaleDateString()}` : 'No date'}
+                </span>
+              </div>
+              <div className="result-content">{v.content}</div>
+            </div>
+          )) : (
+            <div className="loading">Loading versions...</div>
+          )}
+        </div>
+
+        <button className="close-modal-link" onClick={onClose}>Close</button>
+      </div>
+    </div>
+  )
+}
+
 function App() {
   const [vaultStatus, setVaultStatus] = useState<{ status: string; localOnly: boolean; vaultPath?: string } | null>(null)
   const [searchQuery, setSearchQuery] = useState('')
+  const [includeThinking, setIncludeThinking] = useState(false)
+  const [missingOnly, setMissingOnly] = useState(false)
+  const [searchMode, setSearchMode] = useState<SearchMode>(savedSearchMode)
+  const [filters, setFilters] = useState<SearchFilters>({})
+  const [inlineFilters, setInlineFilters] = useState<InlineFilter[]>([])
+  const [historyFor, setHistoryFor] = useState<number | null>(null)
   const [searchResults, setSearchResults] = useState<Message[]>([])
+  const [searchTotal, setSearchTotal] = useState(0)
+  const [nextCursor, setNextCursor] = useState<string | null>(null)
+  const [searchErrorCode, setSearchErrorCode] = useState<string | null>(null)
   const [isSearching, setIsSearching] = useState(false)
   const [isImporting, setIsImporting] = useState(false)
+  const [importProgress, setImportProgress] = useState<ImportProgress | null>(null)
+  const [isCancelling, setIsCancelling] = useState(false)
+  const [isPreviewing, setIsPreviewing] = useState(false)
+  const [pendingImport, setPendingImport] = useState<PendingImport | null>(null)
   const [lastImport, setLastImport] = useState<ImportResult | null>(null)
   const [showImportModal, setShowImportModal] = useState(false)
+  const [importFolder, setImportFolder] = useState(false)
+  const [importProviders, setImportProviders] = useState<ImportProvider[]>([])
+  const [watchedFolder, setWatchedFolder] = useState<string | null>(null)
+  const [watchNotice, setWatchNotice] = useState<string | null>(null)
   const [showDiagnostics, setShowDiagnostics] = useState(false)
+  const [showHistory, setShowHistory] = useState(false)
   const [highlightedMessageId, setHighlightedMessageId] = useState<number | null>(null)
+  const [alternatesFor, setAlternatesFor] = useState<number | null>(null)
   const [isOnboarding, setIsOnboarding] = useState(!localStorage.getItem('onboarding_completed'))
 
   const listRef = React.useRef<List>(null)
+  // The latest search, so later pages follow it and late answers to older ones are dropped
+  const searchSeq = React.useRef(0)
+  const lastSearch = React.useRef<{ request: object; options: object } | null>(null)
+  const loadingMore = React.useRef(false)
 
   const [perfMetrics, setPerfMetrics] = useState<{ median: number; p95: number; count: number }>({ median: 0, p95: 0, count: 0 })
   const [latencies, setLatencies] = useState<number[]>([])
@@ -205,18 +730,87 @@ function App() {
   useEffect(() => {
     // @ts-ignore
     window.electronAPI.getVaultStatus().then(setVaultStatus)
+    // @ts-ignore
+    window.electronAPI.getImportProviders().then(setImportProviders)
+    // @ts-ignore
+    window.electronAPI.getWatchedFolder().then((r: { folder: string | null }) => setWatchedFolder(r.folder))
+    // Duplicates, unrecognized files and imports the user cancelled are skipped quietly
+    // @ts-ignore
+    return window.electronAPI.onWatchEvent((event: WatchEvent) => {
+      if (event.status === 'imported') {
+        setWatchNotice(`Imported ${event.fileName} from your watched folder.`)
+      } else if (event.status === 'failed') {
+        setWatchNotice(`Could not import ${event.fileName} from your watched folder. ${importErrorCopy(event.errorCode)}`)
+      }
+    })
   }, [])
 
+  const providerLabel = (provider: string) => importProviders.find(p => p.provider === provider)?.label || provider
+
+  // Chips for the filters chosen below the search bar and those typed in it
+  const filterLabel = (key: InlineFilter['key'], value: string, title?: string) => {
+    switch (key) {
+      case 'provider': return `Provider: ${value.split(',').map(providerLabel).join(', ')}`
+      case 'role': return `Role: ${value}`
+      case 'after': return `From ${value}`
+      case 'before': return `Before ${value}`
+      case 'thread': return `Conversation: ${title || `#${value}`}`
+      case 'run': return `Import: ${title || `#${value}`}`
+    }
+  }
+  const updateFilters = (change: Partial<SearchFilters>) => setFilters(prev => ({ ...prev, ...change }))
+  const filterChips: FilterChip[] = [
+    ...(filters.providers || []).map(provider => ({
+      label: filterLabel('provider', provider),
+      onRemove: () => updateFilters({ providers: filters.providers?.filter(p => p !== provider) }),
+    })),
+    ...(filters.role ? [{ label: filterLabel('role', filters.role), onRemove: () => updateFilters({ role: undefined }) }] : []),
+    ...(filters.from !== undefined ? [{ label: filterLabel('after', formatDay(filters.from)), onRemove: () => updateFilters({ from: undefined }) }] : []),
+    ...(filters.to !== undefined ? [{ label: filterLabel('before', formatDay(filters.to)), onRemove: () => updateFilters({ to: undefined }) }] : []),
+    ...(filters.threadId !== undefined ? [{
+      label: filterLabel('thread', String(filters.threadId), filters.threadTitle),
+      onRemove: () => updateFilters({ threadId: undefined, threadTitle: undefined }),
+    }] : []),
+    ...(filters.runId !== undefined ? [{
+      label: filterLabel('run', String(filters.runId), filters.runLabel),
+      onRemove: () => updateFilters({ runId: undefined, runLabel: undefined }),
+    }] : []),
+    ...inlineFilters.map(filter => ({
+      label: filterLabel(filter.key, filter.value),
+      onRemove: () => setSearchQuery(query => query.replace(filter.text, '').replace(/\s+/g, ' ').trim()),
+      inline: true,
+    })),
+  ]
+  const isFiltering = hasSearchFilters(filters) || inlineFilters.length > 0
+
+  const clearResults = () => {
+    searchSeq.current++
+    lastSearch.current = null
+    setSearchResults([])
+    setSearchTotal(0)
+    setNextCursor(null)
+    setSearchErrorCode(null)
+  }
+
   const handleSearch = useCallback(async (query: string, startTime?: number) => {
-    if (!query.trim()) {
-      setSearchResults([])
+    if (!query.trim() && !hasSearchFilters(filters)) {
+      clearResults()
+      setInlineFilters([])
       return
     }
+    const seq = ++searchSeq.current
+    const search = { request: { query, ...filters }, options: { includeThinking, missingFromExport: missingOnly, mode: searchMode } }
     setIsSearching(true)
     try {
       // @ts-ignore
-      const results = await window.electronAPI.search(query)
-      setSearchResults(results)
+      const page: SearchPage = await window.electronAPI.search(search.request, search.options)
+      if (seq !== searchSeq.current) return
+      lastSearch.current = search
+      setSearchResults(page.results)
+      setSearchTotal(page.total ?? page.results.length)
+      setNextCursor(page.nextCursor)
+      setSearchErrorCode(page.errorCode || null)
+      setInlineFilters(page.inline)
 
       if (startTime) {
         const endTime = performance.now()
@@ -233,9 +827,28 @@ function App() {
     } catch (err) {
       console.error('Search failed:', err)
     } finally {
-      setIsSearching(false)
+      if (seq === searchSeq.current) setIsSearching(false)
     }
-  }, [])
+  }, [includeThinking, missingOnly, searchMode, filters])
+
+  // Results come a page at a time; the next one is fetched as the list nears its end
+  const loadMoreResults = async () => {
+    const search = lastSearch.current
+    if (!nextCursor || !search || loadingMore.current) return
+    const seq = searchSeq.current
+    loadingMore.current = true
+    try {
+      // @ts-ignore
+      const page: SearchPage = await window.electronAPI.search(search.request, search.options, { cursor: nextCursor })
+      if (seq !== searchSeq.current) return
+      setSearchResults(prev => [...prev, ...page.results])
+      setNextCursor(page.nextCursor)
+    } catch (err) {
+      console.error('Loading more results failed:', err)
+    } finally {
+      loadingMore.current = false
+    }
+  }
 
   useEffect(() => {
     const timer = setTimeout(() => {
@@ -245,30 +858,96 @@ function App() {
     return () => clearTimeout(timer)
   }, [searchQuery, handleSearch])
 
-  const startImport = async (provider: string) => {
+  // Runs a preview or an import in the worker, showing its progress
+  const runImportTask = async (previewing: boolean, task: () => Promise<any>) => {
     setIsImporting(true)
-    setShowImportModal(false)
+    setIsPreviewing(previewing)
+    setImportProgress(null)
+    // @ts-ignore
+    const unsubscribe = window.electronAPI.onImportProgress(setImportProgress)
     try {
-      // @ts-ignore
-      const result = await window.electronAPI.importFile(provider)
-      if (result && result.success) {
-        setLastImport(result)
+      const result = await task()
+      if (result && result.cancelled) {
+        alert(previewing ? 'Preview cancelled.' : 'Import cancelled. Nothing from this import was added to your vault.')
+      } else if (result && result.errorCode) {
+        console.error('Import failed:', result.errorCode, result.error)
+        alert('Import failed: ' + importErrorCopy(result.errorCode))
       }
+      return result && result.success ? result : null
     } catch (err) {
       console.error('Import failed:', err)
-      alert('Import failed: ' + (err as Error).message)
+      alert('Import failed: ' + importErrorCopy(null))
+      return null
     } finally {
+      unsubscribe()
       setIsImporting(false)
+      setIsPreviewing(false)
+      setIsCancelling(false)
+      setImportProgress(null)
+    }
+  }
+
+  // Chosen or dropped files are previewed first; nothing is written until the user confirms
+  const startImport = async (provider: string, dropped?: File[]) => {
+    setShowImportModal(false)
+    const filePaths: string[] | null = dropped
+      // @ts-ignore
+      ? window.electronAPI.getDroppedPaths(dropped)
+      // @ts-ignore
+      : await window.electronAPI.chooseImportFiles({ folder: importFolder })
+    if (!filePaths || filePaths.length === 0) return
+
+    // @ts-ignore
+    const result = await runImportTask(true, () => window.electronAPI.previewImport(provider, filePaths))
+    if (result) setPendingImport({ provider, filePaths, detection: result.detection, preview: result.preview })
+  }
+
+  const confirmImport = async () => {
+    if (!pendingImport) return
+    const { provider, filePaths } = pendingImport
+    setPendingImport(null)
+    // @ts-ignore
+    const result = await runImportTask(false, () => window.electronAPI.importPaths(provider, filePaths))
+    if (result) setLastImport(result)
+  }
+
+  // Files and folders dropped anywhere on the window are detected automatically
+  const handleDrop = (e: React.DragEvent) => {
+    e.preventDefault()
+    const files = Array.from(e.dataTransfer.files)
+    if (files.length > 0 && !isImporting && !pendingImport) startImport('auto', files)
+  }
+
+  const chooseWatchedFolder = async () => {
+    try {
+      // @ts-ignore
+      const result = await window.electronAPI.chooseWatchedFolder()
+      if (result) setWatchedFolder(result.folder)
+    } catch (err) {
+      alert('Could not watch this folder: ' + (err as Error).message)
     }
   }
 
+  const stopWatchingFolder = async () => {
+    // @ts-ignore
+    await window.electronAPI.stopWatchingFolder()
+    setWatchedFolder(null)
+  }
+
+  const cancelImport = async () => {
+    setIsCancelling(true)
+    // @ts-ignore
+    await window.electronAPI.cancelImport()
+  }
+
   const handleWipe = async () => {
     try {
       // @ts-ignore
       await window.electronAPI.wipeVault()
       alert('Vault wiped successfully.')
-      setSearchResults([])
+      clearResults()
       setSearchQuery('')
+      setWatchedFolder(null)
       // @ts-ignore
       window.electronAPI.getVaultStatus().then(setVaultStatus)
     } catch (err) {
@@ -297,15 +976,53 @@ function App() {
         onClick={() => handleResultClick(index, msg.id)}
       >
         <div className="result-meta">
-          <span className="result-provider">{msg.provider}</span>
+          <span className="result-provider">{providerLabel(msg.provider)}</span>
           <span className="result-thread">{msg.thread_title}</span>
+          {msg.model && <span className="result-model">{msg.model}</span>}
           <span className="result-date">
             {msg.timestamp ? new Date(msg.timestamp).toLocaleDateString() : 'No date'}
           </span>
+          {!msg.is_canonical && <span className="result-branch">Alternate version</span>}
+          {msg.alternate_count > 0 && (
+            <button
+              className="versions-link"
+              onClick={(e) => {
+                e.stopPropagation()
+                setAlternatesFor(msg.id)
+              }}
+            >
+              {msg.alternate_count} other {msg.alternate_count === 1 ? 'version' : 'versions'} of this {msg.role === 'user' ? 'prompt' : 'reply'}
+            </button>
+          )}
+          {msg.missing_from_export > 0 && <span className="result-branch">No longer in provider export</span>}
+          {msg.previous_version_count > 0 && (
+            <button
+              className="versions-link"
+              onClick={(e) => {
+                e.stopPropagation()
+                setHistoryFor(msg.id)
+              }}
+            >
+              Changed at provider
+            </button>
+          )}
+          {filters.threadId !== msg.thread_id && (
+            <button
+              className="versions-link"
+              onClick={(e) => {
+                e.stopPropagation()
+                updateFilters({ threadId: msg.thread_id, threadTitle: msg.thread_title })
+              }}
+            >
+              Search this conversation
+            </button>
+          )}
         </div>
         <div className="result-content">
-          {msg.role === 'user' ? '👤 ' : '🤖 '}
-          {msg.content.substring(0, 200)}...
+          {msg.role === 'user' || msg.role === 'human' ? '👤 ' : '🤖 '}
+          {msg.content_type === 'attachment' && '📎 '}
+          {msg.content_type === 'thinking' && '💭 '}
+          <Excerpt text={msg.excerpt} highlights={msg.highlights} />
         </div>
       </div>
     )
@@ -317,7 +1034,7 @@ function App() {
   }
 
   return (
-    <div className="app-container">
+    <div className="app-container" onDragOver={(e) => e.preventDefault()} onDrop={handleDrop}>
       {isOnboarding && (
         <Onboarding
           onComplete={completeOnboarding}
@@ -326,10 +1043,43 @@ function App() {
         />
       )}
 
+      {showHistory && (
+        <ImportHistoryModal
+          providerLabel={providerLabel}
+          onReverted={(runId) => {
+            if (lastImport?.runId === runId) setLastImport(null)
+            if (filters.runId === runId) updateFilters({ runId: undefined, runLabel: undefined })
+            handleSearch(searchQuery)
+          }}
+          onSearchRun={(entry) => {
+            updateFilters({ runId: entry.id, runLabel: entry.source_label || providerLabel(entry.provider) })
+            setShowHistory(false)
+          }}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+
       {showDiagnostics && (
         <DiagnosticsModal onClose={() => setShowDiagnostics(false)} />
       )}
 
+      {alternatesFor !== null && (
+        <AlternatesModal messageId={alternatesFor} onClose={() => setAlternatesFor(null)} />
+      )}
+
+      {historyFor !== null && (
+        <HistoryModal messageId={historyFor} onClose={() => setHistoryFor(null)} />
+      )}
+
+      {pendingImport && (
+        <ImportPreviewModal
+          pending={pendingImport}
+          providerLabel={providerLabel}
+          onConfirm={confirmImport}
+          onClose={() => setPendingImport(null)}
+        />
+      )}
+
       <header>
         <div className="brand">
           <h1>Cognition Vault</h1>
@@ -343,21 +1093,168 @@ function App() {
             placeholder="Search your history..."
             value={searchQuery}
             onChange={(e) => setSearchQuery(e.target.value)}
-            className="search-input"
+            className={`search-input ${searchErrorCode ? 'invalid' : ''}`}
+            aria-invalid={Boolean(searchErrorCode)}
           />
+          <label className="search-option">
+            <input
+              type="checkbox"
+              checked={includeThinking}
+              onChange={(e) => setIncludeThinking(e.target.checked)}
+            />
+            Include model thinking
+          </label>
+          <label className="search-option">
+            <input
+              type="checkbox"
+              checked={missingOnly}
+              onChange={(e) => setMissingOnly(e.target.checked)}
+            />
+            Only conversations no longer in provider export
+          </label>
+          <div className="search-filters">
+            <select
+              value={searchMode}
+              onChange={(e) => {
+                localStorage.setItem('search_mode', e.target.value)
+                setSearchMode(e.target.value as SearchMode)
+              }}
+              title="How words are matched"
+            >
+              {SEARCH_MODES.map(m => <option key={m.mode} value={m.mode}>{m.label}</option>)}
+            </select>
+            <select
+              value=""
+              onChange={(e) => e.target.value && updateFilters({ providers: [...new Set([...(filters.providers || []), e.target.value])] })}
+            >
+              <option value="">Provider...</option>
+              {importProviders.map(p => <option key={p.provider} value={p.provider}>{p.label}</option>)}
+            </select>
+            <select value={filters.role || ''} onChange={(e) => updateFilters({ role: e.target.value || undefined })}>
+              <option value="">Any role</option>
+              {MESSAGE_ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+            </select>
+            <label>
+              From
+              <input
+                type="date"
+                value={filters.from !== undefined ? formatDay(filters.from) : ''}
+                onChange={(e) => updateFilters({ from: e.target.value ? dayStart(e.target.value) : undefined })}
+              />
+            </label>
+            <label>
+              Before
+              <input
+                type="date"
+                value={filters.to !== undefined ? formatDay(filters.to) : ''}
+                onChange={(e) => updateFilters({ to: e.target.value ? dayStart(e.target.value) : undefined })}
+              />
+            </label>
+          </div>
+          {filterChips.length > 0 && (
+            <div className="filter-chips">
+              {filterChips.map((chip, i) => (
+                <span key={i} className={`filter-chip ${chip.inline ? 'filter-chip-inline' : ''}`}>
+                  {chip.label}
+                  <button onClick={chip.onRemove} aria-label={`Remove filter ${chip.label}`}>×</button>
+                </span>
+              ))}
+              {filterChips.length > 1 && (
+                <button className="footer-link-btn" onClick={() => {
+                  setFilters({})
+                  filterChips.filter(chip => chip.inline).forEach(chip => chip.onRemove())
+                }}>Clear filters</button>
+              )}
+            </div>
+          )}
         </div>
       </header>
 
       <main>
         {isSearching && <div className="loading">Searching...</div>}
 
-        {isImporting && <div className="loading">Importing your conversations...</div>}
+        {isImporting && (
+          <div className="loading import-progress">
+            <p>{isPreviewing ? 'Preparing a preview of your import...' : 'Importing your conversations...'}</p>
+            {importProgress && (
+              <p>
+                {PHASE_LABELS[importProgress.phase]}
+                {importProgress.sourcesTotal > 1 && ` · ${importProgress.sourceName} (${importProgress.sourceIndex + 1} of ${importProgress.sourcesTotal})`}
+                {importProgress.entriesTotal > 1 && ` · file ${importProgress.entriesScanned} of ${importProgress.entriesTotal}`}
+                {` · ${importProgress.threadsWritten} conversations, ${importProgress.messagesWritten} messages`}
+              </p>
+            )}
+            <button className="secondary-btn-outline" onClick={cancelImport} disabled={isCancelling}>
+              {isCancelling ? 'Cancelling...' : isPreviewing ? 'Cancel preview' : 'Cancel import'}
+            </button>
+          </div>
+        )}
+
+        {watchNotice && (
+          <div className="watch-notice">
+            <span>{watchNotice}</span>
+            <button className="footer-link-btn" onClick={() => setWatchNotice(null)}>Dismiss</button>
+          </div>
+        )}
 
         {lastImport && (
           <div className="import-success-banner">
             <div className="summary-card">
               <h3>Import Summary</h3>
               <p>Import complete</p>
+              {lastImport.detection && (
+                <p>Detected: {providerLabel(lastImport.detection.provider)} ({lastImport.detection.confidence} confidence)</p>
+              )}
+              {lastImport.reconciliation && (
+                <p>
+                  {lastImport.reconciliation.threadsAdded} new conversations, {lastImport.reconciliation.messagesAdded} new messages
+                  {lastImport.reconciliation.threadsUpdated > 0 && ` · ${lastImport.reconciliation.threadsUpdated} conversations already in your vault were updated, not duplicated`}
+                </p>
+              )}
+              {lastImport.report && lastImport.report.entries.seen > 0 && (
+                <p>
+                  Files read: {lastImport.report.entries.parsed} of {lastImport.report.entries.seen}
+                  {Object.keys(lastImport.report.entries.parsedBy).length > 0 && ` (${Object.entries(lastImport.report.entries.parsedBy).map(([provider, n]) => `${providerLabel(provider)}: ${n}`).join(', ')})`}
+                </p>
+              )}
+              {lastImport.exportChanges && (lastImport.exportChanges.threadsMissing > 0 || lastImport.exportChanges.messagesChanged > 0) && (
+                <div className="export-changes">
+                  <h4>Changes since your previous export</h4>
+                  {lastImport.exportChanges.threadsMissing > 0 && (
+                    <p>{lastImport.exportChanges.threadsMissing} {lastImport.exportChanges.threadsMissing === 1 ? 'conversation is' : 'conversations are'} no longer in the provider export. {lastImport.exportChanges.threadsMissing === 1 ? 'It stays' : 'They stay'} in your vault.</p>
+                  )}
+                  {lastImport.exportChanges.messagesChanged > 0 && (
+                    <p>{lastImport.exportChanges.messagesChanged} {lastImport.exportChanges.messagesChanged === 1 ? 'message' : 'messages'} changed at the provider. Earlier versions are kept.</p>
+                  )}
+                </div>
+              )}
+              {lastImport.contentTypes && Object.keys(lastImport.contentTypes.kept).length > 0 && (
+                <p>Messages kept: {formatTypeCounts(lastImport.contentTypes.kept)}</p>
+              )}
+              {lastImport.contentTypes && Object.keys(lastImport.contentTypes.skipped).length > 0 && (
+                <p>Not imported (unsupported type): {formatTypeCounts(lastImport.contentTypes.skipped)}</p>
+              )}
+              {lastImport.htmlStrategy === 'embedded_json' && (
+                <p>Read from chat.html using its embedded conversation data.</p>
+              )}
+              {lastImport.files && lastImport.files.length > 1 && (
+                <div className="import-files">
+                  <h4>Files</h4>
+                  {lastImport.files.map((file, i) => (
+                    <p key={i} className={file.status === 'failed' ? 'import-file-failed' : undefined}>
+                      {file.name}: {file.status === 'imported'
+                        ? `${file.threads} conversations, ${file.messages} messages`
+                        : 'not imported (see warnings)'}
+                    </p>
+                  ))}
+                </div>
+              )}
+              {lastImport.report && lastImport.report.warnings.length > 0 && (
+                <div className="import-files import-warnings">
+                  <h4>Warnings</h4>
+                  {lastImport.report.warnings.map((warning, i) => <p key={i}>{warning}</p>)}
+                </div>
+              )}
               <p>Integrity verified ✅</p>
               <button onClick={() => setLastImport(null)}>Dismiss</button>
             </div>
@@ -366,23 +1263,38 @@ function App() {
 
         {!isSearching && !isImporting && searchResults.length > 0 && (
           <div className="results-container">
+            <div className="results-count">
+              {searchTotal.toLocaleString()} {searchTotal === 1 ? 'result' : 'results'}
+            </div>
             <List
               ref={listRef}
-              height={window.innerHeight - 200}
+              height={window.innerHeight - 230}
               itemCount={searchResults.length}
               itemSize={100}
               width={'100%'}
+              onItemsRendered={({ visibleStopIndex }) => {
+                if (visibleStopIndex >= searchResults.length - LOAD_MORE_THRESHOLD) loadMoreResults()
+              }}
             >
               {Row}
             </List>
           </div>
         )}
 
-        {!isSearching && !isImporting && searchQuery && searchResults.length === 0 && (
-          <div className="no-results">No matches found for "{searchQuery}"</div>
+        {!isSearching && !isImporting && searchErrorCode && (
+          <div className="no-results search-invalid">
+            {SEARCH_ERROR_COPY[searchErrorCode] || SEARCH_ERROR_COPY.SEARCH_QUERY_INVALID}
+          </div>
         )}
 
-        {!searchQuery && !isImporting && !lastImport && (
+        {!isSearching && !isImporting && !searchErrorCode && (searchQuery || isFiltering) && searchResults.length === 0 && (
+          <div className="no-results">
+            {searchQuery ? `No matches found for "${searchQuery}"` : 'No messages match these filters'}
+            {isFiltering && searchQuery && ' with these filters'}
+          </div>
+        )}
+
+        {!searchQuery && !isFiltering && !isImporting && !lastImport && (
           <div className="hero">
             <p>Your AI history, preserved forever.</p>
             <div className="placeholder-content">
@@ -400,6 +1312,7 @@ function App() {
         <div className="status-footer">
           <div className="status-group">
             <span>Vault: {vaultStatus?.status}</span>
+            <button className="footer-link-btn" onClick={() => setShowHistory(true)}>Import history</button>
             <button className="footer-link-btn" onClick={() => setShowDiagnostics(true)}>Diagnostics</button>
           </div>
           {perfMetrics.count > 0 && (
@@ -415,9 +1328,33 @@ function App() {
           <div className="modal">
             <h2>Select Provider</h2>
             <div className="provider-grid">
-              <button onClick={() => startImport('chatgpt')}>ChatGPT</button>
-              <button onClick={() => startImport('claude')}>Claude</button>
-              <button onClick={() => startImport('gemini')}>Gemini</button>
+              <button className="provider-auto" onClick={() => startImport('auto')}>Detect automatically</button>
+              {importProviders.map(p => (
+                <button key={p.provider} onClick={() => startImport(p.provider)}>{p.label}</button>
+              ))}
+            </div>
+            <label className="search-option">
+              <input
+                type="checkbox"
+                checked={importFolder}
+                onChange={(e) => setImportFolder(e.target.checked)}
+              />
+              Choose a folder (an unzipped export, or Markdown/JSONL transcripts)
+            </label>
+            <p className="modal-hint">You can select several files at once, or drop them onto the window.</p>
+            <div className="watch-folder">
+              <h4>Watched folder</h4>
+              {watchedFolder ? (
+                <>
+                  <p className="modal-hint">New ZIP and JSON exports saved to <code>{watchedFolder}</code> are imported automatically.</p>
+                  <button className="secondary-btn-outline" onClick={stopWatchingFolder}>Stop watching</button>
+                </>
+              ) : (
+                <>
+                  <p className="modal-hint">Pick a folder, such as Downloads, and new exports saved there are imported automatically.</p>
+                  <button className="secondary-btn-outline" onClick={chooseWatchedFolder}>Watch a folder...</button>
+                </>
+              )}
             </div>
             <button className="close-modal" onClick={() => setShowImportModal(false)}>Cancel</button>
           </div>
@@ -492,6 +1429,74 @@ function App() {
         .search-input:focus {
           border-color: var(--accent-color);
         }
+        .search-input.invalid {
+          border-color: #f59e0b;
+        }
+        .search-invalid {
+          color: #f59e0b;
+        }
+        .search-option {
+          display: inline-flex;
+          align-items: center;
+          gap: 0.5rem;
+          margin-top: 0.5rem;
+          font-size: 0.75rem;
+          color: #94a3b8;
+          cursor: pointer;
+        }
+        .search-filters {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 0.5rem;
+          margin-top: 0.5rem;
+          font-size: 0.75rem;
+          color: #94a3b8;
+        }
+        .search-filters select,
+        .search-filters input {
+          background-color: var(--input-bg);
+          border: 1px solid var(--border-color);
+          color: var(--text-color);
+          border-radius: 0.375rem;
+          padding: 0.25rem 0.5rem;
+          font-size: 0.75rem;
+        }
+        .search-filters label {
+          display: inline-flex;
+          align-items: center;
+          gap: 0.375rem;
+        }
+        .filter-chips {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 0.375rem;
+          margin-top: 0.5rem;
+        }
+        .filter-chip {
+          display: inline-flex;
+          align-items: center;
+          gap: 0.25rem;
+          background-color: rgba(56, 189, 248, 0.15);
+          color: var(--accent-color);
+          border: 1px solid rgba(56, 189, 248, 0.3);
+          border-radius: 9999px;
+          padding: 0.125rem 0.25rem 0.125rem 0.625rem;
+          font-size: 0.75rem;
+        }
+        .filter-chip-inline {
+          border-style: dashed;
+        }
+        .filter-chip button {
+          background: none;
+          border: none;
+          color: inherit;
+          cursor: pointer;
+          padding: 0 0.25rem;
+          font-size: 0.875rem;
+          line-height: 1;
+        }
         main {
           flex: 1;
           overflow: hidden;
@@ -500,6 +1505,11 @@ function App() {
         .results-container {
           height: 100%;
         }
+        .results-count {
+          font-size: 0.75rem;
+          color: #64748b;
+          padding-bottom: 0.5rem;
+        }
         .search-result-item {
           border-bottom: 1px solid var(--border-color);
           padding: 1rem 0;
@@ -532,6 +1542,25 @@ function App() {
           color: var(--accent-color);
           font-weight: bold;
         }
+        .result-model {
+          font-family: monospace;
+        }
+        .result-branch {
+          color: #f59e0b;
+        }
+        .versions-link {
+          background: none;
+          border: none;
+          color: var(--accent-color);
+          cursor: pointer;
+          font-size: 0.75rem;
+          padding: 0;
+          text-transform: uppercase;
+          letter-spacing: 0.05em;
+        }
+        .versions-link:hover {
+          text-decoration: underline;
+        }
         .result-content {
           font-size: 0.9rem;
           line-height: 1.5;
@@ -543,6 +1572,11 @@ function App() {
           -webkit-line-clamp: 3;
           -webkit-box-orient: vertical;
         }
+        .result-content mark {
+          background-color: rgba(56, 189, 248, 0.25);
+          color: inherit;
+          border-radius: 2px;
+        }
         .hero {
           margin-top: 6rem;
           text-align: center;
@@ -595,6 +1629,9 @@ function App() {
           margin-top: 4rem;
           color: #64748b;
         }
+        .import-progress button {
+          margin-top: 1rem;
+        }
         footer {
           padding: 1rem 0;
           border-top: 1px solid var(--border-color);
@@ -666,6 +1703,33 @@ function App() {
           cursor: pointer;
           text-decoration: underline;
         }
+        /* Alternates Modal */
+        .alternates-modal {
+          width: 600px;
+          max-height: 80vh;
+          display: flex;
+          flex-direction: column;
+          text-align: left;
+        }
+        .versions-list {
+          flex: 1;
+          overflow: auto;
+          margin: 1rem 0;
+          display: flex;
+          flex-direction: column;
+          gap: 1rem;
+        }
+        .version-item {
+          border: 1px solid var(--border-color);
+          border-radius: 0.5rem;
+          padding: 0.75rem;
+          display: flex;
+          flex-direction: column;
+          gap: 0.5rem;
+        }
+        .version-item.current {
+          border-color: var(--accent-color);
+        }
         /* Onboarding Styles */
         .onboarding-overlay {
           position: fixed;
@@ -837,12 +1901,81 @@ function App() {
         .provider-grid button:hover {
           background: #475569;
         }
+        .provider-grid .provider-auto {
+          grid-column: 1 / -1;
+          border-color: var(--accent-color);
+        }
         .close-modal {
           background: none;
           border: none;
           color: #94a3b8;
           cursor: pointer;
         }
+        .export-changes {
+          border-top: 1px solid #334155;
+          margin-top: 0.75rem;
+          padding-top: 0.5rem;
+        }
+        .export-changes h4 {
+          margin: 0 0 0.25rem 0;
+          color: var(--accent-color);
+        }
+        .import-files {
+          border-top: 1px solid #334155;
+          margin-top: 0.75rem;
+          padding-top: 0.5rem;
+        }
+        .import-files h4 {
+          margin: 0 0 0.25rem 0;
+        }
+        .import-file-failed {
+          color: #f87171;
+        }
+        .import-warnings h4 {
+          color: #fbbf24;
+        }
+        .preview-details p {
+          margin: 0.4rem 0;
+        }
+        .preview-section {
+          border-top: 1px solid #334155;
+          margin-top: 0.75rem;
+          padding-top: 0.5rem;
+        }
+        .preview-section h4 {
+          margin: 0 0 0.25rem 0;
+        }
+        .preview-warnings h4 {
+          color: #fbbf24;
+        }
+        .history-notice {
+          color: var(--accent-color);
+        }
+        .history-reverted {
+          opacity: 0.6;
+        }
+        .watch-folder {
+          border-top: 1px solid #334155;
+          margin: 1rem 0;
+          padding-top: 0.5rem;
+        }
+        .watch-folder h4 {
+          margin: 0 0 0.25rem 0;
+        }
+        .watch-notice {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          background: #1e293b;
+          border: 1px solid #334155;
+          border-radius: 0.5rem;
+          padding: 0.5rem 1rem;
+          margin: 1rem 0;
+        }
+        .modal-hint {
+          color: #94a3b8;
+          font-size: 0.85rem;
+        }
         .import-success-banner {
           margin: 2rem 0;
         }
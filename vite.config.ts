@@ -8,7 +8,8 @@ export default defineConfig({
         react(),
         electron({
             main: {
-                entry: 'electron/main.ts',
+                // The import worker is loaded by path at runtime, so it needs its own bundle
+                entry: ['electron/main.ts', 'electron/importWorker.ts'],
                 vite: {
                     build: {
                         rollupOptions: {